@@ -0,0 +1,439 @@
+// js/core/canvasRenderer.js
+
+'use strict';
+
+// Glyph height relative to the smaller side of a cell
+const FONT_SCALE = 0.8;
+
+// Mark names are drawn at this fraction of the glyph size, in the cell's top right corner
+const MARK_FONT_SCALE = 0.45;
+
+// Most glyph images kept; the cache starts over when full (or when the cell size changes)
+const MAX_CACHED_GLYPHS = 2048;
+
+// Base size of the 'em' in drawText's fontSize option when the container's own can't be read
+const DEFAULT_FONT_SIZE = 16;
+
+// Entities are drawn in this order, so the player is always on top
+const ENTITY_LAYERS = { ghost: 0, enemy: 1, player: 2 };
+
+/**
+ * Renders the game to a <canvas> instead of one DOM element per tile, for streams too large for the DOM Renderer.
+ * It has the same public methods as Renderer (drawGrid, updateTile, setViewport, drawPlayer, drawGhost, drawEnemy,
+ * removeElementById, drawText, clearAll...) and is chosen at startup with ?renderer=canvas (see main.js).
+ *
+ * Tiles are painted once into an offscreen grid layer; updateTile repaints only its own cell. Each glyph is drawn
+ * once per font and color into a small offscreen canvas and copied from there afterwards. present(), called by the
+ * StateManager after every frame, puts the grid layer, the entities (enemies between their last two steps, as in
+ * the DOM renderer) and the frame's texts on screen.
+ *
+ * Colors come from the same CSS classes as the DOM tiles (css/game.css, css/entities.css and plugin tile styles),
+ * read once per combination of classes from a hidden probe element.
+ */
+export default class CanvasRenderer {
+    /**
+     * @param {HTMLElement} gameScreenElement - The container element (e.g., #game-screen); the canvas fills it.
+     * @param {object} [config={}] - Optional configuration, as for Renderer.
+     */
+    constructor(gameScreenElement, config = {}) {
+        if (!gameScreenElement || !(gameScreenElement instanceof HTMLElement)) {
+            throw new Error("CanvasRenderer requires a valid HTML container element.");
+        }
+        this.container = gameScreenElement;
+        this.config = config;
+        this.plugins = null; // PluginRegistry of extra tile types (their classes name their colors)
+
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+        this.container.classList.add('canvas-renderer');
+        this.container.appendChild(this.canvas);
+
+        // Offscreen copy of the visible rows' tiles, repainted cell by cell
+        this.gridLayer = document.createElement('canvas');
+        this.gridContext = this.gridLayer.getContext('2d');
+
+        // Hidden element given a tile's classes to read their computed colors
+        this.probe = document.createElement('div');
+        this.probe.style.cssText = 'position: absolute; visibility: hidden; pointer-events: none;';
+        this.container.appendChild(this.probe);
+
+        this.tiles = []; // [y][x] -> tile data as last drawn or updated
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+        this.drawnElements = new Map(); // 'player', 'ghost', 'enemy-<id>' -> { x, y, char, classes }
+        this.texts = []; // drawText calls of the current frame, drawn by present()
+
+        // Rows currently shown (tall grids scroll); positions on screen are relative to viewTop
+        this.viewTop = 0;
+        this.viewRows = Infinity;
+
+        // Layout, in device pixels
+        this.pixelRatio = 1;
+        this.cellWidth = 0;
+        this.cellHeight = 0;
+        this.fontSize = 0;
+        this.baseFontSize = DEFAULT_FONT_SIZE; // The container's font size in CSS pixels, the 'em' of drawText
+
+        this.styles = new Map(); // Class list -> style read from CSS
+        this.glyphs = new Map(); // 'font|color|decoration|char' -> offscreen canvas of one cell
+
+        this._resize();
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(() => this._resize()).observe(this.container);
+        }
+
+        console.log("Renderer initialized (Canvas Mode). Container:", this.container);
+    }
+
+    /**
+     * Gives the renderer the plugin registry, so tiles of plugin types get the colors of their classes.
+     * @param {PluginRegistry} plugins - The shared plugin registry.
+     */
+    setPlugins(plugins) {
+        this.plugins = plugins;
+    }
+
+    /**
+     * Removes the player, ghost and enemies.
+     */
+    clearDynamicElements() {
+        this.drawnElements.clear();
+    }
+
+    /**
+     * Clears the entire game screen, including the grid.
+     */
+    clearAll() {
+        this.drawnElements.clear();
+        this.tiles = [];
+        this.texts = [];
+        this.gridContext.clearRect(0, 0, this.gridLayer.width, this.gridLayer.height);
+    }
+
+    /**
+     * Draws the static level grid. Typically called once per level load.
+     * @param {object} levelGrid - { width, height, tiles } as in Renderer.drawGrid.
+     */
+    drawGrid(levelGrid) {
+        if (!levelGrid || !levelGrid.tiles || !levelGrid.width || !levelGrid.height) {
+            console.error("Invalid levelGrid data provided to drawGrid.");
+            return;
+        }
+
+        console.log(`Drawing grid (${levelGrid.width}x${levelGrid.height}) on canvas...`);
+        this.clearAll();
+        this.tiles = levelGrid.tiles.map(row => row.map(tile => ({ ...tile })));
+        this.gridWidth = levelGrid.width;
+        this.gridHeight = levelGrid.height;
+        this.viewTop = 0; // A new grid starts fully shown; setViewport narrows it
+        this.viewRows = levelGrid.height;
+        this._layout();
+    }
+
+    /**
+     * Updates the appearance of a specific tile.
+     * @param {number} x - The x-coordinate (0-based).
+     * @param {number} y - The y-coordinate (0-based).
+     * @param {object} tileData - New data for the tile (type, char, highlight, selected, mark).
+     */
+    updateTile(x, y, tileData) {
+        const tile = this.tiles[y]?.[x];
+        if (!tile) {
+            console.warn(`Attempted to update non-existent tile element at (${x}, ${y})`);
+            return;
+        }
+        if (tileData.type && tileData.highlight === undefined) tile.highlight = false; // As in the DOM renderer, a new type drops the highlight
+        Object.assign(tile, tileData);
+        this._paintTile(x, y);
+    }
+
+    /**
+     * Shows only some rows of the grid, so tall streams scroll to follow the player.
+     * @param {number} top - First visible row.
+     * @param {number} rows - Number of visible rows.
+     */
+    setViewport(top, rows) {
+        this.viewTop = top;
+        this.viewRows = rows;
+        this._layout();
+    }
+
+    /**
+     * Draws the player's cursor.
+     * @param {object} player - { x, y, char, state }; previousX/previousY (optional) make it glide like enemies.
+     * @param {number} [alpha=1] - How far it is drawn from its previous position to its current one (0-1).
+     */
+    drawPlayer(player, alpha = 1) {
+        const classes = ['player', player.state === 'hit' ? 'hit' : '', player.state === 'typing' ? 'typing' : ''];
+        this._setEntity('player', 'player', player, player.char || '@', classes, alpha);
+    }
+
+    /**
+     * Draws the ghost: a translucent cursor retracing a recorded run.
+     * @param {object} ghost - { x, y, char }.
+     */
+    drawGhost(ghost) {
+        this._setEntity('ghost', 'ghost', ghost, ghost.char || '@', ['ghost']);
+    }
+
+    /**
+     * Draws an enemy between its previous and current cell.
+     * @param {object} enemy - { id, x, y, char, type, state }; previousX/previousY are where it was before the last step.
+     * @param {number} [alpha=1] - How far it is drawn from its previous position to its current one (0-1).
+     */
+    drawEnemy(enemy, alpha = 1) {
+        const classes = ['enemy', enemy.type ?? '', enemy.state === 'alert' ? 'alert' : ''];
+        this._setEntity(`enemy-${enemy.id}`, 'enemy', enemy, enemy.char || 'E', classes, alpha);
+    }
+
+    /**
+     * Removes a specific dynamic element (like an enemy) by its ID.
+     * @param {string} elementId - The ID used when drawing (e.g., 'enemy-123', 'ghost').
+     */
+    removeElementById(elementId) {
+        this.drawnElements.delete(elementId);
+    }
+
+    /**
+     * Draws text over the game for the current frame (titles, the pause banner).
+     * @param {string} text - The text content.
+     * @param {number} x - Screen X position (CSS pixels from the container's left).
+     * @param {number} y - Screen Y position (CSS pixels from the container's top).
+     * @param {object} [options={}] - { color, fontSize ('2em' or '24px'), background }.
+     */
+    drawText(text, x, y, options = {}) {
+        this.texts.push({ text, x, y, options });
+    }
+
+    /**
+     * Puts the frame on screen: the grid layer, then the entities, then the frame's texts (which are then dropped).
+     * Called by the StateManager after all states have drawn.
+     */
+    present() {
+        const { context, canvas } = this;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (this.gridWidth > 0) context.drawImage(this.gridLayer, 0, 0);
+
+        const entities = [...this.drawnElements.values()].sort((a, b) => ENTITY_LAYERS[a.layer] - ENTITY_LAYERS[b.layer]);
+        for (const entity of entities) {
+            const row = entity.y - this.viewTop;
+            if (row <= -1 || row >= this._getVisibleRows()) continue; // Scrolled out
+            this._paintCell(context, entity.x * this.cellWidth, row * this.cellHeight, entity.char, this._getStyle(entity.classes));
+        }
+
+        for (const { text, x, y, options } of this.texts) this._paintText(text, x, y, options);
+        this.texts = [];
+    }
+
+    /**
+     * Finds the grid cell under a point of the page (e.g. the mouse), as the DOM renderer's tile elements tell.
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{x: number, y: number} | null} The cell, or null outside the grid.
+     */
+    getCellAt(clientX, clientY) {
+        if (this.gridWidth === 0) return null;
+        const bounds = this.canvas.getBoundingClientRect();
+        const x = Math.floor((clientX - bounds.left) * this.pixelRatio / this.cellWidth);
+        const y = Math.floor((clientY - bounds.top) * this.pixelRatio / this.cellHeight) + this.viewTop;
+        const inView = y >= this.viewTop && y < this.viewTop + this._getVisibleRows();
+        return x >= 0 && x < this.gridWidth && inView ? { x, y } : null;
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Sizes the canvas to the container in device pixels, then lays the grid out again.
+     * @private
+     */
+    _resize() {
+        this.pixelRatio = globalThis.devicePixelRatio || 1;
+        this.baseFontSize = parseFloat(getComputedStyle(this.container).fontSize) || DEFAULT_FONT_SIZE;
+        this.canvas.width = Math.max(1, Math.round(this.container.clientWidth * this.pixelRatio));
+        this.canvas.height = Math.max(1, Math.round(this.container.clientHeight * this.pixelRatio));
+        this._layout();
+    }
+
+    /**
+     * Fits the visible rows into the canvas and repaints the grid layer. Cells stretch to fill it, like the DOM grid's 1fr tracks.
+     * @private
+     */
+    _layout() {
+        if (this.gridWidth === 0) return;
+        const cellWidth = this.canvas.width / this.gridWidth;
+        const cellHeight = this.canvas.height / this._getVisibleRows();
+        if (cellWidth !== this.cellWidth || cellHeight !== this.cellHeight) {
+            this.glyphs.clear(); // Glyph images are cell-sized
+        }
+        this.cellWidth = cellWidth;
+        this.cellHeight = cellHeight;
+        this.fontSize = Math.max(1, Math.floor(Math.min(cellWidth, cellHeight) * FONT_SCALE));
+
+        this.gridLayer.width = this.canvas.width;
+        this.gridLayer.height = this.canvas.height;
+        for (let y = this.viewTop; y < this.viewTop + this._getVisibleRows(); y++) {
+            for (let x = 0; x < this.gridWidth; x++) this._paintTile(x, y);
+        }
+    }
+
+    /**
+     * @returns {number} Rows shown: the viewport's, but never more than the grid has.
+     * @private
+     */
+    _getVisibleRows() {
+        return Math.max(1, Math.min(this.viewRows, this.gridHeight - this.viewTop));
+    }
+
+    /**
+     * Repaints one tile on the grid layer, if its row is shown.
+     * @param {number} x
+     * @param {number} y
+     * @private
+     */
+    _paintTile(x, y) {
+        const row = y - this.viewTop;
+        const tile = this.tiles[y]?.[x];
+        if (!tile || row < 0 || row >= this._getVisibleRows()) return;
+
+        const left = x * this.cellWidth;
+        const top = row * this.cellHeight;
+        this.gridContext.clearRect(left, top, this.cellWidth, this.cellHeight);
+        const classes = [this.plugins?.getTileType(tile.type)?.className ?? tile.type ?? 'pathway'];
+        if (tile.highlight) classes.push('highlight');
+        if (tile.selected) classes.push('selected');
+        this._paintCell(this.gridContext, left, top, tile.char || '', this._getStyle(classes));
+
+        if (tile.mark) {
+            const markStyle = this._getStyle(['marked']);
+            this.gridContext.save();
+            this.gridContext.globalAlpha = 0.5;
+            this.gridContext.fillStyle = markStyle.color;
+            this.gridContext.font = `${Math.max(1, Math.floor(this.fontSize * MARK_FONT_SCALE))}px ${markStyle.fontFamily}`;
+            this.gridContext.textAlign = 'right';
+            this.gridContext.textBaseline = 'top';
+            this.gridContext.fillText(tile.mark, left + this.cellWidth - this.pixelRatio, top);
+            this.gridContext.restore();
+        }
+    }
+
+    /**
+     * Draws one cell: its background, its glyph (from the cache) and its outline.
+     * @param {CanvasRenderingContext2D} context - The grid layer's or the screen's.
+     * @param {number} left - Device pixels.
+     * @param {number} top - Device pixels.
+     * @param {string} char
+     * @param {object} style - From _getStyle().
+     * @private
+     */
+    _paintCell(context, left, top, char, style) {
+        context.save();
+        context.globalAlpha = style.opacity;
+        if (style.background) {
+            context.fillStyle = style.background;
+            context.fillRect(left, top, this.cellWidth, this.cellHeight);
+        }
+        if (char.trim()) context.drawImage(this._getGlyph(char, style), left, top);
+        if (style.outline) {
+            context.strokeStyle = style.outline;
+            context.lineWidth = this.pixelRatio;
+            context.strokeRect(left + 0.5, top + 0.5, this.cellWidth - 1, this.cellHeight - 1);
+        }
+        context.restore();
+    }
+
+    /**
+     * Returns a cell-sized image of a glyph, drawing it the first time it's needed in that font and color.
+     * @param {string} char
+     * @param {object} style - From _getStyle().
+     * @returns {HTMLCanvasElement}
+     * @private
+     */
+    _getGlyph(char, style) {
+        const font = `${style.fontWeight} ${this.fontSize}px ${style.fontFamily}`;
+        const key = `${font}|${style.color}|${style.decoration}|${char}`;
+        let glyph = this.glyphs.get(key);
+        if (glyph) return glyph;
+
+        if (this.glyphs.size >= MAX_CACHED_GLYPHS) this.glyphs.clear();
+        glyph = document.createElement('canvas');
+        glyph.width = Math.ceil(this.cellWidth);
+        glyph.height = Math.ceil(this.cellHeight);
+        const context = glyph.getContext('2d');
+        context.font = font;
+        context.fillStyle = style.color;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(char, this.cellWidth / 2, this.cellHeight / 2);
+        if (style.decoration) { // Underlined tiles (typos)
+            context.fillStyle = style.decoration;
+            context.fillRect(this.cellWidth * 0.15, this.cellHeight / 2 + this.fontSize * 0.45, this.cellWidth * 0.7, this.pixelRatio);
+        }
+        this.glyphs.set(key, glyph);
+        return glyph;
+    }
+
+    /**
+     * Reads the colors the stylesheets give an element with 'tile' and the given classes.
+     * @param {string[]} classes - Extra classes ('' entries are ignored).
+     * @returns {{color: string, background: string | null, outline: string | null, decoration: string | null,
+     *   opacity: number, fontWeight: string, fontFamily: string}}
+     * @private
+     */
+    _getStyle(classes) {
+        const className = ['tile', ...classes.filter(Boolean)].join(' ');
+        let style = this.styles.get(className);
+        if (style) return style;
+
+        this.probe.className = className;
+        const computed = getComputedStyle(this.probe);
+        const visible = (color) => color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color) ? color : null;
+        style = {
+            color: computed.color,
+            background: visible(computed.backgroundColor),
+            outline: computed.outlineStyle !== 'none' ? visible(computed.outlineColor) : null,
+            decoration: computed.textDecorationLine.includes('underline') ? visible(computed.textDecorationColor) ?? computed.color : null,
+            opacity: Number(computed.opacity),
+            fontWeight: computed.fontWeight,
+            fontFamily: computed.fontFamily || 'monospace',
+        };
+        this.styles.set(className, style);
+        return style;
+    }
+
+    /**
+     * Places an entity, between its previous and current cell when it has a previous one.
+     * @param {string} id - 'player', 'ghost' or 'enemy-<id>'.
+     * @param {string} layer - A key of ENTITY_LAYERS.
+     * @param {object} entity - { x, y, previousX?, previousY? }.
+     * @param {string} char
+     * @param {string[]} classes
+     * @param {number} [alpha=1]
+     * @private
+     */
+    _setEntity(id, layer, entity, char, classes, alpha = 1) {
+        const x = (entity.previousX ?? entity.x) + (entity.x - (entity.previousX ?? entity.x)) * alpha;
+        const y = (entity.previousY ?? entity.y) + (entity.y - (entity.previousY ?? entity.y)) * alpha;
+        this.drawnElements.set(id, { layer, x, y, char, classes });
+    }
+
+    /**
+     * Draws one drawText() call.
+     * @private
+     */
+    _paintText(text, x, y, { color = '#FFF', fontSize = '1em', background = null } = {}) {
+        const baseSize = this.baseFontSize;
+        fontSize = String(fontSize);
+        const size = (fontSize.endsWith('em') ? parseFloat(fontSize) * baseSize : parseFloat(fontSize) || baseSize) * this.pixelRatio;
+        const { context } = this;
+        context.save();
+        context.font = `bold ${size}px ${this._getStyle([]).fontFamily}`;
+        context.textBaseline = 'top';
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(x * this.pixelRatio, y * this.pixelRatio, context.measureText(text).width, size);
+        }
+        context.fillStyle = color;
+        context.fillText(text, x * this.pixelRatio, y * this.pixelRatio);
+        context.restore();
+    }
+}
@@ -0,0 +1,317 @@
+// js/core/debugOverlay.js
+
+'use strict';
+
+// Player actions listed in the overlay, newest last
+const ACTION_LOG_SIZE = 8;
+
+// Function keys of the debug controls (run as InputHandler action listeners, so they are never game input)
+const DEBUG_KEYS = { toggle: 'F3', halt: 'F8', step: 'F10' };
+
+// Weight of the newest frame in the smoothed FPS
+const FPS_SMOOTHING = 0.1;
+
+// Longest command or action description shown on one line
+const MAX_DESCRIPTION_LENGTH = 90;
+
+/**
+ * Developer overlay, toggled with F3 or ':debug'. It shows the frame rate and real frame time, the fixed steps run
+ * per frame, the state stack, the input mode and pending keys, the InputHandler's command queue, the last player
+ * actions (from the EventBus) and the data of the tile under the mouse.
+ *
+ * Its controls: F8 (':debug step') halts the stream, F10 (':debug step N') runs one (N) frame while halted,
+ * F8 again (':debug run') resumes; ':debug freeze' stops the enemies; ':debug tp X Y' or Alt+click teleports the player.
+ * Freezing and teleporting can't be replayed, so they end the run's recording (it's kept as abandoned).
+ *
+ * Without a container (headless) nothing is drawn; the overlay's text is kept in `text`.
+ */
+export default class DebugOverlay {
+    /**
+     * @param {object} options
+     * @param {StateManager} options.stateManager - Read for the state stack; its PLAYING state is inspected and controlled.
+     * @param {InputHandler} options.inputHandler - Read for the mode, pending keys and command queue.
+     * @param {EventBus | null} [options.events=null] - Source of the action log.
+     * @param {object | null} [options.renderer=null] - Asked for the cell under the mouse when tiles aren't elements (CanvasRenderer).
+     * @param {HTMLElement | null} [options.container=null] - The game screen: the panel is added next to it, and its tiles are inspected on hover.
+     */
+    constructor({ stateManager, inputHandler, events = null, renderer = null, container = null }) {
+        this.stateManager = stateManager;
+        this.inputHandler = inputHandler;
+        this.renderer = renderer;
+        this.container = container;
+        this.element = null; // The panel, created the first time it's shown
+        this.visible = false;
+        this.text = ''; // What the panel shows, as of the last render while visible
+        this.status = ''; // Result of the last control used
+
+        // Frame timing
+        this.lastRenderTime = null; // performance.now() at the last render
+        this.frameTime = 0; // Real seconds between the last two renders
+        this.fps = 0; // Smoothed frames per second
+        this.stepCount = 0; // Fixed updates since the last render
+        this.stepsLastFrame = 0; // Fixed updates run in the last frame
+        this.lastDeltaTime = 0; // deltaTime passed to the last update
+
+        // Controls
+        this.halted = false; // The stream only runs frames requested with step()
+        this.pendingSteps = 0; // Frames still to run while halted
+        this.enemiesFrozen = false; // Read by the stream each frame
+
+        // Inspection
+        this.lastCommands = []; // Command queue as last seen before an update took it
+        this.actions = []; // Last ACTION_LOG_SIZE player actions, newest last
+        this.hoveredTile = null; // { x, y } of the inspected tile
+
+        events?.on('playerAction', ({ action }) => {
+            this.actions.push(action);
+            if (this.actions.length > ACTION_LOG_SIZE) this.actions.shift();
+        });
+
+        this._onMouseMove = this._onMouseMove.bind(this);
+        this._onClick = this._onClick.bind(this);
+    }
+
+    /**
+     * Registers the debug keys, and the hover and Alt+click handlers on the game screen.
+     */
+    init() {
+        this.inputHandler.registerActionListener(DEBUG_KEYS.toggle, () => this.toggle());
+        this.inputHandler.registerActionListener(DEBUG_KEYS.halt, () => this.setStatus(this.halted ? this.resume() : this.step(0)));
+        this.inputHandler.registerActionListener(DEBUG_KEYS.step, () => this.setStatus(this.step(1)));
+        if (this.container) {
+            this.container.addEventListener('mousemove', this._onMouseMove);
+            this.container.addEventListener('click', this._onClick);
+        }
+    }
+
+    /**
+     * Runs ':debug' arguments: none (toggle), 'on', 'off', 'step [N]', 'run', 'freeze' or 'tp X Y'.
+     * @param {string[]} args
+     * @returns {string} Message describing the result.
+     */
+    execute(args) {
+        const [action, ...rest] = args;
+        switch (action) {
+            case undefined:
+                return this.toggle();
+            case 'on':
+            case 'off':
+                return this.toggle(action === 'on');
+            case 'step':
+                const frames = rest[0] === undefined ? 1 : Number(rest[0]);
+                if (!Number.isInteger(frames) || frames < 0) return `E475: Invalid argument: ${rest[0]}`;
+                return this.setStatus(this.step(frames));
+            case 'run':
+                return this.setStatus(this.resume());
+            case 'freeze':
+                this.enemiesFrozen = !this.enemiesFrozen;
+                return this.setStatus(this.enemiesFrozen ? "Enemies frozen" : "Enemies move again");
+            case 'tp':
+                const [x, y] = rest.map(Number);
+                if (!Number.isInteger(x) || !Number.isInteger(y)) return "E471: Argument required: :debug tp X Y";
+                return this.setStatus(this.teleport(x, y));
+            default:
+                return `E475: Invalid argument: ${action}`;
+        }
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {boolean} [visible] - Toggles when left out.
+     * @returns {string} Message describing the result.
+     */
+    toggle(visible = !this.visible) {
+        this.visible = visible;
+        if (this.visible) this._ensureElement();
+        if (this.element) this.element.style.display = this.visible ? 'block' : 'none';
+        return this.visible ? `Debug overlay on (${DEBUG_KEYS.toggle} hides it)` : "Debug overlay off";
+    }
+
+    /**
+     * Halts the stream and queues frames to run.
+     * @param {number} [frames=1] - Frames to run (0 just halts).
+     * @returns {string} Message describing the result.
+     */
+    step(frames = 1) {
+        this.halted = true;
+        this.pendingSteps += frames;
+        return frames > 0 ? `Stepping ${frames} frame${frames === 1 ? '' : 's'}` : `Halted (${DEBUG_KEYS.step} steps, ${DEBUG_KEYS.halt} runs)`;
+    }
+
+    /**
+     * Lets the stream run freely again.
+     * @returns {string} Message describing the result.
+     */
+    resume() {
+        this.halted = false;
+        this.pendingSteps = 0;
+        return "Running";
+    }
+
+    /** @returns {boolean} True while the stream only runs requested frames. */
+    isHalted() {
+        return this.halted;
+    }
+
+    /**
+     * Called by the halted stream each update.
+     * @returns {boolean} True if a requested frame should run now.
+     */
+    takeStep() {
+        if (this.pendingSteps === 0) return false;
+        this.pendingSteps--;
+        return true;
+    }
+
+    /**
+     * Moves the player to a cell of the running stream.
+     * @param {number} x
+     * @param {number} y
+     * @returns {string} Message describing the result.
+     */
+    teleport(x, y) {
+        if (!this.stateManager.stack.includes('PLAYING')) return "E: No stream is running";
+        return this.stateManager.states.PLAYING.teleportPlayer(x, y)
+            ? `Teleported to ${x},${y}`
+            : `E: Can't teleport to ${x},${y} (outside the grid or a wall)`;
+    }
+
+    /**
+     * Sets the tile whose data is shown (the hovered one in the browser).
+     * @param {number} x
+     * @param {number} y
+     */
+    inspectTile(x, y) {
+        this.hoveredTile = { x, y };
+    }
+
+    /**
+     * Shows a control's result in the panel.
+     * @param {string} message
+     * @returns {string} The same message.
+     */
+    setStatus(message) {
+        this.status = message;
+        return message;
+    }
+
+    /**
+     * Called by the StateManager before each update.
+     * @param {number} deltaTime - The update's deltaTime.
+     */
+    recordUpdate(deltaTime) {
+        this.lastDeltaTime = deltaTime;
+        this.stepCount++;
+        if (this.inputHandler.commandQueue.length > 0) {
+            this.lastCommands = [...this.inputHandler.commandQueue];
+        }
+    }
+
+    /**
+     * Called by the StateManager after each render: measures the frame and redraws the panel if it's shown.
+     */
+    render() {
+        const now = globalThis.performance.now();
+        if (this.lastRenderTime !== null) {
+            this.frameTime = (now - this.lastRenderTime) / 1000;
+            if (this.frameTime > 0) this.fps += ((1 / this.frameTime) - this.fps) * (this.fps === 0 ? 1 : FPS_SMOOTHING);
+        }
+        this.lastRenderTime = now;
+        this.stepsLastFrame = this.stepCount;
+        this.stepCount = 0;
+        if (!this.visible) return;
+
+        this.text = this.getText();
+        if (this.element && this.element.textContent !== this.text) {
+            this.element.textContent = this.text;
+        }
+    }
+
+    /**
+     * @returns {string} The panel's content, one line per item.
+     */
+    getText() {
+        const input = this.inputHandler;
+        const lines = [
+            `FPS ${this.fps.toFixed(0)}  frame ${(this.frameTime * 1000).toFixed(1)} ms  ` +
+                `${this.stepsLastFrame} step(s) of ${(this.lastDeltaTime * 1000).toFixed(1)} ms`,
+            `STATE ${this.stateManager.stack.join(' > ')}`,
+            `MODE ${input.mode}  pending ${JSON.stringify(input.getCommandBufferDisplay())}`,
+            `QUEUE ${input.commandQueue.length}  last: ${this.lastCommands.map(command => this._describe(command)).join(' ') || '-'}`,
+            "ACTIONS",
+            ...this.actions.map(action => `  ${this._describe(action)}`),
+            `TILE ${this._describeHoveredTile()}`,
+            [
+                this.halted ? `HALTED (${this.pendingSteps} steps queued)` : 'RUNNING',
+                this.enemiesFrozen ? 'ENEMIES FROZEN' : '',
+                this.status
+            ].filter(Boolean).join('  '),
+        ];
+        return lines.join('\n');
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Describes a command or action on one line.
+     * @param {object} object
+     * @returns {string}
+     * @private
+     */
+    _describe(object) {
+        const { type, ...rest } = object;
+        const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        const text = `${type}${details}`;
+        return text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…` : text;
+    }
+
+    /**
+     * Describes the inspected tile of the running stream, with all of its data (type, requiredWord, isWordStart...).
+     * @returns {string}
+     * @private
+     */
+    _describeHoveredTile() {
+        if (!this.hoveredTile) return '-';
+        const { x, y } = this.hoveredTile;
+        const tile = this.stateManager.stack.includes('PLAYING')
+            ? this.stateManager.states.PLAYING.currentLevel?.tiles[y]?.[x]
+            : null;
+        return `${x},${y} ${tile ? JSON.stringify(tile) : '(none)'}`;
+    }
+
+    /**
+     * Creates the panel next to the game screen.
+     * @private
+     */
+    _ensureElement() {
+        if (this.element || !this.container) return;
+        this.element = document.createElement('pre');
+        this.element.id = 'debug-overlay';
+        (this.container.parentElement ?? this.container).appendChild(this.element);
+    }
+
+    /**
+     * @param {MouseEvent} event
+     * @returns {{x: number, y: number} | null} The grid cell under the mouse (its tile element's, or the renderer's).
+     * @private
+     */
+    _getEventCell(event) {
+        const tileElement = event.target.closest?.('[data-x]');
+        if (tileElement) return { x: Number(tileElement.dataset.x), y: Number(tileElement.dataset.y) };
+        return this.renderer?.getCellAt?.(event.clientX, event.clientY) ?? null;
+    }
+
+    /** @private */
+    _onMouseMove(event) {
+        if (!this.visible) return;
+        const cell = this._getEventCell(event);
+        if (cell) this.inspectTile(cell.x, cell.y);
+    }
+
+    /** @private */
+    _onClick(event) {
+        if (!this.visible || !event.altKey) return;
+        const cell = this._getEventCell(event);
+        if (cell) this.setStatus(this.teleport(cell.x, cell.y));
+    }
+}
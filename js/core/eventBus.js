@@ -0,0 +1,111 @@
+// js/core/eventBus.js
+
+'use strict';
+
+/**
+ * Every event the game emits, with what its listeners receive. Emitting or listening to any other name throws,
+ * so a typo in an event name fails loudly instead of never firing.
+ *
+ * Events from a stream (all but modeChanged) also carry `playback: true` while a replay is being watched,
+ * so e.g. achievements can ignore them while sounds and effects still play.
+ * @type {Object<string, string>} Event name -> payload description
+ */
+export const GAME_EVENTS = Object.freeze({
+    tileCleared: '{ x, y, tileType, actionType } - A corrupted tile was cleared by an operator',
+    enemyDefeated: '{ enemy, x, y, actionType } - An enemy lost its last health point to an operator',
+    playerHit: '{ amount, integrity, x, y } - The player lost integrity this frame',
+    modeChanged: '{ from, to } - The input mode changed (INPUT_MODE values)',
+    phraseComplete: '{ position } - A target phrase was typed out',
+    feedback: '{ feedbackType, position, ... } - Any FEEDBACK action from the player (typing, searches, marks)',
+    playerAction: '{ action } - Any action from Player.handleInput, as the stream is about to apply it',
+    levelComplete: '{ levelId, time, score } - The exit node was reached',
+    playerDefeated: '{ levelId, time, score } - The player ran out of integrity',
+});
+
+/**
+ * Publish/subscribe hub for game events, so audio, effects, achievements or analytics can react to what happens
+ * without the core calling them. The core emits (PlayingState, InputHandler); anything else subscribes:
+ *   const off = events.on('enemyDefeated', ({ x, y }) => sounds.play('zap', x, y));
+ *   off(); // Stop listening
+ * Listeners run synchronously, in the order they subscribed. One that throws is logged and skipped,
+ * so a broken add-on can't stop the game loop.
+ */
+export default class EventBus {
+    constructor() {
+        this.listeners = new Map(); // event name -> Set of listeners
+        console.log("EventBus initialized.");
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} eventName - A key of GAME_EVENTS.
+     * @param {function(object): void} listener - Called with the event's payload.
+     * @returns {function(): void} Unsubscribes the listener.
+     */
+    on(eventName, listener) {
+        this._checkName(eventName);
+        if (!this.listeners.has(eventName)) this.listeners.set(eventName, new Set());
+        this.listeners.get(eventName).add(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Subscribes to the next time an event is emitted only.
+     * @param {string} eventName - A key of GAME_EVENTS.
+     * @param {function(object): void} listener
+     * @returns {function(): void} Unsubscribes the listener before it ran.
+     */
+    once(eventName, listener) {
+        const off = this.on(eventName, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Unsubscribes a listener.
+     * @param {string} eventName - A key of GAME_EVENTS.
+     * @param {function(object): void} listener - As passed to on().
+     */
+    off(eventName, listener) {
+        this.listeners.get(eventName)?.delete(listener);
+    }
+
+    /**
+     * Calls every listener of an event.
+     * @param {string} eventName - A key of GAME_EVENTS.
+     * @param {object} [payload={}] - As described in GAME_EVENTS.
+     */
+    emit(eventName, payload = {}) {
+        this._checkName(eventName);
+        // A copy, so listeners can unsubscribe (or subscribe others) while the event is being delivered
+        for (const listener of [...(this.listeners.get(eventName) ?? [])]) {
+            try {
+                listener(payload);
+            } catch (e) {
+                console.error(`Error in a '${eventName}' listener:`, e);
+            }
+        }
+    }
+
+    /**
+     * Removes every listener (e.g. between headless runs).
+     */
+    clear() {
+        this.listeners.clear();
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * @param {string} eventName
+     * @throws {Error} If the event isn't one of GAME_EVENTS.
+     * @private
+     */
+    _checkName(eventName) {
+        if (!Object.hasOwn(GAME_EVENTS, eventName)) {
+            throw new Error(`Unknown game event: ${eventName}`);
+        }
+    }
+}
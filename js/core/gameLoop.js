@@ -2,15 +2,24 @@
 
 'use strict';
 
+// Seconds of game time simulated by each update; the game always advances in these steps
+export const FIXED_TIMESTEP = 1 / 60;
+
+// Most real time simulated after a single frame, so a throttled or hidden tab doesn't run minutes of game at once
+const MAX_FRAME_TIME = 0.25;
+
 /**
  * Manages the main game loop using requestAnimationFrame.
- * Provides a consistent update and render cycle.
+ * The simulation runs on a fixed-step clock: real time is accumulated and spent in FIXED_TIMESTEP updates,
+ * so the game behaves the same at any frame rate. Rendering happens once per animation frame and is told how
+ * far real time is between the last step and the next one, to interpolate movement.
  */
 export default class GameLoop {
     /**
      * Creates a GameLoop instance.
-     * @param {function(number): void} update - The function to call for game logic updates. Receives deltaTime in seconds.
-     * @param {function(): void} render - The function to call for rendering the game state.
+     * @param {function(number): void} update - The function to call for game logic updates. Always receives FIXED_TIMESTEP (seconds).
+     * @param {function(number): void} render - The function to call for rendering the game state.
+     *   Receives the interpolation factor alpha (0-1): how far real time is past the last update, in steps.
      */
     constructor(update, render) {
         if (typeof update !== 'function') {
@@ -25,6 +34,7 @@ export default class GameLoop {
 
         this.isRunning = false; // Is the loop currently active?
         this.lastTime = 0;      // Timestamp of the last frame
+        this.accumulator = 0;   // Real seconds not simulated yet (less than one step after each frame)
         this.rafId = null;      // ID returned by requestAnimationFrame
 
         // Bind the loop method to ensure 'this' context is correct when called by requestAnimationFrame
@@ -43,6 +53,7 @@ export default class GameLoop {
         this.isRunning = true;
         // Initialize lastTime right before the first frame request
         this.lastTime = performance.now();
+        this.accumulator = 0;
         // Use requestAnimationFrame to start the loop
         this.rafId = requestAnimationFrame(this._loop);
     }
@@ -65,7 +76,7 @@ export default class GameLoop {
 
     /**
      * The core loop function, called recursively via requestAnimationFrame.
-     * Calculates delta time and calls update/render.
+     * Runs as many fixed steps as the elapsed time covers, then renders once.
      * @param {number} currentTime - The timestamp provided by requestAnimationFrame.
      * @private
      */
@@ -80,15 +91,16 @@ export default class GameLoop {
         const deltaTime = (currentTime - this.lastTime) / 1000; // Convert ms to seconds
         this.lastTime = currentTime;
 
-        // Optional: Cap delta time to prevent huge jumps if the tab was inactive
-        // const MAX_DELTA_TIME = 1 / 30; // Max update equivalent to 30fps
-        // const cappedDeltaTime = Math.min(deltaTime, MAX_DELTA_TIME);
+        // Cap delta time to prevent huge jumps if the tab was inactive
+        this.accumulator += Math.min(Math.max(deltaTime, 0), MAX_FRAME_TIME);
 
-        // --- Call Update and Render ---
+        // --- Call Update (fixed steps) and Render (interpolated) ---
         try {
-            // Pass delta time to the update function for frame-rate independent logic
-            this.update(deltaTime /* or cappedDeltaTime */);
-            this.render();
+            while (this.accumulator >= FIXED_TIMESTEP) {
+                this.update(FIXED_TIMESTEP);
+                this.accumulator -= FIXED_TIMESTEP;
+            }
+            this.render(this.accumulator / FIXED_TIMESTEP);
         } catch (error) {
             console.error("Error during game loop update/render:", error);
             this.stop(); // Stop the loop on critical error
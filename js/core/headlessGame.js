@@ -0,0 +1,125 @@
+// js/core/headlessGame.js
+
+'use strict';
+
+import StateManager from './stateManager.js';
+import HeadlessRenderer from './headlessRenderer.js';
+import EventBus from './eventBus.js';
+import DebugOverlay from './debugOverlay.js';
+import PluginRegistry from './pluginRegistry.js';
+import { FIXED_TIMESTEP } from './gameLoop.js';
+import InputHandler from '../input/inputHandler.js';
+import KeyMapper from '../input/keyMapper.js';
+import ScriptedInput from '../input/scriptedInput.js';
+import LevelManager from '../game_logic/levelManager.js';
+import HeadlessUIManager from '../game_logic/headlessUIManager.js';
+import RegisterManager from '../game_logic/registerManager.js';
+import UndoManager from '../game_logic/undoManager.js';
+import ReplayManager from '../game_logic/replayManager.js';
+import SaveManager from '../game_logic/saveManager.js';
+import Player from '../game_objects/player.js';
+import Random from '../utils/random.js';
+import { DEFAULT_SETTINGS } from '../data/constants.js';
+
+/**
+ * The whole game wired up as in main.js, but without a DOM, a window or a real clock, so it runs in Node:
+ * a HeadlessRenderer and HeadlessUIManager stand in for the screen, a ScriptedInput for the keyboard,
+ * and step() advances the simulation by fixed frames instead of a GameLoop.
+ *
+ * Example (a bot or test):
+ *   const game = new HeadlessGame();
+ *   game.type('<CR>');     // Start from the menu
+ *   game.step(60);         // One second of game time
+ *   game.type('3w');
+ *   game.renderer.getScreenText();
+ */
+export default class HeadlessGame {
+    /**
+     * @param {object} [options={}]
+     * @param {boolean} [options.record=false] - Log draw calls in renderer.calls.
+     * @param {Storage | null} [options.storage=null] - Where mappings, replays and save slots are saved (null to not persist).
+     * @param {object} [options.settings] - ':set' options overriding DEFAULT_SETTINGS.
+     * @param {string} [options.initialState='MENU'] - State to start in.
+     * @param {object} [options.initialParams={}] - Parameters for that state's enter().
+     * @param {PluginRegistry} [options.plugins] - Registry with plugins already loaded (none by default).
+     */
+    constructor({ record = false, storage = null, settings = {}, initialState = 'MENU', initialParams = {}, plugins = new PluginRegistry() } = {}) {
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.plugins = plugins;
+        this.renderer = new HeadlessRenderer({ record });
+        this.renderer.setPlugins(this.plugins);
+        this.uiManager = new HeadlessUIManager();
+        this.input = new ScriptedInput();
+        this.events = new EventBus();
+
+        this.inputHandler = new InputHandler();
+        this.inputHandler.setHistorySize(this.settings.history);
+        this.inputHandler.setEventBus(this.events);
+        this.inputHandler.setPlugins(this.plugins);
+        this.keyMapper = new KeyMapper(storage);
+        this.keyMapper.timeoutLength = this.settings.timeoutlen;
+        this.inputHandler.setKeyMapper(this.keyMapper);
+
+        this.levelManager = new LevelManager();
+        this.registerManager = new RegisterManager();
+        this.inputHandler.setRegisters(this.registerManager);
+        this.undoManager = new UndoManager();
+        this.replayManager = new ReplayManager(storage);
+        this.saveManager = new SaveManager(storage);
+        this.random = new Random();
+        this.player = new Player();
+        this.player.setSettings(this.settings);
+        this.player.setPlugins(this.plugins);
+
+        this.stateManager = new StateManager({
+            renderer: this.renderer,
+            inputHandler: this.inputHandler,
+            uiManager: this.uiManager,
+            levelManager: this.levelManager,
+            player: this.player,
+            settings: this.settings,
+            registerManager: this.registerManager,
+            undoManager: this.undoManager,
+            keyMapper: this.keyMapper,
+            replayManager: this.replayManager,
+            saveManager: this.saveManager,
+            events: this.events,
+            random: this.random,
+            plugins: this.plugins,
+        });
+        this.debugOverlay = new DebugOverlay({ stateManager: this.stateManager, inputHandler: this.inputHandler, events: this.events });
+        this.stateManager.setDebugOverlay(this.debugOverlay);
+
+        this.frame = 0; // Frames simulated so far
+        this.inputHandler.init(this.input);
+        this.debugOverlay.init();
+        this.uiManager.init();
+        this.stateManager.init(initialState, initialParams);
+    }
+
+    /**
+     * Simulates frames of FIXED_TIMESTEP, rendering after each one, as the GameLoop would.
+     * @param {number} [frames=1]
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.stateManager.update(FIXED_TIMESTEP);
+            this.stateManager.render(1);
+            this.frame++;
+        }
+    }
+
+    /**
+     * Types keys in Vim notation (e.g. 'dw', ':restart<CR>'). They are handled right away;
+     * call step() for the game to act on them.
+     * @param {string} keys
+     */
+    type(keys) {
+        this.input.type(keys);
+    }
+
+    /** @returns {string} Name of the current state ('MENU', 'PLAYING', ...). */
+    getStateName() {
+        return this.stateManager.currentStateName;
+    }
+}
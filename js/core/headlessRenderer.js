@@ -0,0 +1,143 @@
+// js/core/headlessRenderer.js
+
+'use strict';
+
+/**
+ * A Renderer without a DOM, for running the game in Node (tests, level checks, bots).
+ * It has the same public methods as Renderer and keeps what would be on screen as plain data:
+ * the tiles as last drawn, and the player, ghost and enemies by element id. getScreenText() shows it as text.
+ * With `record: true` it also logs every call, so a test can check what the game asked to draw.
+ */
+export default class HeadlessRenderer {
+    /**
+     * @param {object} [options={}]
+     * @param {boolean} [options.record=false] - Log every draw call in `calls`.
+     */
+    constructor({ record = false } = {}) {
+        this.container = null; // No DOM; states only read it optionally (e.g. the menu's title position)
+        this.record = record;
+        this.calls = []; // { method, args } of every call, oldest first (when recording)
+
+        this.tiles = []; // [y][x] -> tile data as last drawn or updated
+        this.drawnElements = new Map(); // 'player', 'ghost', 'enemy-<id>' -> { x, y, char }
+
+        // Rows currently shown, as set by setViewport
+        this.viewTop = 0;
+        this.viewRows = Infinity;
+
+        console.log("Renderer initialized (headless).");
+    }
+
+    setPlugins(plugins) {
+        this.plugins = plugins; // Tiles are kept as data, so plugin tile classes don't matter here
+    }
+
+    clearDynamicElements() {
+        this._record('clearDynamicElements');
+        this.drawnElements.clear();
+    }
+
+    clearAll() {
+        this._record('clearAll');
+        this.drawnElements.clear();
+        this.tiles = [];
+    }
+
+    /**
+     * Keeps a copy of the level grid.
+     * @param {object} levelGrid - { width, height, tiles } as in Renderer.drawGrid.
+     */
+    drawGrid(levelGrid) {
+        if (!levelGrid || !levelGrid.tiles || !levelGrid.width || !levelGrid.height) {
+            console.error("Invalid levelGrid data provided to drawGrid.");
+            return;
+        }
+        this.clearAll();
+        this._record('drawGrid', levelGrid);
+        this.tiles = levelGrid.tiles.map(row => row.map(tile => ({ ...tile })));
+        this.viewTop = 0;
+        this.viewRows = levelGrid.height;
+    }
+
+    /**
+     * Merges new data into a drawn tile.
+     * @param {number} x
+     * @param {number} y
+     * @param {object} tileData - As in Renderer.updateTile (type, char, highlight, selected, mark).
+     */
+    updateTile(x, y, tileData) {
+        this._record('updateTile', x, y, tileData);
+        if (this.tiles[y]?.[x]) {
+            Object.assign(this.tiles[y][x], tileData);
+        } else {
+            console.warn(`Attempted to update non-existent tile element at (${x}, ${y})`);
+        }
+    }
+
+    setViewport(top, rows) {
+        this._record('setViewport', top, rows);
+        this.viewTop = top;
+        this.viewRows = rows;
+    }
+
+    drawPlayer(player) {
+        this._record('drawPlayer', { x: player.x, y: player.y });
+        this.drawnElements.set('player', { x: player.x, y: player.y, char: player.char || '@' });
+    }
+
+    drawGhost(ghost) {
+        this._record('drawGhost', { x: ghost.x, y: ghost.y });
+        this.drawnElements.set('ghost', { x: ghost.x, y: ghost.y, char: ghost.char || '@' });
+    }
+
+    /**
+     * Places an enemy on its current cell; there's nothing to interpolate without a screen.
+     * @param {object} enemy - { id, x, y, char }.
+     * @param {number} [alpha=1]
+     */
+    drawEnemy(enemy, alpha = 1) {
+        this._record('drawEnemy', { id: enemy.id, x: enemy.x, y: enemy.y }, alpha);
+        this.drawnElements.set(`enemy-${enemy.id}`, { x: enemy.x, y: enemy.y, char: enemy.char || 'E' });
+    }
+
+    removeElementById(elementId) {
+        this._record('removeElementById', elementId);
+        this.drawnElements.delete(elementId);
+    }
+
+    drawText(text, x, y, options = {}) {
+        this._record('drawText', text, x, y, options);
+    }
+
+    present() {
+        // Nothing to put on screen; getScreenText() reads the current state at any time
+    }
+
+    /**
+     * Shows the visible rows as text, with the ghost, enemies and player drawn over the tiles (the player on top).
+     * @returns {string} One line per row.
+     */
+    getScreenText() {
+        const rows = this.tiles
+            .slice(this.viewTop, this.viewTop + this.viewRows)
+            .map(row => row.map(tile => tile?.char || ' '));
+        const layers = [...this.drawnElements].sort(([a], [b]) => (a === 'player') - (b === 'player'));
+        for (const [, { x, y, char }] of layers) {
+            const row = rows[y - this.viewTop];
+            if (row && x >= 0 && x < row.length) row[x] = char;
+        }
+        return rows.map(row => row.join('')).join('\n');
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Logs a call when recording.
+     * @param {string} method
+     * @param {...*} args
+     * @private
+     */
+    _record(method, ...args) {
+        if (this.record) this.calls.push({ method, args });
+    }
+}
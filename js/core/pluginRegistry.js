@@ -0,0 +1,344 @@
+// js/core/pluginRegistry.js
+
+'use strict';
+
+import Chaser from '../game_objects/enemies/chaser.js';
+import { isBoundKey } from '../input/commandParser.js';
+
+// Where the browser build looks for its plugin list
+export const DEFAULT_MANIFEST_URL = 'plugins/manifest.json';
+
+// Enemy classes the core ships, by the 'type' of a level's enemySpawns entry
+const BUILT_IN_ENEMIES = { chaser: Chaser };
+
+// Game state names are written like the core ones ('PLAYING', 'GAME_OVER')
+const STATE_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Tile types become CSS classes, so they are limited to class-safe names
+const TILE_TYPE_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Everything plugins add to the game: enemy types, tile types, NORMAL mode commands and motions, ex commands
+ * and game states. The core asks the registry instead of importing these itself (PlayingState builds enemies
+ * from it, the Renderer gets tile classes from it, the parser and Player look up keys and motions in it).
+ *
+ * A plugin is an ES module whose default export is { name, register(registry) }:
+ *   export default {
+ *       name: 'boosters',
+ *       register(registry) {
+ *           registry.registerTileType('booster', { css: '.tile.booster { color: #0f0; }', onEnter: ({ player }) => ... });
+ *       }
+ *   };
+ * Plugins are listed in a manifest (plugins/manifest.json) and loaded with loadManifest() before the game starts.
+ * Core keys, states and enemy types can't be replaced: registering a taken name throws, and use() logs the error
+ * and drops everything that plugin registered, so one broken plugin doesn't stop the game.
+ *
+ * Replays and saves record keys and spawn types only, so they play back the same with the same plugins loaded.
+ */
+export default class PluginRegistry {
+    constructor() {
+        this.plugins = []; // Names of the plugins registered so far, in load order
+        this.enemyTypes = new Map(Object.entries(BUILT_IN_ENEMIES)); // spawn type -> Enemy subclass
+        this.tileTypes = new Map(); // tile type -> { className, css, onEnter }
+        this.motions = new Map(); // motion name -> { key, name, linewise, find }
+        this.commands = new Map(); // command name -> { key, name, execute }
+        this.exCommands = new Map(); // ex command name -> { name, abbrev, execute }
+        this.states = new Map(); // state name -> BaseState subclass
+        console.log("PluginRegistry initialized.");
+    }
+
+    /**
+     * Registers a plugin's additions. Errors are logged, not thrown; a plugin that fails registers nothing.
+     * @param {{name: string, register: function(PluginRegistry): void}} plugin - A plugin module's default export.
+     * @returns {boolean} True if the plugin registered without errors.
+     */
+    use(plugin) {
+        const name = plugin?.name ?? '(unnamed)';
+        const before = this._getRegistrations();
+        try {
+            if (typeof plugin?.register !== 'function') {
+                throw new Error("A plugin must export { name, register(registry) }");
+            }
+            if (this.plugins.includes(name)) {
+                throw new Error("Already loaded");
+            }
+            plugin.register(this);
+            this.plugins.push(name);
+            console.log(`Plugin loaded: ${name}`);
+            return true;
+        } catch (e) {
+            console.error(`Plugin '${name}' failed to load:`, e);
+            this._setRegistrations(before); // Whatever it registered before failing is taken back
+            return false;
+        }
+    }
+
+    /**
+     * Loads the plugins listed in a manifest ({ "plugins": ["path/to/plugin.js", ...] }, paths relative to it).
+     * @param {string | URL} [manifestUrl=DEFAULT_MANIFEST_URL]
+     * @returns {Promise<string[]>} Names of the plugins loaded. A missing or malformed manifest loads none.
+     */
+    async loadManifest(manifestUrl = DEFAULT_MANIFEST_URL) {
+        const url = new URL(manifestUrl, globalThis.location?.href);
+        let manifest;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.log(`No plugin manifest at ${url} (${response.status}).`);
+                return [];
+            }
+            manifest = await response.json();
+        } catch (e) {
+            console.error(`Plugin manifest ${url} could not be read:`, e);
+            return [];
+        }
+        if (!Array.isArray(manifest?.plugins)) {
+            console.error(`Plugin manifest ${url} has no "plugins" list.`);
+            return [];
+        }
+        return this.loadModules(manifest.plugins, url);
+    }
+
+    /**
+     * Imports plugin modules and registers them in the given order.
+     * @param {string[]} paths - Module paths, relative to baseUrl.
+     * @param {string | URL} baseUrl - URL the paths are resolved against (the manifest's).
+     * @returns {Promise<string[]>} Names of the plugins loaded.
+     */
+    async loadModules(paths, baseUrl) {
+        const loaded = [];
+        for (const path of paths) {
+            try {
+                const module = await import(new URL(path, baseUrl).href);
+                if (this.use(module.default)) loaded.push(module.default.name);
+            } catch (e) {
+                console.error(`Plugin ${path} could not be imported:`, e);
+            }
+        }
+        return loaded;
+    }
+
+    // --- Enemies ---
+
+    /**
+     * Adds an enemy type that levels can spawn with { type, x, y, ... } in their enemySpawns.
+     * @param {string} type - Spawn type; also the enemy element's CSS class.
+     * @param {typeof import('../game_objects/enemy.js').default} EnemyClass - Built with the spawn entry plus { random }.
+     */
+    registerEnemy(type, EnemyClass) {
+        if (typeof EnemyClass !== 'function') throw new Error(`Enemy type '${type}' needs a class`);
+        this._claim(this.enemyTypes, type, 'Enemy type');
+        this.enemyTypes.set(type, EnemyClass);
+    }
+
+    /**
+     * @param {string} type - Spawn type.
+     * @returns {Function | null} The enemy class, or null for unknown types.
+     */
+    getEnemyClass(type) {
+        return this.enemyTypes.get(type) ?? null;
+    }
+
+    // --- Tiles ---
+
+    /**
+     * Adds a tile type. Levels place it like any other ({ char, type }); the tile's element gets its class.
+     * @param {string} type - Tile type (lowercase, dashes).
+     * @param {object} [options={}]
+     * @param {string} [options.className=type] - CSS class of its tiles.
+     * @param {string} [options.css=''] - Style rules added to the page (e.g. '.tile.booster { color: #0f0; }').
+     * @param {function(object): void} [options.onEnter] - Called with { state, player, tile, x, y } when the player
+     *   steps onto one of its tiles.
+     */
+    registerTileType(type, { className = type, css = '', onEnter = null } = {}) {
+        if (!TILE_TYPE_PATTERN.test(type)) throw new Error(`Invalid tile type: '${type}'`);
+        this._claim(this.tileTypes, type, 'Tile type');
+        this.tileTypes.set(type, { className, css, onEnter });
+    }
+
+    /**
+     * @param {string} type - Tile type.
+     * @returns {{className: string, css: string, onEnter: function | null} | null} A plugin tile type, or null.
+     */
+    getTileType(type) {
+        return this.tileTypes.get(type) ?? null;
+    }
+
+    /**
+     * @returns {string[]} CSS classes of all plugin tile types (the Renderer removes them when a tile changes type).
+     */
+    getTileClassNames() {
+        return [...this.tileTypes.values()].map(({ className }) => className);
+    }
+
+    /**
+     * @returns {string} The style rules of all plugin tile types, for one <style> element.
+     */
+    getStyles() {
+        return [...this.tileTypes.values()].map(({ css }) => css).filter(Boolean).join('\n');
+    }
+
+    // --- NORMAL mode keys ---
+
+    /**
+     * Adds a motion. It moves the cursor alone, and works with d, c and y (exclusive, or whole rows if linewise).
+     * @param {string} key - A key no core command uses (e.g. '|').
+     * @param {object} motion
+     * @param {string} motion.name - Motion name used in commands (e.g. 'COLUMN').
+     * @param {function(object): ({x: number, y: number} | null)} motion.find - Called with
+     *   { player, grid, x, y, count }; returns the target, or null if the motion fails.
+     * @param {boolean} [motion.linewise=false] - Operators act on whole rows from the cursor's to the target's.
+     */
+    registerMotion(key, { name, find, linewise = false }) {
+        if (typeof find !== 'function') throw new Error(`Motion '${name}' needs a find function`);
+        this._claimKey(key);
+        this._claim(this.motions, name, 'Motion');
+        this.motions.set(name, { key, name, find, linewise });
+    }
+
+    /**
+     * @param {string} name - Motion name.
+     * @returns {object | null} The plugin motion, or null.
+     */
+    getMotion(name) {
+        return this.motions.get(name) ?? null;
+    }
+
+    /**
+     * @param {string} key - Normalized key.
+     * @returns {object | null} The plugin motion bound to the key, or null.
+     */
+    getMotionByKey(key) {
+        return [...this.motions.values()].find(motion => motion.key === key) ?? null;
+    }
+
+    /**
+     * Adds a NORMAL mode command. It can't follow an operator; a count before it is passed on.
+     * @param {string} key - A key no core command uses.
+     * @param {object} command
+     * @param {string} command.name - Command name (e.g. 'BOOST').
+     * @param {function(object): void} command.execute - Called by the running stream with { state, player, count }.
+     */
+    registerCommand(key, { name, execute }) {
+        if (typeof execute !== 'function') throw new Error(`Command '${name}' needs an execute function`);
+        this._claimKey(key);
+        this._claim(this.commands, name, 'Command');
+        this.commands.set(name, { key, name, execute });
+    }
+
+    /**
+     * @param {string} name - Command name.
+     * @returns {object | null} The plugin command, or null.
+     */
+    getCommand(name) {
+        return this.commands.get(name) ?? null;
+    }
+
+    /**
+     * @param {string} key - Normalized key.
+     * @returns {object | null} The plugin command bound to the key, or null.
+     */
+    getCommandByKey(key) {
+        return [...this.commands.values()].find(command => command.key === key) ?? null;
+    }
+
+    // --- Ex commands ---
+
+    /**
+     * Adds an ex command. Core commands are matched first, so a plugin can't shadow one (or its abbreviation).
+     * @param {string} name - Full name (letters only), e.g. 'tiles'.
+     * @param {object} command
+     * @param {string} [command.abbrev=name] - Shortest accepted prefix.
+     * @param {function(object): (boolean | void)} command.execute - Called by the current state with
+     *   { state, args, bang, raw }; returns true if it switched state.
+     */
+    registerExCommand(name, { abbrev = name, execute }) {
+        if (!/^[a-zA-Z]+$/.test(name) || !name.startsWith(abbrev)) throw new Error(`Invalid ex command name: '${name}'`);
+        if (typeof execute !== 'function') throw new Error(`Ex command '${name}' needs an execute function`);
+        this._claim(this.exCommands, name, 'Ex command');
+        this.exCommands.set(name, { name, abbrev, execute });
+    }
+
+    /**
+     * @param {string} name - Full ex command name.
+     * @returns {object | null} The plugin ex command, or null.
+     */
+    getExCommand(name) {
+        return this.exCommands.get(name) ?? null;
+    }
+
+    /**
+     * @returns {Array<{name: string, abbrev: string}>} Plugin ex commands, for the InputHandler's ':' line.
+     */
+    getExCommands() {
+        return [...this.exCommands.values()].map(({ name, abbrev }) => ({ name, abbrev }));
+    }
+
+    // --- Game states ---
+
+    /**
+     * Adds a game state. It's built like the core states (new StateClass(stateManager, dependencies)) and entered
+     * with stateManager.switchTo(name) or push(name), e.g. from a plugin command.
+     * @param {string} name - State name in capitals (e.g. 'SHOP'); core state names are refused by the StateManager.
+     * @param {Function} StateClass - Usually a subclass of BaseState (exported by stateManager.js).
+     */
+    registerState(name, StateClass) {
+        if (!STATE_NAME_PATTERN.test(name)) throw new Error(`Invalid state name: '${name}'`);
+        if (typeof StateClass !== 'function') throw new Error(`State '${name}' needs a class`);
+        this._claim(this.states, name, 'State');
+        this.states.set(name, StateClass);
+    }
+
+    /**
+     * @returns {Array<[string, Function]>} Plugin states as [name, class] pairs.
+     */
+    getStates() {
+        return [...this.states.entries()];
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * @returns {object} Copies of the registry's maps, for _setRegistrations() to go back to.
+     * @private
+     */
+    _getRegistrations() {
+        const { enemyTypes, tileTypes, motions, commands, exCommands, states } = this;
+        return {
+            enemyTypes: new Map(enemyTypes), tileTypes: new Map(tileTypes), motions: new Map(motions),
+            commands: new Map(commands), exCommands: new Map(exCommands), states: new Map(states),
+        };
+    }
+
+    /**
+     * @param {object} registrations - From _getRegistrations().
+     * @private
+     */
+    _setRegistrations(registrations) {
+        Object.assign(this, registrations);
+    }
+
+    /**
+     * @param {Map} map - One of the registry's maps.
+     * @param {string} name - The name to register.
+     * @param {string} kind - What is registered, for the error.
+     * @throws {Error} If the name is empty or taken.
+     * @private
+     */
+    _claim(map, name, kind) {
+        if (!name) throw new Error(`${kind} needs a name`);
+        if (map.has(name)) throw new Error(`${kind} '${name}' is already registered`);
+    }
+
+    /**
+     * @param {string} key - The key a motion or command wants.
+     * @throws {Error} If a core or plugin command already uses the key.
+     * @private
+     */
+    _claimKey(key) {
+        if (!key) throw new Error("A key is needed");
+        if (isBoundKey(key) || this.getMotionByKey(key) || this.getCommandByKey(key)) {
+            throw new Error(`Key '${key}' is already bound`);
+        }
+    }
+}
@@ -2,6 +2,9 @@
 
 'use strict';
 
+// CSS classes of the core tile types (css/game.css); a tile's element carries the one of its type
+const TILE_TYPE_CLASSES = ['pathway', 'data-node', 'corrupted', 'decoration', 'typo', 'typed-correct', 'barrier', 'exit-node'];
+
 /**
  * Handles rendering the game state to the DOM.
  * Creates and manages DOM elements for tiles, player, enemies, etc.
@@ -27,9 +30,23 @@ export default class Renderer {
         // Store references to grid tile elements if frequent updates are needed
         this.tileElements = []; // 2D array [y][x] potentially
 
+        // Rows currently shown (tall grids scroll); positions on screen are relative to viewTop
+        this.viewTop = 0;
+        this.viewRows = Infinity;
+
+        this.plugins = null; // PluginRegistry of extra tile types
+
         console.log("Renderer initialized (DOM Mode). Container:", this.container);
     }
 
+    /**
+     * Gives the renderer the plugin registry, so tiles of plugin types get (and lose) their classes.
+     * @param {PluginRegistry} plugins - The shared plugin registry.
+     */
+    setPlugins(plugins) {
+        this.plugins = plugins;
+    }
+
     /**
      * Clears dynamic elements like player and enemies.
      * Note: The grid itself is usually cleared/redrawn only on level load by drawGrid.
@@ -70,6 +87,8 @@ export default class Renderer {
         // --- Configure CSS Grid on the container ---
         this.container.style.gridTemplateColumns = `repeat(${levelGrid.width}, 1fr)`;
         this.container.style.gridTemplateRows = `repeat(${levelGrid.height}, 1fr)`;
+        this.viewTop = 0; // A new grid starts fully shown; setViewport narrows it
+        this.viewRows = levelGrid.height;
         // Calculate approximate font size based on cell size (optional refinement)
         // const approxCellWidth = this.container.offsetWidth / levelGrid.width;
         // const approxFontSize = Math.min(approxCellWidth * 0.8, 16); // Example calculation
@@ -93,7 +112,7 @@ export default class Renderer {
                 tileElement.classList.add('tile');
 
                 // Add specific class based on tile type
-                tileElement.classList.add(tileData.type || 'pathway'); // e.g., 'pathway', 'data-node', 'corrupted'
+                tileElement.classList.add(this._getTileClass(tileData.type || 'pathway')); // e.g., 'pathway', 'data-node', 'corrupted'
 
                 // Add content (the character)
                 tileElement.textContent = tileData.char || '';
@@ -125,9 +144,9 @@ export default class Renderer {
 
             // Example: Update classes based on new type
             if (tileData.type) {
-                // Remove old type classes (you might need a list of possible types)
-                tileElement.classList.remove('pathway', 'data-node', 'corrupted', 'highlight', 'typed-correct'); // Add all types
-                tileElement.classList.add(tileData.type);
+                // Remove the old type's class, whichever core or plugin type it was
+                tileElement.classList.remove(...TILE_TYPE_CLASSES, ...(this.plugins?.getTileClassNames() ?? []), 'highlight');
+                tileElement.classList.add(this._getTileClass(tileData.type));
             }
             // Example: Update character content
             if (tileData.char !== undefined) {
@@ -137,12 +156,57 @@ export default class Renderer {
              if (tileData.highlight !== undefined) {
                 tileElement.classList.toggle('highlight', tileData.highlight);
             }
+            // Visual mode selection
+            if (tileData.selected !== undefined) {
+                tileElement.classList.toggle('selected', tileData.selected);
+            }
+            // Mark names ('' removes them), shown faintly in the tile's corner
+            if (tileData.mark !== undefined) {
+                tileElement.classList.toggle('marked', tileData.mark !== '');
+                tileElement.dataset.mark = tileData.mark;
+            }
 
         } else {
             console.warn(`Attempted to update non-existent tile element at (${x}, ${y})`);
         }
     }
 
+    /**
+     * Shows only some rows of the grid, so tall streams scroll to follow the player.
+     * The player and enemies are placed in the view the next time they're drawn.
+     * @param {number} top - First visible row.
+     * @param {number} rows - Number of visible rows.
+     */
+    setViewport(top, rows) {
+        this.viewTop = top;
+        this.viewRows = rows;
+        this.container.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+        this.tileElements.forEach((row, y) => row.forEach(tileElement => {
+            if (tileElement) this._placeInView(tileElement, y);
+        }));
+    }
+
+    /**
+     * Puts an element on its grid row relative to the view, hiding it if the row is scrolled out.
+     * @param {HTMLElement} element
+     * @param {number} y - Grid row (0-based).
+     * @private
+     */
+    _placeInView(element, y) {
+        const visible = y >= this.viewTop && y < this.viewTop + this.viewRows;
+        element.style.display = visible ? '' : 'none';
+        if (visible) element.style.gridRow = y - this.viewTop + 1;
+    }
+
+    /**
+     * @param {string} type - Tile type.
+     * @returns {string} The CSS class of its tiles (the type itself, unless a plugin tile type names another).
+     * @private
+     */
+    _getTileClass(type) {
+        return this.plugins?.getTileType(type)?.className ?? type;
+    }
+
     /**
      * Draws or updates the player element on the grid.
      * @param {object} player - The player object, containing at least { x, y, char, state (optional) }.
@@ -164,18 +228,41 @@ export default class Renderer {
         playerElement.textContent = player.char || '@'; // Player character
         // Set position (Translate 0-based game coords to 1-based CSS grid coords)
         playerElement.style.gridColumn = player.x + 1;
-        playerElement.style.gridRow = player.y + 1;
+        this._placeInView(playerElement, player.y);
 
         // Update classes based on state (example)
         playerElement.classList.toggle('hit', player.state === 'hit');
         playerElement.classList.toggle('typing', player.state === 'typing');
     }
 
+    /**
+     * Draws or updates the ghost: a translucent cursor retracing a recorded run.
+     * @param {object} ghost - The ghost object, containing at least { x, y, char }.
+     */
+    drawGhost(ghost) {
+        const elementId = 'ghost';
+        let ghostElement = this.drawnElements.get(elementId);
+
+        if (!ghostElement) {
+            ghostElement = document.createElement('div');
+            ghostElement.classList.add('tile', 'ghost');
+            ghostElement.id = elementId;
+            this.container.appendChild(ghostElement);
+            this.drawnElements.set(elementId, ghostElement);
+        }
+
+        ghostElement.textContent = ghost.char || '@';
+        ghostElement.style.gridColumn = ghost.x + 1;
+        this._placeInView(ghostElement, ghost.y);
+    }
+
     /**
      * Draws or updates an enemy element on the grid.
      * @param {object} enemy - The enemy object, containing at least { id, x, y, char, type (optional), state (optional) }.
+     *   previousX/previousY (optional) are where it was before the last simulation step.
+     * @param {number} [alpha=1] - How far the enemy is drawn from its previous position to its current one (0-1).
      */
-    drawEnemy(enemy) {
+    drawEnemy(enemy, alpha = 1) {
         const elementId = `enemy-${enemy.id}`; // Unique ID for each enemy
         let enemyElement = this.drawnElements.get(elementId);
 
@@ -192,7 +279,11 @@ export default class Renderer {
         // Update properties
         enemyElement.textContent = enemy.char || 'E';
         enemyElement.style.gridColumn = enemy.x + 1;
-        enemyElement.style.gridRow = enemy.y + 1;
+        this._placeInView(enemyElement, enemy.y);
+        // Slide back towards the previous cell; the element is one cell wide, so percentages are cells
+        const offsetX = ((enemy.previousX ?? enemy.x) - enemy.x) * (1 - alpha);
+        const offsetY = ((enemy.previousY ?? enemy.y) - enemy.y) * (1 - alpha);
+        enemyElement.style.transform = offsetX || offsetY ? `translate(${offsetX * 100}%, ${offsetY * 100}%)` : '';
 
         // Update state class (example)
         enemyElement.classList.toggle('alert', enemy.state === 'alert');
@@ -210,6 +301,12 @@ export default class Renderer {
         }
     }
 
+    /**
+     * Called by the StateManager after every frame. DOM elements are on screen as soon as they change, so there's
+     * nothing left to do (the CanvasRenderer draws its frame here).
+     */
+    present() {}
+
     /**
       * Draws temporary text on the screen (e.g., for debug info).
       * Note: UI text like score/health is handled by UIManager.
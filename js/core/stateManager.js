@@ -3,12 +3,39 @@
 'use strict';
 
 // --- Imports ---
-import InputHandler from '../input/inputHandler.js'; // Keep for INPUT_MODE if needed
-import Chaser from '../game_objects/enemies/chaser.js';
+import InputHandler, { INPUT_MODE } from '../input/inputHandler.js';
+import Enemy from '../game_objects/enemy.js';
+import Ghost from '../game_objects/ghost.js';
+import { findMatches, getRangeCells, compareReadingOrder, insertIntoRow, removeFromRow, createOpenedRow, isWallTile, getTileUpdate } from '../game_logic/gridManager.js';
+import { MAX_VIEW_ROWS } from '../data/constants.js';
+import { createSeed } from '../utils/random.js';
+import { DEFAULT_SLOT } from '../game_logic/saveManager.js';
 // ... other potential imports ...
 
-// --- BaseState Class --- (remains the same)
-class BaseState {
+// Player actions that change grid tiles; each one is recorded as an undoable change set
+const UNDOABLE_ACTIONS = [
+    'DELETE_RANGE', 'CHANGE_RANGE', 'REPLACE_CHAR', 'REPLACE_RANGE', 'TOGGLE_CASE_RANGE', 'PUT',
+    'OPEN_LINE', 'INSERT_TILE', 'REMOVE_TILE', 'OVERWRITE_TILE', 'RESTORE_TILE'
+];
+
+// Score for overwriting a typo tile with its correct character
+const TYPO_FIX_SCORE = 10;
+
+// Ex commands in a replay that would leave the stream; playback ends there instead
+const RUN_ENDING_EX_COMMANDS = ['quit', 'restart', 'stream', 'edit', 'wq'];
+
+// Ex commands in a replay that are skipped: they pause, open boxes or change the viewer's own mappings
+const PLAYBACK_SKIPPED_EX_COMMANDS = ['pause', 'vimrc', 'replay', 'ghost', 'help', 'write', 'debug'];
+
+// Seconds skipped by h/l (and H/L, ten times as far) while watching a replay
+const REPLAY_SCRUB_SECONDS = 1;
+
+// Shown by ':help'
+const HELP_TEXT = "hjkl w b e move  d c y operators  i a o insert  x r R edit  / ? search  u undo  q @ macros  " +
+    ":w :e :ls :set :map :registers :replay :ghost :restart :quit  [Esc] close";
+
+// --- BaseState Class --- (remains the same; exported for the states plugins add)
+export class BaseState {
     constructor(stateManager, dependencies) {
         this.stateManager = stateManager;
         this.renderer = dependencies.renderer;
@@ -16,6 +43,15 @@ class BaseState {
         this.uiManager = dependencies.uiManager;
         this.levelManager = dependencies.levelManager;
         this.player = dependencies.player;
+        this.settings = dependencies.settings; // Shared options object changed by ':set'
+        this.registers = dependencies.registerManager; // Yank/delete/put registers shared by all streams
+        this.undoManager = dependencies.undoManager; // Undo/redo history of the current stream
+        this.keyMapper = dependencies.keyMapper; // User key mappings (:map, :nnoremap, ...)
+        this.replayManager = dependencies.replayManager; // Records runs and plays them back
+        this.random = dependencies.random; // Seeded PRNG for all gameplay randomness (utils/random.js)
+        this.saveManager = dependencies.saveManager; // Named save slots of streams in progress (:w, :e)
+        this.events = dependencies.events; // EventBus that sounds, effects, achievements... subscribe to (core/eventBus.js)
+        this.plugins = dependencies.plugins; // PluginRegistry of enemy types, tile types, commands and states (core/pluginRegistry.js)
         if (!this.renderer || !this.inputHandler || !this.uiManager || !this.levelManager || !this.player) {
             throw new Error(`State ${this.constructor.name} missing core dependencies!`);
         }
@@ -23,7 +59,331 @@ class BaseState {
     enter(params) {}
     exit() {}
     update(deltaTime) {}
-    render() {}
+    render(alpha) {}
+
+    /**
+     * Called when an overlay state is pushed on top of this one. The state stays as it is (and keeps being
+     * drawn underneath) but stops getting updates until the overlay is popped.
+     * @param {string} overlayName - Name of the state pushed on top.
+     */
+    suspend(overlayName) {}
+
+    /**
+     * Called when the overlay on top of this state is popped and updates continue.
+     * @param {object} params - Parameters passed to StateManager.pop().
+     */
+    resume(params) {}
+
+    /**
+     * Executes an ex command (an EX_COMMAND queued by the InputHandler's ':' line).
+     * Handles the commands that behave the same in every state; states override this to add their own.
+     * @param {object} command - { name, bang, args, raw } as produced by InputHandler.
+     * @returns {boolean} True if the command switched state, so the caller should stop its update.
+     */
+    executeExCommand(command) {
+        switch (command.name) {
+            case 'quit':
+                this.stateManager.switchTo('MENU');
+                return true;
+            case 'stream':
+                return this.loadStream(command.args[0]);
+            case 'set':
+                this.executeSet(command.args);
+                return false;
+            case 'replay':
+                return this.executeReplayCommand(command.args);
+            case 'ghost':
+                this.executeGhostCommand(command.args);
+                return false;
+            case 'help':
+                this.stateManager.push('HELP');
+                return true;
+            case 'edit':
+                return this.loadSave(command.args[0]);
+            case 'ls':
+                this.listSaves();
+                return false;
+            case 'debug':
+                this.executeDebugCommand(command.args);
+                return false;
+            case 'vimrc':
+                this.uiManager.showVimrcImport((text) => {
+                    const { imported, skipped, errors } = this.keyMapper.importVimrc(text);
+                    this.uiManager.showMessage(errors.length > 0
+                        ? `${imported} mappings imported, ${errors.length} failed: ${errors[0]}`
+                        : `${imported} mappings imported, ${skipped} other lines skipped`, 4000);
+                });
+                return false;
+            case null:
+                this.uiManager.showMessage(`E492: Not an editor command: ${command.raw}`, 2000);
+                return false;
+            default:
+                const pluginCommand = this.plugins?.getExCommand(command.name);
+                if (pluginCommand) {
+                    return pluginCommand.execute({ state: this, args: command.args, bang: command.bang, raw: command.raw }) === true;
+                }
+                if (this.keyMapper?.getCommand(command.name)) {
+                    this.executeMapCommand(command);
+                    return false;
+                }
+                this.uiManager.showMessage(`E: :${command.name} is not available here`, 2000);
+                return false;
+        }
+    }
+
+    /**
+     * Runs a :map family command (':nnoremap <Space> :', ':unmap j', ':map' to list, ...).
+     * @param {object} command - The EX_COMMAND object.
+     */
+    executeMapCommand(command) {
+        const argText = command.raw.replace(/^[a-zA-Z]+!?\s*/, ''); // Mappings need the text as typed, spaces included
+        const { listing, error } = this.keyMapper.execute(command.name, command.bang, argText);
+        if (error) {
+            this.uiManager.showMessage(error, 2000);
+        } else if (listing) {
+            // Vim's format: mode, lhs, then '*' for noremap mappings before the rhs
+            this.uiManager.showMessage(listing.length > 0
+                ? listing.map(({ mode, lhsText, rhsText, noremap }) => `${mode} ${lhsText} ${noremap ? '*' : ''}${rhsText}`).join('  ')
+                : "No mapping found", 4000);
+        }
+    }
+
+    /**
+     * Runs ':replay' (watch the last run), ':replay save' (download it as JSON) or ':replay load' (paste a shared run).
+     * @param {string[]} args - The arguments after ':replay'.
+     * @returns {boolean} True if playback started, switching state.
+     */
+    executeReplayCommand(args) {
+        if (!this.replayManager) return false;
+        const action = args[0] || 'play';
+        if (action === 'load') {
+            this.uiManager.showTextImport("Paste a replay (JSON saved with :replay save)", '{"version":1,...}', (text) => {
+                try {
+                    this.startReplay(this.replayManager.parse(text));
+                } catch (e) {
+                    this.uiManager.showMessage(e.message, 3000);
+                }
+            });
+            return false;
+        }
+
+        const replay = this.replayManager.getLastReplay();
+        if (!replay) {
+            this.uiManager.showMessage("E: No run recorded yet", 2000);
+            return false;
+        }
+        switch (action) {
+            case 'play':
+                return this.startReplay(replay);
+            case 'save':
+                this.uiManager.downloadText(`vimrunner-stream-${replay.levelId}-${replay.outcome}.json`, this.replayManager.serialize(replay));
+                return false;
+            default:
+                this.uiManager.showMessage(`E475: Invalid argument: ${action}`, 2000);
+                return false;
+        }
+    }
+
+    /**
+     * Runs ':ghost' (show which run is raced on the current stream), ':ghost load' (paste a shared run to race)
+     * or ':ghost best' (race the best run again).
+     * @param {string[]} args - Ex command arguments.
+     */
+    executeGhostCommand(args) {
+        if (!this.replayManager) return;
+        const levelId = this.levelManager.getCurrentLevelId();
+        switch (args[0]) {
+            case undefined:
+                const replay = this.replayManager.getGhostReplay(levelId);
+                const kind = replay && replay === this.replayManager.getBestReplay(levelId) ? 'best run' : 'imported run';
+                this.uiManager.showMessage(replay
+                    ? `Ghost: ${kind}, ${replay.time.toFixed(1)}s${this.settings?.ghost ? '' : ' (hidden, :set ghost)'}`
+                    : `No ghost for stream ${levelId} yet: complete it to set a best run`, 3000);
+                break;
+            case 'load':
+                this.uiManager.showTextImport("Paste a run to race (JSON saved with :replay save)", '{"version":1,...}', (text) => {
+                    try {
+                        const replay = this.replayManager.parse(text);
+                        this.replayManager.setGhostReplay(replay);
+                        this.uiManager.showMessage(`Ghost loaded for stream ${replay.levelId} (${replay.time.toFixed(1)}s). :restart to race it`, 4000);
+                    } catch (e) {
+                        this.uiManager.showMessage(e.message, 3000);
+                    }
+                });
+                break;
+            case 'best':
+                this.replayManager.clearGhostReplay(levelId);
+                this.uiManager.showMessage("Racing the best run from the next start", 2000);
+                break;
+            default:
+                this.uiManager.showMessage(`E475: Invalid argument: ${args[0]}`, 2000);
+        }
+    }
+
+    /**
+     * Loads a replay's stream and starts playing the replay back.
+     * @param {object} replay - A replay from the ReplayManager.
+     * @returns {boolean} True if the stream was found and PLAYING was entered.
+     */
+    startReplay(replay) {
+        const levelData = this.levelManager.loadLevel(replay.levelId);
+        if (!levelData) {
+            this.uiManager.showMessage(`E: Stream ${replay.levelId} not found`, 2000);
+            return false;
+        }
+        this.stateManager.switchTo('PLAYING', { levelData, replay });
+        return true;
+    }
+
+    /**
+     * Runs ':e [slot]': continues the stream saved in a slot, or the most recently saved one.
+     * @param {string} [slot] - Slot name.
+     * @returns {boolean} True if the save was loaded, switching state.
+     */
+    loadSave(slot = this.saveManager?.getLatestSlot()) {
+        if (!this.saveManager) return false;
+        if (!slot) {
+            this.uiManager.showMessage("E32: No file name", 2000);
+            return false;
+        }
+        let save;
+        try {
+            save = this.saveManager.load(slot);
+        } catch (e) {
+            this.uiManager.showMessage(e.message, 3000);
+            return false;
+        }
+        if (!save) {
+            this.uiManager.showMessage(`E484: Can't open file ${slot}`, 2000);
+            return false;
+        }
+        const levelData = this.levelManager.loadLevel(save.levelId);
+        if (!levelData) {
+            this.uiManager.showMessage(`E: Stream ${save.levelId} not found`, 2000);
+            return false;
+        }
+        this.stateManager.switchTo('PLAYING', { levelData, save, saveSlot: slot });
+        return true;
+    }
+
+    /**
+     * Runs ':debug' through the debug overlay (see core/debugOverlay.js).
+     * @param {string[]} args - Ex command arguments.
+     */
+    executeDebugCommand(args) {
+        const debugOverlay = this.stateManager.debugOverlay;
+        if (!debugOverlay) {
+            this.uiManager.showMessage("E: The debug overlay is not available", 2000);
+            return;
+        }
+        this.uiManager.showMessage(debugOverlay.execute(args), 2000);
+    }
+
+    /**
+     * Runs ':ls': lists the save slots, most recent first, like Vim's buffer list.
+     */
+    listSaves() {
+        const saves = this.saveManager?.list() ?? [];
+        this.uiManager.showMessage(saves.length > 0
+            ? saves.map(({ slot, levelId, elapsedTime }) => `"${slot}" stream ${levelId} ${elapsedTime.toFixed(1)}s`).join('  ')
+            : "No saves yet: :w [name] saves the stream", 4000);
+    }
+
+    /**
+     * Loads a stream through the LevelManager and starts playing it.
+     * @param {number | string} levelId - The stream ID typed by the player.
+     * @returns {boolean} True if the stream was found and PLAYING was entered.
+     */
+    loadStream(levelId) {
+        if (levelId === undefined) {
+            this.uiManager.showMessage("E471: Argument required", 2000);
+            return false;
+        }
+        const levelData = this.levelManager.loadLevel(levelId);
+        if (!levelData) {
+            this.uiManager.showMessage(`E: Stream ${levelId} not found`, 2000);
+            return false;
+        }
+        this.stateManager.switchTo('PLAYING', { levelData });
+        return true;
+    }
+
+    /**
+     * Applies ':set' arguments to the shared settings, Vim style:
+     * 'name' (enable / show), 'noname', 'invname' or 'name!' (toggle), 'name?' (show), 'name=value'.
+     * With no arguments, lists every option.
+     * @param {string[]} args - The space separated arguments after ':set'.
+     */
+    executeSet(args) {
+        if (!this.settings) return;
+        const describe = (name) => {
+            const value = this.settings[name];
+            return typeof value === 'boolean' ? (value ? name : `no${name}`) : `${name}=${value}`;
+        };
+
+        if (args.length === 0 || args[0] === 'all') {
+            this.uiManager.showMessage(Object.keys(this.settings).map(describe).join('  '), 4000);
+            return;
+        }
+
+        const shown = [];
+        for (const arg of args) {
+            const match = arg.match(/^(no|inv)?([a-z]+)(\?|!|=(.*))?$/);
+            const prefix = match?.[1];
+            let name = match?.[2];
+            // 'nofoo' could also be an option that really starts with 'no'
+            if (match && prefix && !(name in this.settings) && (prefix + name) in this.settings) {
+                name = prefix + name;
+            }
+            if (!match || !(name in this.settings)) {
+                this.uiManager.showMessage(`E518: Unknown option: ${arg}`, 2000);
+                return;
+            }
+
+            const suffix = match[3];
+            const isBoolean = typeof this.settings[name] === 'boolean';
+            if (suffix === '?' || (!isBoolean && !suffix && !prefix)) {
+                shown.push(describe(name));
+            } else if (suffix?.startsWith('=')) {
+                const value = Number(match[4]);
+                if (isBoolean || match[4] === '' || !Number.isFinite(value)) {
+                    this.uiManager.showMessage(`E521: Number required after =: ${arg}`, 2000);
+                    return;
+                }
+                this.applySetting(name, value);
+            } else if (isBoolean) {
+                const toggle = prefix === 'inv' || suffix === '!';
+                this.applySetting(name, toggle ? !this.settings[name] : prefix !== 'no');
+            } else {
+                this.uiManager.showMessage(`E474: Invalid argument: ${arg}`, 2000);
+                return;
+            }
+        }
+        if (shown.length > 0) {
+            this.uiManager.showMessage(shown.join('  '), 3000);
+        }
+    }
+
+    /**
+     * Stores a setting and pushes it to the subsystem that uses it.
+     * @param {string} name - Setting name (a key of DEFAULT_SETTINGS).
+     * @param {boolean | number} value - The new value.
+     */
+    applySetting(name, value) {
+        this.settings[name] = value;
+        switch (name) {
+            case 'showcmd':
+                if (value) this.uiManager.showElement(this.uiManager.elements.commandBuffer);
+                else this.uiManager.hideElement(this.uiManager.elements.commandBuffer);
+                break;
+            case 'history':
+                this.inputHandler.setHistorySize(value);
+                break;
+            case 'timeoutlen':
+                if (this.keyMapper) this.keyMapper.timeoutLength = value;
+                break;
+        }
+    }
 }
 
 // --- LoadingState Class --- (remains the same)
@@ -45,6 +405,20 @@ class PlayingState extends BaseState {
          // Remove internal paused flag: this.paused = false;
          this.elapsedTime = 0;
          this.enemies = [];
+         this.searchPattern = ''; // Pattern currently highlighted ('' = none)
+         this.searchHighlights = []; // Cells currently carrying the search highlight
+         this.selectedCells = new Set(); // 'x,y' keys of cells drawn as the visual selection
+         this.recordingRegister = null; // Macro register shown in the HUD as being recorded
+         this.drawnMarks = new Map(); // 'x,y' -> mark names currently drawn on that tile
+         this.insertSession = null; // { snapshot, playerBefore, cost, overwritten } of the insert or R being typed, undone as one change
+         this.viewTop = 0; // First grid row shown
+         this.viewRows = null; // Number of rows shown (null = not applied to the renderer yet)
+         this.seed = 0; // Seed of the run's randomness, stored in its replay
+         this.beforePlayback = null; // { settings, registers } of the viewer, restored when a replay stops
+         this.playbackEnded = false; // True once the replay being watched has shown how the run ended
+         this.ghost = null; // Ghost retracing the best (or an imported) run, drawn only
+         this.saveSlot = null; // Slot ':w' writes to (the one the stream was loaded from or last saved in)
+         this.lastPlayerCell = null; // { x, y } the player was on last frame, so plugin tiles react once per entry
          console.log("PlayingState instantiated.");
      }
 
@@ -53,53 +427,193 @@ class PlayingState extends BaseState {
          console.log("Entering PlayingState");
          // ...
          this.enemies = []; // Ensure cleared
-         // ... Spawn Enemies ... (remains same)
+         // A new stream starts a fresh undo history; resuming from pause keeps it
+         if (params.levelData) {
+             this.undoManager.reset(params.levelData.undo);
+             this.player.resetMarks();
+             this.insertSession = null;
+         }
+         // The grid was redrawn, so nothing is highlighted or selected any more
+         this.searchHighlights = [];
+         this.selectedCells = new Set();
+         this.drawnMarks = new Map();
+         this.viewTop = 0;
+         this.viewRows = null;
+         this.player.clearVisual();
+         // A new run (or a replay of one) starts its randomness from the run's seed; params.seed fixes it
+         if (params.levelData) {
+             this.seed = params.replay?.seed ?? params.seed ?? createSeed();
+             this.random?.setSeed(this.seed);
+         }
+         // ... Spawn Enemies ... (remains same; each enemySpawns entry is built by this.createEnemy(config))
+         if (params.levelData) {
+             this.saveSlot = params.saveSlot ?? null;
+             this.lastPlayerCell = null;
+         }
+         if (params.save) {
+             this.restoreSave(params.save);
+         }
          // ... Initialize Input ...
-         this.inputHandler.setActive(true);
-         this.inputHandler.setMode(INPUT_MODE.NORMAL);
-         this.inputHandler.clearCommandBuffer();
-         // Register pause listener (e.g., Escape key)
-         this.inputHandler.registerActionListener('pause', () => {
-              // --- SWITCH TO PAUSED STATE ---
-              this.stateManager.switchTo('PAUSED');
-              // ---------------------------
-         });
+         this.listenForInput();
+
+         // --- Record the run, or play a replay back ---
+         if (params.replay) {
+             this.beginPlayback(params.replay, params.startFrame ?? 0);
+         } else if (params.levelData && !params.save && this.replayManager) {
+             // A continued run can't be replayed from the stream's start, so only fresh runs are recorded (and raced)
+             this.replayManager.startRecording({
+                 levelId: params.levelData.id, seed: this.seed, settings: this.settings, registers: this.registers?.snapshot() ?? {}
+             });
+         }
+         if (this.replayManager?.isRecording()) {
+             this.inputHandler.setKeyRecorder(key => this.replayManager.recordKey(key));
+         }
+         if (params.levelData) {
+             this.setupGhost();
+         }
      }
 
-    // REMOVE togglePause() method - handled by state switching now
+    /**
+     * Gives the keyboard to the stream: NORMAL mode, nothing pending, Escape pauses.
+     */
+    listenForInput() {
+        this.inputHandler.setActive(true);
+        this.endInsert(); // Whatever was typed before leaving the stream stays one undo step
+        this.inputHandler.setMode(INPUT_MODE.NORMAL);
+        this.inputHandler.clearCommandBuffer();
+        this.listenForPause();
+    }
+
+    /**
+     * Registers the pause listener (Escape in NORMAL mode).
+     */
+    listenForPause() {
+        this.inputHandler.registerActionListener('pause', () => {
+             if (this.replayManager?.isPlaying()) return; // An Escape in a replay was a pause the viewer doesn't need
+             // --- PUSH THE PAUSED OVERLAY ---
+             this.stateManager.push('PAUSED');
+             // ---------------------------
+        });
+    }
+
+    /**
+     * Freezes the run under an overlay. Keys typed in the overlay aren't part of the run, except on the
+     * ex command line, whose command runs in the stream once the line is entered.
+     * @param {string} overlayName - Name of the state pushed on top.
+     */
+    suspend(overlayName) {
+        this.inputHandler.unregisterActionListener('pause');
+        if (overlayName !== 'COMMAND_LINE') this.inputHandler.setKeyRecorder(null);
+    }
+
+    /**
+     * Continues the same run after an overlay closes. The input mode is left as the overlay left it
+     * (leaving the ex line goes back to NORMAL or VISUAL, and its command is still queued for the stream).
+     */
+    resume() {
+        this.inputHandler.setActive(true);
+        this.listenForPause();
+        if (this.replayManager?.isRecording()) {
+            this.inputHandler.setKeyRecorder(key => this.replayManager.recordKey(key));
+        }
+        // ':set' may have changed these while paused
+        this.highlightSearch(this.searchPattern);
+        if (Boolean(this.ghost) !== Boolean(this.settings?.ghost)) this.setupGhost();
+        this.uiManager.updateCommandBuffer(this.inputHandler.getCommandBufferDisplay());
+    }
 
     update(deltaTime) {
-        // If we are in this state's update, we are not paused (pause is a separate state)
+        // If we are in this state's update, no overlay (pause, help, ex line) is on top
+        if (this.holdForDebugger()) return;
+        if (this.replayManager?.isPlaying()) {
+            this.updatePlayback(deltaTime);
+            return;
+        }
+        if (this.inputHandler.isOnExLine()) {
+            this.stateManager.push('COMMAND_LINE'); // The run waits while an ex command is typed
+            return;
+        }
+        if (this.replayManager?.isRecording()) {
+            deltaTime = this.replayManager.recordFrame(deltaTime); // Simulated with the time the replay stores
+        }
+        this.simulate(deltaTime);
+    }
 
+    /**
+     * While the debug overlay halts the stream, frames only run when stepped. Only ':debug' commands are run
+     * meanwhile, so the stream can be stepped or resumed; other commands wait for the next frame that runs.
+     * @returns {boolean} True if this frame is held.
+     */
+    holdForDebugger() {
+        const debugOverlay = this.stateManager.debugOverlay;
+        if (!debugOverlay?.isHalted()) return false;
+        if (this.inputHandler.isOnExLine()) {
+            this.stateManager.push('COMMAND_LINE');
+            return true;
+        }
+        for (const command of this.inputHandler.takeCommands(command => command.type === 'EX_COMMAND' && command.name === 'debug')) {
+            this.executeExCommand(command);
+        }
+        return debugOverlay.isHalted() && !debugOverlay.takeStep(); // ':debug run' lets this frame go ahead
+    }
+
+    /**
+     * Runs one frame of the stream: input, player, enemies, collisions and win/loss checks.
+     * Played and replayed runs both go through here, so they behave the same.
+     * @param {number} deltaTime - Seconds since the last frame.
+     */
+    simulate(deltaTime) {
         // Update Timer
         this.elapsedTime += deltaTime;
         this.uiManager.updateTimer(this.elapsedTime);
+        const integrityBefore = this.player.getIntegrity(); // Any damage this frame is reported as one hit
 
         // Get Input Commands & Process Player Actions (remains the same)
-        const commands = this.inputHandler.getCommands();
+        this.inputHandler.tick(); // Feed the next command of a running macro
+        const commands = this.routeCommands(this.inputHandler.getCommands());
+        if (!commands) return; // An ex command left or restarted the stream
+        const playerBefore = { x: this.player.x, y: this.player.y }; // Where undo puts the cursor back
         const playerActions = this.player.handleInput(commands, deltaTime);
-        this.processPlayerActions(playerActions);
+        this.processPlayerActions(playerActions, playerBefore);
 
         // Player State Update (remains the same)
         this.player.update(deltaTime);
-
-        // Update Enemies & Check Defeat (remains the same)
-        for (let i = this.enemies.length - 1; i >= 0; i--) { /* ... */ }
+        this.replayManager?.recordPosition(this.player.x, this.player.y);
+        this.updateGhost();
+        this.updateViewport();
+        this.updateVisualSelection();
+        this.updateMarks();
+
+        // Update Enemies & Check Defeat (remains the same); the debug overlay can freeze them
+        const enemiesFrozen = this.stateManager.debugOverlay?.enemiesFrozen ?? false;
+        if (enemiesFrozen) {
+            this.abandonRecording();
+        } else {
+            for (let i = this.enemies.length - 1; i >= 0; i--) { /* ... */ }
+        }
 
         // Check Collisions (remains the same)
         for (const enemy of this.enemies) { /* ... */ }
 
-        // Tile Interaction (remains the same)
+        // Tile Interaction (remains the same), then the tile types added by plugins
         this.checkTileInteraction();
+        this.checkPluginTileInteraction();
+
+        const integrityLost = integrityBefore - this.player.getIntegrity();
+        if (integrityLost > 0) {
+            this.emitEvent('playerHit', { amount: integrityLost, integrity: this.player.getIntegrity(), x: this.player.x, y: this.player.y });
+        }
 
         // Update UI (remains the same)
         this.uiManager.updateIntegrity(this.player.getIntegrity());
+        this.uiManager.updateCommandBuffer(this.inputHandler.getCommandBufferDisplay());
+        this.updateRecordingIndicator();
         // ... etc ...
 
         // --- Check Win/Loss Conditions --- (Switch to new states)
         if (this.player.getState() === 'defeated') {
             // --- SWITCH TO GAME_OVER STATE ---
-            this.stateManager.switchTo('GAME_OVER', {
+            this.endRun('defeated', 'GAME_OVER', {
                 score: this.player.getScore(),
                 levelId: this.currentLevel?.id || 1 // Pass level ID for retry
             });
@@ -110,7 +624,7 @@ class PlayingState extends BaseState {
             // TODO: Check objectives?
             console.log("Player reached Exit Node!");
             // --- SWITCH TO LEVEL_COMPLETE STATE ---
-            this.stateManager.switchTo('LEVEL_COMPLETE', {
+            this.endRun('complete', 'LEVEL_COMPLETE', {
                  score: this.player.getScore(),
                  levelId: this.currentLevel?.id || 0,
                  nextLevelId: (this.currentLevel?.id || 0) + 1 // Simple next level logic
@@ -119,90 +633,1108 @@ class PlayingState extends BaseState {
         }
     }
 
-    /** Handles actions requested by the player object */
-    processPlayerActions(actions) {
+    /**
+     * Ends the run: stores its replay and switches to the game over or stream complete screen.
+     * A replay being watched just stops at that point instead.
+     * @param {string} outcome - 'defeated' or 'complete'.
+     * @param {string} stateName - State to switch to.
+     * @param {object} params - Parameters for the state's enter().
+     */
+    endRun(outcome, stateName, params) {
+        this.emitEvent(outcome === 'complete' ? 'levelComplete' : 'playerDefeated', {
+            levelId: this.currentLevel?.id, time: this.elapsedTime, score: this.player.getScore()
+        });
+        if (this.replayManager?.isPlaying()) {
+            this.finishPlayback(outcome === 'complete' ? "stream complete" : "integrity failure");
+            return;
+        }
+        this.replayManager?.stopRecording({ outcome, time: this.elapsedTime, score: this.player.getScore() });
+        this.stateManager.switchTo(stateName, params);
+    }
+
+    /**
+     * Stops recording the run, keeping it as abandoned, after a debug control changed the stream in a way
+     * a replay couldn't reproduce. The run goes on unrecorded and without a ghost.
+     */
+    abandonRecording() {
+        if (!this.replayManager?.isRecording()) return;
+        this.replayManager.stopRecording({ outcome: 'abandoned', time: this.elapsedTime, score: this.player.getScore() });
+        this.inputHandler.setKeyRecorder(null);
+        this.setupGhost();
+        this.uiManager.showMessage("Debug control used: the rest of this run isn't recorded", 2000);
+    }
+
+    /**
+     * Moves the player to a cell without any movement rules (debug overlay).
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean} False if the cell is outside the grid or a wall.
+     */
+    teleportPlayer(x, y) {
+        if (isWallTile(this.currentLevel?.tiles[y]?.[x])) return false;
+        this.abandonRecording();
+        this.endInsert();
+        this.player.setPosition(x, y);
+        return true;
+    }
+
+    /**
+     * Emits a stream event on the EventBus, flagged when it happens in a replay being watched.
+     * @param {string} eventName - A key of GAME_EVENTS.
+     * @param {object} payload - As described in GAME_EVENTS.
+     */
+    emitEvent(eventName, payload) {
+        this.events?.emit(eventName, { ...payload, playback: this.replayManager?.isPlaying() ?? false });
+    }
+
+    // --- Ghost ---
+
+    /**
+     * Sets up the ghost for a recorded run, following ':set ghost'. Replays being watched have no ghost.
+     */
+    setupGhost() {
+        this.ghost = null;
+        this.renderer.removeElementById('ghost');
+        this.uiManager.updateGhostDelta(null);
+        if (!this.settings?.ghost || !this.replayManager?.isRecording()) return;
+
+        const replay = this.replayManager.getGhostReplay(this.currentLevel?.id ?? this.levelManager.getCurrentLevelId());
+        if (replay) {
+            this.ghost = new Ghost(this.replayManager.getPath(replay), replay);
+            this.ghost.update(this.elapsedTime);
+        }
+    }
+
+    /**
+     * Moves the ghost along its run and shows how far behind or ahead the player is on the current cell.
+     * The ghost is never checked for collisions and never touches the grid.
+     */
+    updateGhost() {
+        if (!this.ghost) return;
+        this.ghost.update(this.elapsedTime);
+        const delta = this.ghost.getTimeDelta(this.player.x, this.player.y, this.elapsedTime);
+        if (delta !== null) this.uiManager.updateGhostDelta(delta); // Off the ghost's path, the last delta stays
+    }
+
+    // --- Replay Playback ---
+
+    /**
+     * Starts (or, when scrubbing back, restarts) playing a replay on the freshly loaded stream.
+     * The replay's settings and registers replace the viewer's until playback stops, and typed keys become
+     * the playback controls.
+     * @param {object} replay - The replay to play.
+     * @param {number} startFrame - Frame to skip ahead to right away.
+     */
+    beginPlayback(replay, startFrame) {
+        if (this.replayManager.isPlaying()) {
+            this.replayManager.rewind(); // The stream was reloaded to scrub backwards
+        } else {
+            this.beforePlayback = { settings: { ...this.settings }, registers: this.registers?.snapshot() ?? {} };
+            this.replayManager.startPlayback(replay);
+        }
+        this.playbackEnded = false;
+        Object.assign(this.settings, replay.settings);
+        this.registers?.restore(replay.registers);
+        this.uiManager.updateRegisters(this.registers?.list() ?? []);
+        this.inputHandler.setKeyRecorder(null);
+        this.inputHandler.setKeyMapper(null); // Replays were recorded after mapping
+        this.inputHandler.setKeyInterceptor((key) => this.handlePlaybackKey(key));
+        this.uiManager.showMessage("[Space] pause  [<] [>] speed  [h] [l] scrub  [0] restart  [Esc] stop", 0);
+        this.advancePlayback(startFrame);
+    }
+
+    /**
+     * Plays the replay frames due in this real frame, at the playback speed.
+     * @param {number} deltaTime - Real seconds since the last frame.
+     */
+    updatePlayback(deltaTime) {
+        for (const frame of this.replayManager.takeFrames(deltaTime)) {
+            this.playFrame(frame);
+            if (this.playbackEnded || this.stateManager.currentState !== this) break;
+        }
+        if (this.replayManager.isPlaybackDone() && !this.playbackEnded) {
+            this.finishPlayback();
+        }
+        this.uiManager.updateCommandBuffer(this.replayManager.getStatusText());
+    }
+
+    /**
+     * Plays frames right away, without waiting for real time (scrubbing forward).
+     * @param {number} frameCount - Number of frames to play.
+     */
+    advancePlayback(frameCount) {
+        for (let i = 0; i < frameCount && !this.playbackEnded; i++) {
+            const frame = this.replayManager.nextFrame();
+            if (!frame) break;
+            this.playFrame(frame);
+        }
+        if (this.replayManager.isPlaybackDone() && !this.playbackEnded) {
+            this.finishPlayback();
+        }
+        this.uiManager.updateCommandBuffer(this.replayManager.getStatusText());
+    }
+
+    /**
+     * Feeds one recorded frame to the game: its keys first, as they were typed before it, then the frame itself.
+     * @param {{deltaTime: number, keys: string[]}} frame
+     */
+    playFrame({ deltaTime, keys }) {
+        keys.forEach(key => this.inputHandler.replayKey(key));
+        this.simulate(deltaTime);
+    }
+
+    /**
+     * Jumps to another point of the replay. Going back reloads the stream and plays up to the target,
+     * since a run can only be reproduced from its start.
+     * @param {number} frame - Target frame.
+     */
+    seekPlayback(frame) {
+        const target = Math.max(0, Math.min(frame, this.replayManager.getFrameCount()));
+        const current = this.replayManager.getPlaybackFrame();
+        if (target >= current) {
+            this.advancePlayback(target - current);
+            return;
+        }
+        const replay = this.replayManager.getPlaybackReplay();
+        this.stateManager.switchTo('PLAYING', { levelData: this.levelManager.loadLevel(replay.levelId), replay, startFrame: target });
+    }
+
+    /**
+     * Shows that the replay has no more frames; the controls still work (e.g. [0] to watch again).
+     * @param {string} [result] - How the run ended, if it ended here.
+     */
+    finishPlayback(result) {
+        const replay = this.replayManager.getPlaybackReplay();
+        this.playbackEnded = true;
+        this.replayManager.skipToEnd(); // Frames after the end (e.g. the rest of a frame with ':restart') aren't played
+        this.uiManager.showMessage(`Replay finished: ${result ?? replay.outcome}. [0] watch again  [Esc] stop`, 0);
+    }
+
+    /**
+     * Stops watching the replay, gives the viewer back their settings, registers and mappings,
+     * and starts the stream for real.
+     */
+    stopPlayback() {
+        const replay = this.replayManager.getPlaybackReplay();
+        this.replayManager.stopPlayback();
+        Object.assign(this.settings, this.beforePlayback?.settings);
+        this.registers?.restore(this.beforePlayback?.registers);
+        this.uiManager.updateRegisters(this.registers?.list() ?? []);
+        this.beforePlayback = null;
+        this.inputHandler.setKeyInterceptor(null);
+        this.inputHandler.setKeyMapper(this.keyMapper);
+        this.uiManager.clearMessage();
+        this.loadStream(replay.levelId);
+    }
+
+    /**
+     * Playback controls, used instead of the game's keys while a replay is watched.
+     * @param {string} key - Normalized key name.
+     */
+    handlePlaybackKey(key) {
+        const frameAt = (seconds) => this.replayManager.getFrameAtTime(Math.max(0, this.replayManager.getTimeAtFrame() + seconds));
+        switch (key) {
+            case ' ':
+                this.replayManager.togglePause();
+                break;
+            case '>':
+            case '<':
+                this.replayManager.changeSpeed(key === '>' ? 1 : -1);
+                break;
+            case 'l':
+            case 'h':
+            case 'L':
+            case 'H':
+                const seconds = REPLAY_SCRUB_SECONDS * (key === 'L' || key === 'H' ? 10 : 1);
+                this.seekPlayback(frameAt(key === 'l' || key === 'L' ? seconds : -seconds));
+                return; // Seeking back re-enters this state
+            case '0':
+                this.seekPlayback(0);
+                return;
+            case 'Escape':
+            case 'q':
+                this.stopPlayback();
+                return;
+            default:
+                return;
+        }
+        this.uiManager.updateCommandBuffer(this.replayManager.getStatusText());
+    }
+
+    /**
+     * Handles the commands that belong to the state rather than the player (ex commands, search previews)
+     * and returns the rest for Player.handleInput.
+     * @param {Array<object>} commands - Commands from the InputHandler.
+     * @returns {Array<object> | null} Player commands, or null if an ex command switched state.
+     */
+    routeCommands(commands) {
+        const playerCommands = [];
+        for (const command of commands) {
+            if (command.type === 'EX_COMMAND') {
+                // Ex commands can leave or restart the stream, so stop the frame if they do
+                if (this.executeExCommand(command)) return null;
+            } else if (command.type === 'PLUGIN_COMMAND') {
+                this.plugins?.getCommand(command.name)?.execute({ state: this, player: this.player, count: command.count });
+            } else if (command.type === 'SEARCH_PREVIEW') {
+                if (this.settings?.incsearch || command.pattern === this.inputHandler.lastSearch?.pattern) {
+                    this.highlightSearch(command.pattern);
+                }
+            } else {
+                if (command.pattern) {
+                    this.highlightSearch(command.pattern); // An executed search (or n/N) becomes the highlight
+                }
+                playerCommands.push(command);
+            }
+        }
+        return playerCommands;
+    }
+
+    /**
+     * Highlights every match of a pattern on the grid, replacing the previous highlight.
+     * Only the pattern is remembered when 'hlsearch' is off, so turning it on shows it again.
+     * @param {string} pattern - Search pattern ('' clears the highlight).
+     */
+    highlightSearch(pattern) {
+        this.searchPattern = pattern;
+        for (const { x, y } of this.searchHighlights) {
+            this.renderer.updateTile(x, y, { highlight: false });
+        }
+        this.searchHighlights = [];
+
+        if (!pattern || !this.settings?.hlsearch) return;
+        const matches = findMatches(this.currentLevel, pattern, { ignoreCase: this.settings.ignorecase });
+        for (const match of matches) {
+            for (let x = match.x; x < match.x + match.length; x++) {
+                this.renderer.updateTile(x, match.y, { highlight: true });
+                this.searchHighlights.push({ x, y: match.y });
+            }
+        }
+    }
+
+    /**
+     * Draws the player's visual selection, touching only the tiles that entered or left it.
+     */
+    updateVisualSelection() {
+        const range = this.player.getVisualRange();
+        const cells = range ? getRangeCells(range, this.currentLevel.width, this.currentLevel.height) : [];
+        const nowSelected = new Set(cells.map(({ x, y }) => `${x},${y}`));
+
+        for (const key of this.selectedCells) {
+            if (!nowSelected.has(key)) {
+                const [x, y] = key.split(',').map(Number);
+                this.renderer.updateTile(x, y, { selected: false });
+            }
+        }
+        for (const key of nowSelected) {
+            if (!this.selectedCells.has(key)) {
+                const [x, y] = key.split(',').map(Number);
+                this.renderer.updateTile(x, y, { selected: true });
+            }
+        }
+        this.selectedCells = nowSelected;
+    }
+
+    /**
+     * Scrolls the view just enough to keep the player visible (on grids taller than the view) and tells
+     * the player which rows are shown, for H, M and L.
+     */
+    updateViewport() {
+        const height = this.currentLevel.height;
+        const rows = Math.min(this.currentLevel.viewRows ?? MAX_VIEW_ROWS, height);
+        let top = Math.min(this.viewTop, height - rows);
+        if (this.player.y < top) {
+            top = this.player.y;
+        } else if (this.player.y >= top + rows) {
+            top = this.player.y - rows + 1;
+        }
+        if (top !== this.viewTop || rows !== this.viewRows) {
+            this.viewTop = top;
+            this.viewRows = rows;
+            this.renderer.setViewport(top, rows);
+        }
+        this.player.setViewport(top, rows);
+    }
+
+    /**
+     * Draws the player's marks on their tiles, touching only tiles whose marks changed.
+     */
+    updateMarks() {
+        const marks = new Map();
+        for (const { name, x, y } of this.player.getMarks()) {
+            const key = `${x},${y}`;
+            marks.set(key, (marks.get(key) || '') + name); // Several marks can share a tile
+        }
+
+        for (const key of new Set([...this.drawnMarks.keys(), ...marks.keys()])) {
+            const names = marks.get(key) || '';
+            if (names !== (this.drawnMarks.get(key) || '')) {
+                const [x, y] = key.split(',').map(Number);
+                this.renderer.updateTile(x, y, { mark: names });
+            }
+        }
+        this.drawnMarks = marks;
+    }
+
+    /**
+     * Shows or hides the "recording @x" indicator when macro recording starts or stops.
+     * A finished recording lands in a register, so the register display is refreshed too.
+     */
+    updateRecordingIndicator() {
+        const recording = this.inputHandler.getRecordingRegister();
+        if (recording === this.recordingRegister) return;
+        this.recordingRegister = recording;
+        this.uiManager.updateRecording(recording);
+        if (!recording && this.registers) {
+            this.uiManager.updateRegisters(this.registers.list());
+        }
+    }
+
+    /**
+     * Re-applies the search highlight when a setting that affects it changes.
+     * @param {string} name - Setting name.
+     * @param {boolean | number} value - The new value.
+     */
+    applySetting(name, value) {
+        super.applySetting(name, value);
+        if (name === 'hlsearch' || name === 'ignorecase') {
+            this.highlightSearch(this.searchPattern);
+        } else if (name === 'ghost') {
+            this.setupGhost();
+        }
+    }
+
+    /**
+     * Adds the stream-only ex commands to the ones every state understands.
+     * @param {object} command - The EX_COMMAND object.
+     * @returns {boolean} True if the command switched state.
+     */
+    executeExCommand(command) {
+        if (this.replayManager?.isPlaying()) {
+            if (RUN_ENDING_EX_COMMANDS.includes(command.name)) {
+                this.finishPlayback();
+                return true;
+            }
+            if (PLAYBACK_SKIPPED_EX_COMMANDS.includes(command.name) || this.keyMapper?.getCommand(command.name)) return false;
+        }
+        switch (command.name) {
+            case 'restart':
+                return this.loadStream(this.currentLevel?.id ?? this.levelManager.getCurrentLevelId());
+            case 'pause':
+                this.stateManager.push('PAUSED');
+                return true;
+            case 'write':
+                this.writeSave(command.args[0]);
+                return false;
+            case 'wq':
+                if (!this.writeSave(command.args[0])) return false;
+                this.stateManager.switchTo('MENU');
+                return true;
+            case 'ghost':
+                if (command.args[0] !== 'load') return super.executeExCommand(command);
+                // falls through: the import box pauses the stream like :vimrc's
+            case 'vimrc':
+                // Pause first so enemies don't move while the import box is open
+                this.stateManager.push('PAUSED');
+                super.executeExCommand(command);
+                return true;
+            case 'registers':
+                const registers = this.registers?.list() || [];
+                this.uiManager.showMessage(registers.length
+                    ? registers.map(({ name, text }) => `"${name} ${text}`).join('  ')
+                    : "Registers are empty", 4000);
+                return false;
+            case 'nohlsearch':
+                // Like Vim, only hides the highlight; the next n/N or search shows it again
+                for (const { x, y } of this.searchHighlights) {
+                    this.renderer.updateTile(x, y, { highlight: false });
+                }
+                this.searchHighlights = [];
+                return false;
+            default:
+                return super.executeExCommand(command);
+        }
+    }
+
+    /**
+     * Handles actions requested by the player object.
+     * @param {Array<object>} actions - Actions from Player.handleInput.
+     * @param {{x: number, y: number}} [playerBefore] - Player position before the commands ran, restored on undo.
+     */
+    processPlayerActions(actions, playerBefore = { x: this.player.x, y: this.player.y }) {
         for (const action of actions) {
+            this.emitEvent('playerAction', { action });
+            // Copy the tiles the action may change before it runs, so only those are compared for undo
+            // (while inserting, they go into the snapshot taken when the insert started, which covers everything typed)
+            const snapshot = UNDOABLE_ACTIONS.includes(action.type)
+                ? this.insertSession?.snapshot ?? this.captureUndoSnapshot() : null;
+            if (snapshot) this.addUndoCells(snapshot, action);
+
             switch (action.type) {
                 // --- UPDATED/ADDED CASES ---
                 case 'DELETE_RANGE':
                 case 'CHANGE_RANGE':
+                    // Like Vim, deleted text goes to a register before it's removed
+                    this.storeInRegister(action.register, action.target, 'delete');
                     this.handleRangeAction(action.target, action.cost, action.type);
-                    // If it was a CHANGE action, trigger typing mode
+                    // A change continues as an insert, typing from where the changed text started
                     if (action.type === 'CHANGE_RANGE') {
-                         // TODO: Determine the correct starting position after deletion (usually startX, startY)
-                         // TODO: Determine what the target phrase should be (usually empty unless replacing specific text)
-                         console.log("Change action completed, requesting TYPING mode.");
-                         this.inputHandler.setMode(INPUT_MODE.TYPING, { targetPhrase: '' }); // Start typing empty space
-                         // Maybe move player cursor explicitly?
-                         // this.player.setPosition(action.target.startX, action.target.startY);
+                        const { startX, startY, endX, endY, kind } = action.target;
+                        if (kind === 'char') {
+                            const start = compareReadingOrder({ x: startX, y: startY }, { x: endX, y: endY }) <= 0
+                                ? { x: startX, y: startY } : { x: endX, y: endY };
+                            this.player.setPosition(start.x, start.y);
+                        }
+                        this.beginInsert(snapshot, playerBefore);
                     }
                     break;
                   case 'REPLACE_CHAR':
                      const replaceTarget = action.target;
-                     const replTile = this.getTileAt(replaceTarget.x, replaceTarget.y);
-                     // Add rules? Only replace certain types? Cost CPU?
-                     if(replTile && replTile.type !== 'barrier'){ // Can't replace barriers
-                        console.log(`Replacing char at (${replaceTarget.x}, ${replaceTarget.y}) with ${replaceTarget.char}`);
-                        this.updateGridTile(replaceTarget.x, replaceTarget.y, { char: replaceTarget.char /*, maybe change type? */ });
-                        // No score/cost for basic replace?
-                     }
+                     this.replaceTileChar(replaceTarget.x, replaceTarget.y, replaceTarget.char);
                      break;
-                 // ...(Other cases like MODE_CHANGE_REQUEST, FEEDBACK remain same)...
-                case 'MODE_CHANGE_REQUEST': /* ... */ break;
-                case 'FEEDBACK': /* ... */ break;
+                case 'REPLACE_RANGE': // Visual r{char}
+                    for (const { x, y } of getRangeCells(action.target, this.currentLevel.width, this.currentLevel.height)) {
+                        this.replaceTileChar(x, y, action.target.char);
+                    }
+                    break;
+                case 'TOGGLE_CASE_RANGE': // Visual ~
+                    for (const { x, y } of getRangeCells(action.target, this.currentLevel.width, this.currentLevel.height)) {
+                        const tile = this.getTileAt(x, y);
+                        if (!tile || tile.type === 'barrier') continue;
+                        const toggled = tile.char === tile.char.toUpperCase() ? tile.char.toLowerCase() : tile.char.toUpperCase();
+                        if (toggled !== tile.char) this.updateGridTile(x, y, { char: toggled });
+                    }
+                    break;
+                case 'YANK_RANGE':
+                    const yankedCount = this.storeInRegister(action.register, action.target, 'yank');
+                    this.uiManager.showMessage(`${yankedCount} tiles yanked`, 1000);
+                    break;
+                case 'PUT':
+                    this.putRegister(action.register, action.target);
+                    break;
+                case 'UNDO':
+                    this.undoChanges(action.count);
+                    break;
+                case 'REDO':
+                    this.redoChanges(action.count);
+                    break;
+                // --- Insert mode ---
+                case 'START_INSERT':
+                    this.beginInsert(this.captureUndoSnapshot(), playerBefore);
+                    break;
+                case 'OPEN_LINE':
+                    if (this.openRow(action.target, snapshot)) {
+                        this.beginInsert(snapshot, playerBefore);
+                    } else {
+                        this.player.adjustCPUCycles(action.cost); // Nothing happened, so nothing is charged
+                    }
+                    break;
+                case 'INSERT_TILE':
+                    if (!this.insertTile(action.target)) {
+                        this.player.adjustCPUCycles(action.cost);
+                        this.uiManager.showMessage("No room to insert: the row is full up to the next wall", 1500);
+                    }
+                    break;
+                case 'REMOVE_TILE':
+                    this.removeTile(action.target);
+                    break;
+
+                // --- Replace mode (R) ---
+                case 'START_REPLACE':
+                    this.beginInsert(this.captureUndoSnapshot(), playerBefore, INPUT_MODE.REPLACE);
+                    break;
+                case 'OVERWRITE_TILE':
+                    this.overwriteTile(action.target);
+                    break;
+                case 'RESTORE_TILE':
+                    this.restoreTile(action.target);
+                    break;
+                 // ...(Other cases like FEEDBACK remain same)...
+                case 'MODE_CHANGE_REQUEST':
+                    if (action.mode === 'NORMAL') this.endInsert();
+                    this.inputHandler.setMode(INPUT_MODE[action.mode]);
+                    break;
+                case 'FEEDBACK':
+                    if (action.feedbackType === 'SEARCH_NOT_FOUND') {
+                        this.uiManager.showMessage(`E486: Pattern not found: ${action.pattern}`, 2000);
+                    } else if (action.feedbackType === 'SEARCH_WRAPPED') {
+                        this.uiManager.showMessage(action.forward ? "search hit BOTTOM, continuing at TOP" : "search hit TOP, continuing at BOTTOM", 1500);
+                    } else if (action.feedbackType === 'MARK_NOT_SET') {
+                        this.uiManager.showMessage(`E20: Mark not set: ${action.mark}`, 2000);
+                    } else if (action.feedbackType === 'PHRASE_COMPLETE') {
+                        this.emitEvent('phraseComplete', { position: action.position });
+                    }
+                    this.emitEvent('feedback', action); // Typing sounds, effects... are left to subscribers
+                    break;
                 default: console.warn("Unhandled player action type:", action.type);
             }
+
+            if (this.insertSession && UNDOABLE_ACTIONS.includes(action.type)) {
+                this.insertSession.cost += action.cost || 0; // Refunded when the whole insert is undone
+            } else if (snapshot) {
+                this.recordUndoChange(snapshot, action, playerBefore);
+            }
+        }
+    }
+
+    /**
+     * Switches to TYPING mode for an insert (i, a, o, c, ...) or to REPLACE mode for R. Everything changed until
+     * the mode is left, including the text a 'c' deleted or the row an 'o' opened, is recorded as one undoable change.
+     * @param {object} snapshot - From captureUndoSnapshot(), taken before the command changed anything.
+     * @param {{x: number, y: number}} playerBefore - Player position before the command.
+     * @param {string} [mode=INPUT_MODE.TYPING] - INPUT_MODE.TYPING or INPUT_MODE.REPLACE.
+     */
+    beginInsert(snapshot, playerBefore, mode = INPUT_MODE.TYPING) {
+        if (!this.insertSession) {
+            // 'overwritten' lists the tiles R replaced, newest last, so Backspace can put them back
+            this.insertSession = { snapshot, playerBefore, cost: 0, overwritten: [] };
+        }
+        this.inputHandler.setMode(mode);
+    }
+
+    /**
+     * Ends the current insert, if any, and records what it changed.
+     */
+    endInsert() {
+        if (!this.insertSession) return;
+        const { snapshot, playerBefore, cost } = this.insertSession;
+        this.insertSession = null;
+        this.recordUndoChange(snapshot, { cost }, playerBefore);
+    }
+
+    /**
+     * Writes a typed character at the cursor, shifting the rest of the row's run right, and advances the cursor.
+     * A space writes a blank pathway tile.
+     * @param {{x: number, y: number, char: string}} target
+     * @returns {boolean} False if the tile doesn't fit (the cursor is on a wall or the run is full).
+     */
+    insertTile({ x, y, char }) {
+        const row = this.currentLevel.tiles[y];
+        const tile = char === ' ' ? { char: '.', type: 'pathway' } : { char, type: 'data-node' };
+        const newRow = row && insertIntoRow(row, x, tile);
+        if (!newRow) return false;
+        this.replaceRow(y, newRow);
+        // Like Vim's insert cursor, this may sit on the wall ending the run; leaving TYPING steps back
+        this.player.setPosition(Math.min(x + 1, this.currentLevel.width - 1), y);
+        return true;
+    }
+
+    /**
+     * Removes the tile before the cursor (Backspace while inserting), pulling the rest of the run left.
+     * @param {{x: number, y: number}} target - The tile to remove.
+     * @returns {boolean} False at the start of the row or against a wall.
+     */
+    removeTile({ x, y }) {
+        const row = this.currentLevel.tiles[y];
+        const newRow = row && removeFromRow(row, x);
+        if (!newRow) return false;
+        this.replaceRow(y, newRow);
+        this.player.setPosition(x, y);
+        return true;
+    }
+
+    /**
+     * Overwrites the tile under the cursor with a typed character (R) and advances the cursor.
+     * The old tile is kept so Backspace can restore it.
+     * @param {{x: number, y: number, char: string}} target
+     * @returns {boolean} False if the cursor is on a wall.
+     */
+    overwriteTile({ x, y, char }) {
+        const tile = this.getTileAt(x, y);
+        if (isWallTile(tile)) return false;
+        const original = { ...tile };
+        const score = this.replaceTileChar(x, y, char);
+        this.insertSession?.overwritten.push({ x, y, tile: original, score });
+        this.player.setPosition(Math.min(x + 1, this.currentLevel.width - 1), y);
+        return true;
+    }
+
+    /**
+     * Backspace in REPLACE mode: moves the cursor back and, if that tile was overwritten by this R,
+     * puts the original back (taking back any score the overwrite earned).
+     * @param {{x: number, y: number}} target - The tile left of the cursor.
+     */
+    restoreTile({ x, y }) {
+        if (x < 0) return;
+        const overwritten = this.insertSession?.overwritten;
+        const last = overwritten?.[overwritten.length - 1];
+        if (last && last.x === x && last.y === y) {
+            overwritten.pop();
+            this.updateGridTile(x, y, last.tile);
+            this.player.addScore(-last.score);
+        }
+        this.player.setPosition(x, y);
+    }
+
+    /**
+     * Opens a new blank row for 'o' / 'O' and puts the cursor at its start. Only streams with
+     * 'allowGrowth' can grow; rows, enemies and marks below the new row move down.
+     * @param {{y: number, templateY: number}} target - Index of the new row, and the row whose walls it copies.
+     * @param {object} [snapshot] - Undo snapshot of the change, which records the new row.
+     * @returns {boolean} False if the stream's grid can't grow.
+     */
+    openRow({ y, templateY }, snapshot = null) {
+        if (!this.currentLevel.allowGrowth) {
+            this.uiManager.showMessage("This stream's grid can't grow", 1500);
+            return false;
+        }
+        const row = createOpenedRow(this.currentLevel.tiles[templateY]);
+        this.insertRow(y, row);
+        if (snapshot) {
+            // Tiles copied before the row was opened keep matching the grid: the ones below it moved down
+            snapshot.cells = new Map([...snapshot.cells.values()].map(cell => {
+                const moved = cell.y >= y ? { ...cell, y: cell.y + 1 } : cell;
+                return [`${moved.x},${moved.y}`, moved];
+            }));
+            snapshot.rows.push({ y, tiles: row.map(tile => ({ ...tile })) });
+        }
+        this.player.setPosition(Math.max(0, row.findIndex(tile => !isWallTile(tile))), y);
+        return true;
+    }
+
+    /**
+     * Adds a row to the grid. The rows from there on move down, with the enemies, marks and jumps on them.
+     * @param {number} y - Index of the new row.
+     * @param {Array<object>} row - Its tiles; kept, so pass a copy.
+     */
+    insertRow(y, row) {
+        const tiles = this.currentLevel.tiles;
+        this.setGridTiles([...tiles.slice(0, y), row, ...tiles.slice(y)]);
+        for (const enemy of this.enemies) {
+            if (enemy.y >= y) enemy.y++;
+        }
+        this.player.shiftRows(y, 1);
+    }
+
+    /**
+     * Takes a row out of the grid (undoing insertRow). The rows below it move up, with the enemies, marks and
+     * jumps on them; those on the row itself stay at its index, on the row that takes its place.
+     * @param {number} y - Row index.
+     */
+    removeRow(y) {
+        this.setGridTiles(this.currentLevel.tiles.filter((row, rowY) => rowY !== y));
+        for (const enemy of this.enemies) {
+            if (enemy.y > y) enemy.y--;
+        }
+        this.player.shiftRows(y + 1, -1);
+    }
+
+    /**
+     * Writes a new version of one row, updating only the tiles that changed. Tiles are written whole, so a
+     * shifted typo takes its correctChar along.
+     * @param {number} y - Row index.
+     * @param {Array<object>} newRow
+     */
+    replaceRow(y, newRow) {
+        newRow.forEach((tile, x) => {
+            const update = getTileUpdate(this.currentLevel.tiles[y][x], tile);
+            if (update) this.updateGridTile(x, y, update);
+        });
+    }
+
+    /**
+     * Replaces every row of the grid (when its height changes) and redraws it.
+     * @param {Array<Array<object>>} tiles - The new rows; kept, so pass copies.
+     */
+    setGridTiles(tiles) {
+        this.currentLevel.tiles = tiles;
+        this.currentLevel.height = tiles.length;
+        this.renderer.drawGrid(this.currentLevel);
+
+        // The redraw dropped every highlight, selection and mark, and showed all rows; they are set again from scratch
+        this.searchHighlights = [];
+        this.selectedCells = new Set();
+        this.drawnMarks = new Map();
+        this.viewRows = null;
+        this.highlightSearch(this.searchPattern);
+    }
+
+    /**
+     * Runs ':w [slot]': saves the stream as it is now, to continue it later with ':e'.
+     * @param {string} [slot] - Slot name; the stream's current slot by default.
+     * @returns {boolean} False if there was nowhere to save or the slot name was invalid.
+     */
+    writeSave(slot = this.saveSlot ?? DEFAULT_SLOT) {
+        if (!this.saveManager) {
+            this.uiManager.showMessage("E: Saving is not available", 2000);
+            return false;
+        }
+        this.endInsert(); // What was being typed is part of the save
+        try {
+            this.saveManager.save(slot, this.serialize());
+        } catch (e) {
+            this.uiManager.showMessage(e.message, 2000);
+            return false;
+        }
+        this.saveSlot = slot;
+        this.uiManager.showMessage(`"${slot}" written (stream ${this.currentLevel.id}, ${this.elapsedTime.toFixed(1)}s)`, 2000);
+        return true;
+    }
+
+    /**
+     * Snapshots the stream for a save slot. Everything a run depends on is in it, including where the
+     * seeded randomness is, so a continued stream plays on as it would have.
+     * @returns {object} Save data (SAVE_VERSION in saveManager.js).
+     */
+    serialize() {
+        return {
+            levelId: this.currentLevel.id,
+            tiles: this.currentLevel.tiles.map(row => row.map(tile => ({ ...tile }))),
+            elapsedTime: this.elapsedTime,
+            seed: this.seed,
+            randomState: this.random?.getState() ?? null,
+            player: this.player.serialize(),
+            enemies: this.enemies.map(enemy => enemy.serialize()),
+        };
+    }
+
+    /**
+     * Puts a freshly loaded stream back as a save left it. The undo history starts empty, as in a reopened file.
+     * @param {object} save - From serialize(), migrated by the SaveManager.
+     */
+    restoreSave(save) {
+        this.setGridTiles(save.tiles.map(row => row.map(tile => ({ ...tile }))));
+        this.player.restore(save.player);
+        this.elapsedTime = save.elapsedTime;
+        this.seed = save.seed;
+        this.random?.setSeed(save.seed);
+        if (save.randomState !== null) this.random?.setState(save.randomState);
+
+        this.enemies = save.enemies.map(({ moveCooldown, state, ...config }) => {
+            const enemy = this.createEnemy(config);
+            enemy.state = state; // Set after construction, since types pick their own starting state
+            enemy.moveCooldown = moveCooldown;
+            return enemy;
+        });
+
+        this.uiManager.updateTimer(this.elapsedTime);
+        this.uiManager.updateScore(this.player.getScore());
+        this.uiManager.updateIntegrity(this.player.getIntegrity());
+        this.uiManager.updateCPUCycles(this.player.cpuCycles / this.player.maxCpuCycles * 100);
+    }
+
+    /**
+     * Builds an enemy of a level's (or save's) spawn entry, by its type in the plugin registry.
+     * Unknown types become base Enemies, so a level still loads without the plugin that defines them.
+     * @param {object} config - { type, x, y, ... } as in a level's enemySpawns.
+     * @returns {Enemy} The enemy, on the current stream's grid.
+     */
+    createEnemy(config) {
+        const EnemyType = this.plugins?.getEnemyClass(config.type) ?? Enemy;
+        if (EnemyType === Enemy) console.warn(`Unknown enemy type '${config.type}', spawned as a base enemy.`);
+        const enemy = new EnemyType({ ...config, random: this.random });
+        enemy.setLevelGrid(this.currentLevel);
+        return enemy;
+    }
+
+    /**
+     * Starts an undo snapshot. Tiles are copied into it as the actions of the change name them (addUndoCells),
+     * so recording the change only compares those, however big the stream is.
+     * @returns {{cells: Map<string, {x: number, y: number, tile: object}>, rows: Array<object>, score: number}}
+     */
+    captureUndoSnapshot() {
+        return { cells: new Map(), rows: [], score: this.player.getScore() };
+    }
+
+    /**
+     * Copies the tiles an action may change into a snapshot, keeping the first copy of a tile the change touches.
+     * @param {object} snapshot - From captureUndoSnapshot().
+     * @param {object} action - A player action, not run yet.
+     */
+    addUndoCells(snapshot, action) {
+        for (const { x, y } of this.getActionCells(action)) {
+            const tile = this.currentLevel.tiles[y]?.[x];
+            const key = `${x},${y}`;
+            if (tile && !snapshot.cells.has(key)) snapshot.cells.set(key, { x, y, tile: { ...tile } });
+        }
+    }
+
+    /**
+     * Lists the tiles an undoable action may change.
+     * @param {object} action - A player action.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getActionCells(action) {
+        const { width, height } = this.currentLevel;
+        const target = action.target;
+        switch (action.type) {
+            case 'DELETE_RANGE':
+            case 'CHANGE_RANGE':
+            case 'REPLACE_RANGE':
+            case 'TOGGLE_CASE_RANGE':
+                return getRangeCells(target, width, height);
+            case 'PUT':
+                return this.getPutWrites(this.registers?.get(action.register), target);
+            case 'INSERT_TILE':
+            case 'REMOVE_TILE': // The rest of the row's run shifts
+                return Array.from({ length: width }, (_, x) => ({ x, y: target.y }));
+            case 'REPLACE_CHAR':
+            case 'OVERWRITE_TILE':
+            case 'RESTORE_TILE':
+                return [{ x: target.x, y: target.y }];
+            default: // OPEN_LINE adds a row, which openRow records whole
+                return [];
+        }
+    }
+
+    /**
+     * Compares the tiles copied into a snapshot with the grid and records the difference as one change set.
+     * @param {object} snapshot - From captureUndoSnapshot().
+     * @param {object} action - The action that was applied (its cost is refunded on undo).
+     * @param {{x: number, y: number}} playerBefore - Player position before the command.
+     */
+    recordUndoChange(snapshot, action, playerBefore) {
+        const tiles = [];
+        for (const { x, y, tile: before } of snapshot.cells.values()) {
+            const tile = this.currentLevel.tiles[y]?.[x];
+            const after = tile && getTileUpdate(before, tile);
+            if (after) tiles.push({ x, y, before: getTileUpdate(tile, before), after });
+        }
+        this.undoManager.record({
+            tiles,
+            rows: snapshot.rows,
+            playerBefore,
+            playerAfter: { x: this.player.x, y: this.player.y },
+            cost: action.cost || 0,
+            scoreDelta: this.player.getScore() - snapshot.score,
+        });
+    }
+
+    /**
+     * Reverts up to 'count' change sets (u). Each step restores the tiles, the player position and the score,
+     * and charges the stream's undo cost, less the action's CPU cost (never below nothing: undoing can't gain CPU).
+     * @param {number} [count=1]
+     */
+    undoChanges(count = 1) {
+        if (!this.undoManager.isEnabled()) {
+            this.uiManager.showMessage("Undo is disabled in this stream", 1500);
+            return;
+        }
+        let undone = 0;
+        while (undone < count) {
+            if (!this.undoManager.canUndo()) {
+                if (undone === 0) this.uiManager.showMessage("Already at oldest change", 1500);
+                break;
+            }
+            if (!this.player.adjustCPUCycles(-this.undoManager.cost)) {
+                this.uiManager.showMessage(`Not enough CPU cycles to undo (costs ${this.undoManager.cost})`, 1500);
+                break;
+            }
+            const changeSet = this.undoManager.undo();
+            this.applyChangeSet(changeSet, 'before');
+            this.player.adjustCPUCycles(Math.min(changeSet.cost, this.undoManager.cost));
+            this.player.addScore(-changeSet.scoreDelta);
+            undone++;
+        }
+        if (undone > 0) {
+            this.uiManager.showMessage(`${undone} change${undone === 1 ? '' : 's'} undone`, 1000);
+        }
+    }
+
+    /**
+     * Re-applies up to 'count' undone change sets (Ctrl-r), charging again the CPU cost their undo refunded.
+     * @param {number} [count=1]
+     */
+    redoChanges(count = 1) {
+        let redone = 0;
+        while (redone < count) {
+            if (!this.undoManager.canRedo()) {
+                if (redone === 0) this.uiManager.showMessage("Already at newest change", 1500);
+                break;
+            }
+            const cost = Math.min(this.undoManager.peekRedo().cost, this.undoManager.cost);
+            if (!this.player.adjustCPUCycles(-cost)) {
+                this.uiManager.showMessage(`Not enough CPU cycles to redo (costs ${cost})`, 1500);
+                break;
+            }
+            const changeSet = this.undoManager.redo();
+            this.applyChangeSet(changeSet, 'after');
+            this.player.addScore(changeSet.scoreDelta);
+            redone++;
+        }
+        if (redone > 0) {
+            this.uiManager.showMessage(`${redone} change${redone === 1 ? '' : 's'} redone`, 1000);
+        }
+    }
+
+    /**
+     * Writes one side of a change set back to the grid and moves the player to match.
+     * @param {object} changeSet - A recorded change set.
+     * @param {string} side - 'before' (undo) or 'after' (redo).
+     */
+    applyChangeSet(changeSet, side) {
+        if (side === 'before') {
+            for (const tile of changeSet.tiles) {
+                this.updateGridTile(tile.x, tile.y, { ...tile.before });
+            }
+            // Opened rows are taken out newest first, so each one is back at the index it was opened at
+            for (const { y } of [...changeSet.rows].reverse()) {
+                this.removeRow(y);
+            }
+        } else {
+            for (const { y, tiles } of changeSet.rows) {
+                this.insertRow(y, tiles.map(tile => ({ ...tile }))); // Copied, so later edits don't change the history
+            }
+            for (const tile of changeSet.tiles) {
+                this.updateGridTile(tile.x, tile.y, { ...tile.after });
+            }
+        }
+        const position = side === 'before' ? changeSet.playerBefore : changeSet.playerAfter;
+        this.player.setPosition(position.x, position.y);
+    }
+
+    /**
+     * Copies the tiles in a range into a register, one row of tiles per grid row.
+     * @param {string | undefined} registerName - Register selected with "x (undefined for the default).
+     * @param {object} range - { startX, startY, endX, endY, kind }.
+     * @param {string} operation - 'yank' or 'delete'.
+     * @returns {number} Number of tiles stored.
+     */
+    storeInRegister(registerName, range, operation) {
+        if (!this.registers) return 0;
+        const rows = [];
+        let previousY = null;
+        for (const { x, y } of getRangeCells(range, this.currentLevel.width, this.currentLevel.height)) {
+            if (y !== previousY) {
+                rows.push([]);
+                previousY = y;
+            }
+            const tile = this.getTileAt(x, y);
+            rows[rows.length - 1].push({ char: tile?.char ?? '.', type: tile?.type ?? 'pathway' });
+        }
+        this.registers.store(registerName, { kind: range.kind || 'block', rows }, operation);
+        this.uiManager.updateRegisters(this.registers.list());
+        return rows.reduce((total, row) => total + row.length, 0);
+    }
+
+    /**
+     * Writes a register's tiles onto the grid (p / P). The grid doesn't grow, so tiles overwrite what is there:
+     * characterwise and blockwise content starts at (after) the cursor, linewise content fills whole rows
+     * below (p) or from (P) the cursor row. Nothing is written if any target is a barrier or exit node.
+     * @param {string | undefined} registerName - Register selected with "x (undefined for the unnamed one).
+     * @param {{x: number, y: number, after: boolean, count: number}} target - Cursor position and put options.
+     */
+    putRegister(registerName, target) {
+        const content = this.registers?.get(registerName);
+        if (!content) {
+            this.uiManager.showMessage(`E353: Nothing in register ${registerName || '"'}`, 2000);
+            return;
+        }
+
+        const writes = this.getPutWrites(content, target);
+        const blocked = writes.some(({ x, y }) => {
+            const type = this.getTileAt(x, y)?.type;
+            return type === 'barrier' || type === 'exit-node';
+        });
+        if (blocked || writes.length === 0) {
+            this.uiManager.showMessage("Put rejected: target overlaps a barrier or exit", 1500);
+            return;
+        }
+
+        for (const { x, y, tile } of writes) {
+            this.updateGridTile(x, y, { char: tile.char, type: tile.type });
         }
     }
 
+    /**
+     * Works out where each tile of a put lands (see putRegister).
+     * @param {{kind: string, rows: Array<Array<object>>} | null} content - The register's content.
+     * @param {{x: number, y: number, after: boolean, count: number}} target - Cursor position and put options.
+     * @returns {Array<{x: number, y: number, tile: object}>} The writes inside the grid (none without content).
+     */
+    getPutWrites(content, target) {
+        if (!content) return [];
+        // Repeat the content 'count' times: side by side for runs and blocks, stacked for rows
+        let rows = content.rows;
+        const count = Math.max(1, target.count || 1);
+        if (content.kind === 'line' || (content.kind === 'char' && rows.length > 1)) {
+            rows = Array.from({ length: count }, () => content.rows).flat();
+        } else {
+            rows = rows.map(row => Array.from({ length: count }, () => row).flat());
+        }
+
+        const writes = [];
+        const baseY = content.kind === 'line' ? target.y + (target.after ? 1 : 0) : target.y;
+        const baseX = content.kind === 'line' ? 0 : target.x + (target.after ? 1 : 0);
+        rows.forEach((row, rowIndex) => {
+            // Later rows of a multi-row characterwise run continue at the start of the next row
+            const rowX = content.kind === 'char' && rowIndex > 0 ? 0 : baseX;
+            row.forEach((tile, i) => {
+                const x = rowX + i;
+                const y = baseY + rowIndex;
+                if (x < this.currentLevel.width && y < this.currentLevel.height) {
+                    writes.push({ x, y, tile });
+                }
+            });
+        });
+        return writes;
+    }
+
+    /**
+     * Replaces the character of one tile (r, visual r, R). Barriers can't be replaced.
+     * A typo tile stays a typo until it gets its correct character, then becomes a data node and scores.
+     * @param {number} x
+     * @param {number} y
+     * @param {string} char - The new character.
+     * @returns {number} Score earned (for a fixed typo), 0 otherwise.
+     */
+    replaceTileChar(x, y, char) {
+        const tile = this.getTileAt(x, y);
+        // Add rules? Only replace certain types? Cost CPU?
+        if (tile && tile.type !== 'barrier') { // Can't replace barriers
+            console.log(`Replacing char at (${x}, ${y}) with ${char}`);
+            if (tile.type === 'typo' && char === tile.correctChar) {
+                this.updateGridTile(x, y, { char, type: 'data-node' });
+                this.player.addScore(TYPO_FIX_SCORE);
+                this.uiManager.showMessage("Typo fixed!", 1000);
+                return TYPO_FIX_SCORE;
+            }
+            this.updateGridTile(x, y, { char: char /*, maybe change type? */ });
+            // No score/cost for basic replace?
+        }
+        return 0;
+    }
+
     /** Helper method to process actions affecting a range of tiles */
     handleRangeAction(targetRange, cost, actionType) {
          console.log(`${actionType} requested for range:`, targetRange);
          if (!this.currentLevel || !this.currentLevel.tiles) return;
 
          let scoreGained = 0;
-         const { startX, startY, endX, endY } = targetRange;
-
-         // Determine iteration bounds and direction (handle potential reversed ranges)
-         const minX = Math.min(startX, endX);
-         const maxX = Math.max(startX, endX);
-         const minY = Math.min(startY, endY);
-         const maxY = Math.max(startY, endY);
-
-         for (let y = minY; y <= maxY; y++) {
-             for (let x = minX; x <= maxX; x++) {
-                 // Check bounds just in case range was calculated beyond grid
-                 if (y < 0 || y >= this.currentLevel.height || x < 0 || x >= this.currentLevel.width) {
-                     continue;
-                 }
 
-                 let enemyHit = false;
-                 // Check for enemy at target
-                 for (let i = this.enemies.length - 1; i >= 0; i--) {
-                     const enemy = this.enemies[i];
-                     if (enemy.x === x && enemy.y === y) {
-                         console.log(`Action ${actionType} hit enemy ${enemy.getId()} at (${x},${y})`);
-                         enemy.takeDamage(5); // Example: 5 damage per tile in range action
-                         enemyHit = true;
-                         // Should hitting an enemy stop the tile action? For now, yes.
-                         break;
+         // Cells in the range, clipped to the grid (handles reversed and multi-row characterwise ranges)
+         const cells = getRangeCells(targetRange, this.currentLevel.width, this.currentLevel.height);
+
+         for (const { x, y } of cells) {
+             let enemyHit = false;
+             // Check for enemy at target
+             for (let i = this.enemies.length - 1; i >= 0; i--) {
+                 const enemy = this.enemies[i];
+                 if (enemy.x === x && enemy.y === y) {
+                     console.log(`Action ${actionType} hit enemy ${enemy.getId()} at (${x},${y})`);
+                     enemy.takeDamage(5); // Example: 5 damage per tile in range action
+                     if (enemy.isDefeated()) {
+                         this.emitEvent('enemyDefeated', { enemy, x, y, actionType });
                      }
+                     enemyHit = true;
+                     // Should hitting an enemy stop the tile action? For now, yes.
+                     break;
                  }
+             }
 
-                 if (enemyHit) continue; // Move to next tile if enemy was hit
-
-                 // Check and act on the tile itself
-                 const tile = this.getTileAt(x, y);
-                 if (tile && tile.type === 'corrupted') { // Only affect 'corrupted' tiles
-                     const newTileData = { char: '.', type: 'pathway' }; // Replace with pathway
-                     this.updateGridTile(x, y, newTileData);
-                     scoreGained += 5; // Add score per tile cleared
-                 } else if (tile && tile.type !== 'barrier' && tile.type !== 'pathway' && tile.type !== 'exit-node') {
-                     // Optionally delete other types of tiles (like data-nodes)
-                     // const newTileData = { char: '.', type: 'pathway' };
-                     // this.updateGridTile(x, y, newTileData);
-                     // scoreGained += 1; // Less score for non-corrupted
-                 }
+             if (enemyHit) continue; // Move to next tile if enemy was hit
+
+             // Check and act on the tile itself
+             const tile = this.getTileAt(x, y);
+             if (tile && tile.type === 'corrupted') { // Only affect 'corrupted' tiles
+                 const newTileData = { char: '.', type: 'pathway' }; // Replace with pathway
+                 this.updateGridTile(x, y, newTileData);
+                 scoreGained += 5; // Add score per tile cleared
+                 this.emitEvent('tileCleared', { x, y, tileType: 'corrupted', actionType });
+             } else if (tile && tile.type !== 'barrier' && tile.type !== 'pathway' && tile.type !== 'exit-node') {
+                 // Optionally delete other types of tiles (like data-nodes)
+                 // const newTileData = { char: '.', type: 'pathway' };
+                 // this.updateGridTile(x, y, newTileData);
+                 // scoreGained += 1; // Less score for non-corrupted
              }
          }
 
@@ -213,16 +1745,37 @@ class PlayingState extends BaseState {
          // Note: CPU cost was already deducted by the Player when making the request
      }
 
-    processPlayerActions(actions) { /* ... (remains the same) ... */ }
     checkTileInteraction() { /* ... (remains the same) ... */ }
+
+    /**
+     * Calls the onEnter handler of a plugin tile type when the player steps onto one of its tiles.
+     * Standing on the tile doesn't call it again; leaving and coming back does.
+     */
+    checkPluginTileInteraction() {
+        const { x, y } = this.player;
+        if (this.lastPlayerCell?.x === x && this.lastPlayerCell?.y === y) return;
+        this.lastPlayerCell = { x, y };
+        const tile = this.currentLevel?.tiles[y]?.[x];
+        const tileType = tile && this.plugins?.getTileType(tile.type);
+        tileType?.onEnter?.({ state: this, player: this.player, tile, x, y });
+    }
     getTileAt(x, y) { /* ... (remains the same) ... */ }
     updateGridTile(x, y, newTileData) { /* ... (remains the same) ... */ }
-    render() { /* ... (remains the same - draw enemies, player) ... */ }
+    /**
+     * Draws the stream. Enemies are drawn between their last two steps, so they glide at any frame rate.
+     * @param {number} [alpha=1] - Interpolation factor from the GameLoop.
+     */
+    render(alpha = 1) {
+        for (const enemy of this.enemies) this.renderer.drawEnemy(enemy, alpha);
+        // ... (remains the same - draw player) ...
+        if (this.ghost) this.renderer.drawGhost(this.ghost);
+    }
 
     exit() {
         console.log("Exiting PlayingState");
         this.inputHandler.setActive(false); // Deactivate input
         this.inputHandler.unregisterActionListener('pause'); // Clean up listener
+        this.inputHandler.setKeyRecorder(null); // Keys typed outside the stream aren't part of the run
         this.enemies = []; // Clear enemies
         // Don't clear renderer here, Pause/Menu might want to overlay it
     }
@@ -243,7 +1796,8 @@ class MenuState extends BaseState {
         this.uiManager.hideElement(this.uiManager.elements.cpuCyclesContainer); // Assuming you add this ID
         this.uiManager.updateLevelName("MAIN MENU");
         this.uiManager.updateScore(''); // Clear score display maybe
-        this.uiManager.showMessage("Press [Enter] to Start", 0);
+        const latestSlot = this.saveManager?.getLatestSlot();
+        this.uiManager.showMessage(latestSlot ? `Press [Enter] to Start  :e to Continue "${latestSlot}"` : "Press [Enter] to Start", 0);
         this.inputHandler.setActive(true); // Listen for Enter
         this.inputHandler.setMode(INPUT_MODE.NORMAL); // Ensure normal mode
 
@@ -263,6 +1817,8 @@ class MenuState extends BaseState {
                  this.stateManager.switchTo('LOADING', { levelId: 1 });
                  break; // Exit loop once action is taken
             }
+            // ':e' continues a saved stream, ':stream N' starts one
+            if (command.type === 'EX_COMMAND' && this.executeExCommand(command)) return;
         }
         // Or rely solely on the action listener set up in enter()
     }
@@ -304,22 +1860,53 @@ class PausedState extends BaseState {
 
         // Register listener specifically for unpausing
          this.inputHandler.registerActionListener('unpause', () => {
-             // Switch back to Playing state
-             this.stateManager.switchTo('PLAYING'); // Assumes PlayingState retains its own internal state
+             // Back to the suspended Playing state, which continues the same run
+             this.stateManager.pop();
          });
     }
 
+    /**
+     * Back from an overlay opened while paused (e.g. ':help'), which took over Escape and the message.
+     */
+    resume() {
+        this.uiManager.showMessage("PAUSED - Press [Escape] to Resume", 0);
+        this.inputHandler.registerActionListener('unpause', () => this.stateManager.pop());
+    }
+
     update(deltaTime) {
         // Primarily listening for the unpause action via the listener
         // Or check command queue if not using listener
          const commands = this.inputHandler.getCommands();
+         for (const command of commands) {
+             if (command.type === 'EX_COMMAND' && this.executeExCommand(command)) return;
+         }
+         this.uiManager.updateCommandBuffer(this.inputHandler.getCommandBufferDisplay());
          // Potentially handle other pause menu options here later
     }
 
-    render() {
-        // Render the underlying PlayingState (optional, depends on desired effect)
-        // this.stateManager.states.PLAYING.render(); // Re-render playing state underneath?
+    /**
+     * While paused, ':pause' resumes, and ':restart' and ':w' are still available.
+     * @param {object} command - The EX_COMMAND object.
+     * @returns {boolean} True if the command switched state.
+     */
+    executeExCommand(command) {
+        switch (command.name) {
+            case 'pause':
+                this.stateManager.pop();
+                return true;
+            case 'restart':
+                return this.loadStream(this.levelManager.getCurrentLevelId());
+            case 'write':
+            case 'wq':
+                // The suspended stream is what gets saved
+                return this.stateManager.states.PLAYING.executeExCommand(command);
+            default:
+                return super.executeExCommand(command);
+        }
+    }
 
+    render() {
+        // The suspended PlayingState is drawn underneath by the StateManager
         // Overlay a pause message/graphic using the renderer
         const pauseText = "|| PAUSED ||";
         const screenWidth = this.renderer.container?.offsetWidth || 600;
@@ -339,6 +1926,77 @@ class PausedState extends BaseState {
     }
 }
 
+// --- CommandLineState Class ---
+/**
+ * Overlay while an ex command is typed on the ':' line during a stream: the run waits underneath.
+ * Keys keep going to the InputHandler's command line; once it's left (Enter or Escape) the overlay pops,
+ * and the stream runs the queued EX_COMMAND in its next update.
+ */
+class CommandLineState extends BaseState {
+    constructor(stateManager, dependencies) {
+        super(stateManager, dependencies);
+        console.log("CommandLineState instantiated.");
+    }
+
+    update(deltaTime) {
+        // The queued commands are left for the stream
+        this.uiManager.updateCommandBuffer(this.inputHandler.getCommandBufferDisplay());
+        if (!this.inputHandler.isOnExLine()) {
+            this.stateManager.pop();
+        }
+    }
+}
+
+// --- HelpState Class ---
+/**
+ * Overlay opened with ':help', listing the main keys and ex commands. Escape, ':q' or ':help' closes it.
+ */
+class HelpState extends BaseState {
+    constructor(stateManager, dependencies) {
+        super(stateManager, dependencies);
+        console.log("HelpState instantiated.");
+    }
+
+    enter(params) {
+        console.log("Entering HelpState");
+        this.inputHandler.setActive(true);
+        this.inputHandler.clearCommandBuffer();
+        this.uiManager.showMessage(HELP_TEXT, 0);
+        // Escape closes help the way it resumes from pause
+        this.inputHandler.registerActionListener('unpause', () => this.stateManager.pop());
+    }
+
+    update(deltaTime) {
+        const commands = this.inputHandler.getCommands();
+        for (const command of commands) {
+            if (command.type === 'EX_COMMAND' && this.executeExCommand(command)) return;
+        }
+        this.uiManager.updateCommandBuffer(this.inputHandler.getCommandBufferDisplay());
+    }
+
+    /**
+     * ':q' closes help, as it closes Vim's help window.
+     * @param {object} command - The EX_COMMAND object.
+     * @returns {boolean} True if the command switched state.
+     */
+    executeExCommand(command) {
+        switch (command.name) {
+            case 'quit':
+            case 'help':
+                this.stateManager.pop();
+                return true;
+            default:
+                return super.executeExCommand(command);
+        }
+    }
+
+    exit() {
+        console.log("Exiting HelpState");
+        this.inputHandler.unregisterActionListener('unpause');
+        this.uiManager.clearMessage();
+    }
+}
+
 // +++ NEW STATE: GameOverState +++
 class GameOverState extends BaseState {
      constructor(stateManager, dependencies) {
@@ -478,12 +2136,26 @@ export default class StateManager {
             LOADING: new LoadingState(this, this.dependencies),
             PLAYING: new PlayingState(this, this.dependencies),
             PAUSED: new PausedState(this, this.dependencies),
+            COMMAND_LINE: new CommandLineState(this, this.dependencies),
+            HELP: new HelpState(this, this.dependencies),
             GAME_OVER: new GameOverState(this, this.dependencies),
             LEVEL_COMPLETE: new LevelCompleteState(this, this.dependencies)
             // --------------------
         };
+        // States added by plugins; they can't replace a core state
+        for (const [name, StateClass] of this.dependencies.plugins?.getStates() ?? []) {
+            if (this.states[name]) {
+                console.error(`Plugin state ${name} not added: the name is taken.`);
+                continue;
+            }
+            this.states[name] = new StateClass(this, this.dependencies);
+        }
         this.currentState = null;
         this.currentStateName = null;
+        // Active states, bottom first: the top one (currentState) is updated, the ones under it are suspended
+        // overlays' backgrounds and are only drawn. switchTo replaces the whole stack; push/pop add and remove overlays.
+        this.stack = [];
+        this.debugOverlay = null; // DebugOverlay (F3, ':debug'), told about every update and render
         // Optional: Track previous state for pause/resume logic if needed
         this.previousStateName = null;
     }
@@ -514,11 +2186,14 @@ export default class StateManager {
          }
 
 
-         if (this.currentState && typeof this.currentState.exit === 'function') {
-            console.log(`Exiting state: ${this.currentStateName}`);
-            this.currentState.exit();
+        // Leave every active state, overlays first
+        while (this.stack.length > 0) {
+            const name = this.stack.pop();
+            console.log(`Exiting state: ${name}`);
+            this.states[name].exit?.();
         }
 
+        this.stack = [stateName];
         this.currentStateName = stateName;
         this.currentState = this.states[stateName];
 
@@ -529,19 +2204,81 @@ export default class StateManager {
         }
      }
 
-    // --- Optional: Method to return to previous state (e.g., for unpausing) ---
-    // switchToPrevious() {
-    //     if (this.previousStateName) {
-    //         console.log(`Returning to previous state: ${this.previousStateName}`);
-    //         this.switchTo(this.previousStateName);
-    //         // Potentially clear previousStateName after returning? Depends on desired logic.
-    //         // this.previousStateName = null;
-    //     } else {
-    //         console.warn("No previous state recorded to switch back to. Going to MENU.");
-    //         this.switchTo('MENU');
-    //     }
-    // }
-
-     update(deltaTime) { /* ... (remains the same) ... */ }
-     render() { /* ... (remains the same) ... */ }
+    /**
+     * Opens an overlay state (pause, help, the ex line) on top of the current one, which is suspended:
+     * it keeps its state and is still drawn, but isn't updated until the overlay is popped.
+     * @param {string} stateName - The overlay state.
+     * @param {object} [params={}] - Parameters for the overlay's enter().
+     */
+    push(stateName, params = {}) {
+        if (!this.states[stateName]) {
+            console.error(`Error: Attempted to push unknown state '${stateName}'.`);
+            return;
+        }
+        if (this.stack.includes(stateName)) {
+            console.warn(`State '${stateName}' is already active.`); // Each state has a single instance
+            return;
+        }
+
+        this.currentState?.suspend(stateName);
+        this.previousStateName = this.currentStateName;
+        this.stack.push(stateName);
+        this.currentStateName = stateName;
+        this.currentState = this.states[stateName];
+
+        this.currentState.enter(params);
+    }
+
+    /**
+     * Closes the overlay on top and resumes the state under it, exactly where it was suspended.
+     * @param {object} [params={}] - Parameters for the resumed state's resume().
+     */
+    pop(params = {}) {
+        if (this.stack.length < 2) {
+            console.warn("No suspended state to return to.");
+            return;
+        }
+
+        this.currentState.exit();
+        this.previousStateName = this.stack.pop();
+        this.currentStateName = this.stack.at(-1);
+        this.currentState = this.states[this.currentStateName];
+
+        this.currentState.resume(params);
+    }
+
+    /**
+     * Attaches the developer overlay. States reach it as stateManager.debugOverlay (':debug', halting, freezing).
+     * @param {DebugOverlay} debugOverlay
+     */
+    setDebugOverlay(debugOverlay) {
+        this.debugOverlay = debugOverlay;
+    }
+
+    /**
+     * Updates the top state only; the states under an overlay are suspended.
+     * @param {number} deltaTime - Seconds of game time (the GameLoop's fixed step).
+     */
+    update(deltaTime) {
+        this.debugOverlay?.recordUpdate(deltaTime);
+        if (this.currentState && typeof this.currentState.update === 'function') {
+            this.currentState.update(deltaTime);
+        }
+    }
+
+    /**
+     * Draws the active states bottom first, so overlays appear over the state they suspend.
+     * @param {number} [alpha=1] - Interpolation factor from the GameLoop (0 = at the last simulation step, 1 = at the next).
+     *   Suspended states aren't stepping, so they are drawn as of their last step.
+     */
+    render(alpha = 1) {
+        for (const name of this.stack) {
+            const state = this.states[name];
+            if (typeof state.render === 'function') {
+                state.render(state === this.currentState ? alpha : 1);
+            }
+        }
+        this.dependencies.renderer.present(); // Renderers that draw whole frames (canvas) show this one now
+        this.debugOverlay?.render();
+    }
 }
@@ -0,0 +1,42 @@
+// js/data/constants.js
+
+'use strict';
+
+/**
+ * Default values for options that can be changed at runtime with `:set`.
+ * Booleans are toggled with `:set name` / `:set noname`, numbers with `:set name=value`.
+ */
+export const DEFAULT_SETTINGS = {
+    showcmd: true,  // Show the pending command buffer in the HUD
+    history: 50,    // Number of ex command lines remembered for Up/Down recall
+    hlsearch: true, // Keep matches of the last search highlighted
+    incsearch: true, // Highlight matches while a search pattern is being typed
+    wrapscan: true, // Searches (and n/N) wrap around the ends of the grid
+    ignorecase: false, // Searches ignore case
+    timeoutlen: 1000, // Milliseconds to wait for the rest of a multi-key mapping
+    ghost: true, // Race a ghost of the stream's best (or an imported) run
+};
+
+/**
+ * Renderer backends, chosen at startup with the page's ?renderer= parameter (e.g. index.html?renderer=canvas).
+ * DOM draws one element per tile; CANVAS draws to a single <canvas> and stays fast on streams with thousands of tiles.
+ */
+export const RENDERER_TYPE = {
+    DOM: 'dom',
+    CANVAS: 'canvas',
+};
+
+/**
+ * Most grid rows shown at once. Taller streams (and streams grown with 'o') scroll to follow the player;
+ * a level can show fewer rows with its own `viewRows`.
+ */
+export const MAX_VIEW_ROWS = 20;
+
+/**
+ * Undo settings used when a level doesn't define its own `undo: { depth, cost }`.
+ * depth is the number of changes that can be undone (0 disables undo), cost the CPU cycles charged per undo.
+ */
+export const DEFAULT_UNDO = {
+    depth: 100,
+    cost: 0,
+};
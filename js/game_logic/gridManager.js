@@ -0,0 +1,526 @@
+// js/game_logic/gridManager.js
+
+'use strict';
+
+/**
+ * Stateless helpers for reading the level grid as text.
+ * The grid is the level data object from LevelManager: { width, height, tiles: [[tile, ...], ...] }.
+ * Each row of tiles is treated as one line of text.
+ */
+
+/**
+ * Returns the characters of one grid row as a string.
+ * @param {object} grid - The level grid.
+ * @param {number} y - Row index.
+ * @returns {string} The row text ('' if the row doesn't exist).
+ */
+export function getRowText(grid, y) {
+    const row = grid?.tiles?.[y];
+    return row ? row.map(tile => tile?.char ?? ' ').join('') : '';
+}
+
+/**
+ * Compares two positions in reading order (top to bottom, left to right).
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal.
+ */
+export function compareReadingOrder(a, b) {
+    return a.y !== b.y ? a.y - b.y : a.x - b.x;
+}
+
+/**
+ * Finds every match of a search pattern in the grid, row by row.
+ * The pattern is used as a regular expression; if it isn't a valid one it is matched literally.
+ * @param {object} grid - The level grid.
+ * @param {string} pattern - The search pattern typed after '/' or '?'.
+ * @param {object} [options={}]
+ * @param {boolean} [options.ignoreCase=false] - Match regardless of case.
+ * @returns {Array<{x: number, y: number, length: number}>} Matches in reading order.
+ */
+export function findMatches(grid, pattern, options = {}) {
+    if (!grid || !grid.tiles || !pattern) return [];
+
+    const flags = options.ignoreCase ? 'gi' : 'g';
+    let regex;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (e) {
+        // Half-typed patterns like 'foo(' are common during incremental search
+        regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    }
+
+    const matches = [];
+    for (let y = 0; y < grid.height; y++) {
+        const text = getRowText(grid, y);
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++; // Skip empty matches (e.g. 'a*') so the loop always advances
+                continue;
+            }
+            matches.push({ x: match.index, y, length: match[0].length });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Lists the cells covered by a range.
+ * Range kinds follow Vim: 'char' runs in reading order from start to end (wrapping across rows),
+ * 'line' covers whole rows, and 'block' (the default) is the rectangle spanned by the two corners.
+ * @param {{startX: number, startY: number, endX: number, endY: number, kind?: string}} range
+ * @param {number} width - Grid width, used to clip and to wrap characterwise ranges.
+ * @param {number} height - Grid height, used to clip.
+ * @returns {Array<{x: number, y: number}>} Cells inside the grid, in reading order.
+ */
+export function getRangeCells(range, width, height) {
+    const { startX, startY, endX, endY, kind = 'block' } = range;
+    const cells = [];
+    const inBounds = (x, y) => x >= 0 && x < width && y >= 0 && y < height;
+
+    if (kind === 'char') {
+        // Order the two ends so iteration always runs forwards
+        let start = { x: startX, y: startY };
+        let end = { x: endX, y: endY };
+        if (compareReadingOrder(start, end) > 0) [start, end] = [end, start];
+
+        for (let y = start.y; y <= end.y; y++) {
+            const fromX = y === start.y ? start.x : 0;
+            const toX = y === end.y ? end.x : width - 1;
+            for (let x = fromX; x <= toX; x++) {
+                if (inBounds(x, y)) cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    const minX = kind === 'line' ? 0 : Math.min(startX, endX);
+    const maxX = kind === 'line' ? width - 1 : Math.max(startX, endX);
+    const minY = Math.min(startY, endY);
+    const maxY = Math.max(startY, endY);
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (inBounds(x, y)) cells.push({ x, y });
+        }
+    }
+    return cells;
+}
+
+// --- Row editing (insert mode) ---
+
+// Tile types that inserted text can't push through or overwrite; they split a row into separate runs
+const WALL_TYPES = ['barrier', 'exit-node'];
+
+// What a removed tile leaves behind
+const BLANK_TILE = { char: '.', type: 'pathway' };
+
+/**
+ * Checks whether a tile is a wall for row editing.
+ * @param {object} tile - Grid tile.
+ * @returns {boolean}
+ */
+export function isWallTile(tile) {
+    return !tile || WALL_TYPES.includes(tile.type);
+}
+
+/**
+ * Works out what to pass to updateGridTile, which merges into the tile, to turn one tile into another:
+ * every field of the new tile, and undefined for the fields only the old one has (like a typo's correctChar).
+ * @param {object} current - The tile as it is.
+ * @param {object} next - The tile as it should be.
+ * @returns {object | null} The tile data to write, or null if the tiles are already the same.
+ */
+export function getTileUpdate(current, next) {
+    const keys = [...new Set([...Object.keys(current), ...Object.keys(next)])];
+    if (keys.every(key => current[key] === next[key])) return null;
+    return Object.fromEntries(keys.map(key => [key, next[key]]));
+}
+
+/**
+ * Finds the last index of the run of non-wall tiles that starts at or contains x.
+ * @param {Array<object>} row - One row of tiles.
+ * @param {number} x
+ * @returns {number}
+ */
+function findRunEnd(row, x) {
+    let end = x;
+    while (end + 1 < row.length && !isWallTile(row[end + 1])) end++;
+    return end;
+}
+
+/**
+ * Inserts a tile into a row at x, like typing in insert mode: the tiles from x up to the next wall
+ * move one to the right. The tile pushed out at the end of the run must be blank, so text is never lost.
+ * @param {Array<object>} row - One row of tiles (not modified).
+ * @param {number} x - Insert position.
+ * @param {{char: string, type: string}} tile - The new tile.
+ * @returns {Array<object> | null} The new row, or null if x is a wall or the run has no blank left at its end.
+ */
+export function insertIntoRow(row, x, tile) {
+    if (x < 0 || x >= row.length || isWallTile(row[x])) return null;
+    const end = findRunEnd(row, x);
+    if (row[end].type !== 'pathway') return null; // Run is full
+    return [...row.slice(0, x), { ...tile }, ...row.slice(x, end), ...row.slice(end + 1)];
+}
+
+/**
+ * Removes the tile at x from a row, like Backspace in insert mode: the rest of the run moves one to the left
+ * and a blank fills its end.
+ * @param {Array<object>} row - One row of tiles (not modified).
+ * @param {number} x - Position of the tile to remove.
+ * @returns {Array<object> | null} The new row, or null if x is a wall or outside the row.
+ */
+export function removeFromRow(row, x) {
+    if (x < 0 || x >= row.length || isWallTile(row[x])) return null;
+    const end = findRunEnd(row, x);
+    return [...row.slice(0, x), ...row.slice(x + 1, end + 1), { ...BLANK_TILE }, ...row.slice(end + 1)];
+}
+
+/**
+ * Builds an empty row for 'o' / 'O': blank everywhere except where the template row has barriers,
+ * so the walls of a stream continue through the new row.
+ * @param {Array<object>} template - The row the cursor is on.
+ * @returns {Array<object>}
+ */
+export function createOpenedRow(template) {
+    return template.map(tile => tile?.type === 'barrier' ? { char: tile.char, type: 'barrier' } : { ...BLANK_TILE });
+}
+
+/**
+ * Finds the last text tile of a row (not blank and not a wall), where 'A' appends.
+ * @param {Array<object>} row - One row of tiles.
+ * @returns {number} Its index, or -1 if the row has no text.
+ */
+export function findRowTextEnd(row) {
+    return row.findLastIndex(isTextTile);
+}
+
+// --- Paragraphs and sentences ---
+
+/**
+ * Checks whether a tile holds text: not an empty pathway, not a wall, not a space.
+ * @param {object} tile - Grid tile.
+ * @returns {boolean}
+ */
+function isTextTile(tile) {
+    return Boolean(tile) && tile.type !== 'pathway' && !isWallTile(tile) && !/\s/.test(tile.char);
+}
+
+/**
+ * Checks whether a row is a paragraph break: it has no text, only pathway tiles (and the walls around them).
+ * @param {object} grid - The level grid.
+ * @param {number} y - Row index.
+ * @returns {boolean}
+ */
+export function isBlankRow(grid, y) {
+    return !grid.tiles[y]?.some(isTextTile);
+}
+
+/**
+ * Returns the first column of a row that isn't a wall, where the cursor lands on a row jump without text.
+ * @param {Array<object>} row - One row of tiles.
+ * @returns {number} The column, or 0 if the whole row is a wall.
+ */
+function findFirstOpenColumn(row) {
+    return Math.max(0, row.findIndex(tile => !isWallTile(tile)));
+}
+
+/**
+ * Finds the target of '}' or '{': the count'th paragraph break (blank row) below or above a row.
+ * Blank rows right next to the start are skipped first, as in Vim. Without enough breaks the motion stops
+ * at the last or first row.
+ * @param {object} grid - The level grid.
+ * @param {number} y - Row the cursor is on.
+ * @param {boolean} forward - True for '}', false for '{'.
+ * @param {number} [count=1]
+ * @returns {{x: number, y: number} | null} The target, or null if the cursor is already at that end.
+ */
+export function findParagraphBoundary(grid, y, forward, count = 1) {
+    const step = forward ? 1 : -1;
+    const inGrid = row => row >= 0 && row < grid.height;
+    let row = y;
+    for (let i = 0; i < count && inGrid(row + step); i++) {
+        row += step;
+        while (inGrid(row) && isBlankRow(grid, row)) row += step; // Blank rows before the paragraph
+        while (inGrid(row) && !isBlankRow(grid, row)) row += step; // The paragraph itself
+        row = Math.min(Math.max(row, 0), grid.height - 1);
+    }
+    if (row === y) return null;
+    return { x: findFirstOpenColumn(grid.tiles[row]), y: row };
+}
+
+/**
+ * Lists where sentences start, in reading order. The grid is read as text: a sentence starts at the first
+ * text tile after '.', '!' or '?' (optionally followed by closing quotes or brackets) and a gap, after a
+ * paragraph break, or at the very first text. Blank tiles, walls and row ends all count as gaps, so text
+ * runs split across rows or walls still read as one sentence until it ends.
+ * @param {object} grid - The level grid.
+ * @returns {Array<{x: number, y: number}>}
+ */
+function findSentenceStarts(grid) {
+    const starts = [];
+    let sentenceEnded = true; // Nothing read yet counts as the end of a sentence
+    let gap = true;
+    for (let y = 0; y < grid.height; y++) {
+        if (isBlankRow(grid, y)) {
+            sentenceEnded = true; // A paragraph break ends any sentence
+            continue;
+        }
+        gap = true; // A row end separates like a space
+        grid.tiles[y].forEach((tile, x) => {
+            if (!isTextTile(tile)) {
+                gap = true;
+                return;
+            }
+            if (gap && sentenceEnded) starts.push({ x, y });
+            if (/[.!?]/.test(tile.char)) {
+                sentenceEnded = true;
+            } else if (!/[)\]"']/.test(tile.char)) {
+                sentenceEnded = false; // Closing quotes and brackets may follow the punctuation
+            }
+            gap = false;
+        });
+    }
+    return starts;
+}
+
+/**
+ * Finds the target of ')' or '(': the count'th sentence start after or before a position.
+ * Like Vim, '(' from inside a sentence first goes to that sentence's start.
+ * @param {object} grid - The level grid.
+ * @param {number} x
+ * @param {number} y
+ * @param {boolean} forward - True for ')', false for '('.
+ * @param {number} [count=1]
+ * @returns {{x: number, y: number} | null} The target, or null if there is no sentence in that direction.
+ */
+export function findSentenceStart(grid, x, y, forward, count = 1) {
+    const starts = findSentenceStarts(grid);
+    let position = { x, y };
+    for (let i = 0; i < count; i++) {
+        const next = forward
+            ? starts.find(start => compareReadingOrder(start, position) > 0)
+            : starts.findLast(start => compareReadingOrder(start, position) < 0);
+        if (!next) break; // Like Vim, a count that runs out goes as far as it can
+        position = next;
+    }
+    return position.x === x && position.y === y ? null : position;
+}
+
+// --- Text objects ---
+
+// Bracket pairs for i(/a( and friends; 'b' and 'B' are Vim's aliases for () and {}
+const BRACKET_OBJECTS = {
+    '(': ['(', ')'], ')': ['(', ')'], 'b': ['(', ')'],
+    '[': ['[', ']'], ']': ['[', ']'],
+    '{': ['{', '}'], '}': ['{', '}'], 'B': ['{', '}'],
+    '<': ['<', '>'], '>': ['<', '>']
+};
+
+const QUOTE_OBJECTS = ['"', "'", '`'];
+
+// Opening or closing tag, e.g. '<div class="x">' or '</div>' (self-closing tags are skipped)
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w:-]*)[^<>]*?(\/?)>/g;
+
+/**
+ * Classifies a tile for word text objects: 0 = blank, 1 = punctuation, 2 = word character.
+ * Empty pathway tiles, spaces and barriers count as blank, so text laid out on the grid splits into words
+ * the way it reads. With bigWord (WORD objects) every non-blank tile is in the same class.
+ * @param {object} tile - Grid tile.
+ * @param {boolean} bigWord
+ * @returns {number}
+ */
+function getCharClass(tile, bigWord) {
+    if (!tile || tile.type === 'pathway' || tile.type === 'barrier' || /\s/.test(tile.char)) return 0;
+    if (bigWord || /\w/.test(tile.char)) return 2;
+    return 1;
+}
+
+/**
+ * Turns a pair of reading-order indexes (y * width + x) into a characterwise range.
+ * @returns {{startX: number, startY: number, endX: number, endY: number, kind: string} | null}
+ *     Null if the range is empty (e.g. 'i(' on '()').
+ */
+function indexRange(start, end, width) {
+    if (end < start) return null;
+    return {
+        startX: start % width, startY: Math.floor(start / width),
+        endX: end % width, endY: Math.floor(end / width),
+        kind: 'char'
+    };
+}
+
+/**
+ * Resolves a word or WORD object (iw, aw, iW, aW) within the cursor's row.
+ * 'inner' counts runs of blanks as objects of their own; 'a' takes each word with its trailing blanks,
+ * or its leading blanks if it has none (or if the cursor starts on blanks).
+ * @returns {object | null}
+ */
+function findWordObject(grid, x, y, inner, bigWord, count) {
+    const row = grid.tiles[y];
+    if (!row || !row[x]) return null;
+    const classOf = i => getCharClass(row[i], bigWord);
+    const runEnd = i => { while (i + 1 < row.length && classOf(i + 1) === classOf(i)) i++; return i; };
+
+    let start = x;
+    while (start > 0 && classOf(start - 1) === classOf(x)) start--;
+    let end = runEnd(x);
+
+    if (inner) {
+        for (let i = 1; i < count && end + 1 < row.length; i++) end = runEnd(end + 1);
+        return indexRange(y * grid.width + start, y * grid.width + end, grid.width);
+    }
+
+    const startedOnBlank = classOf(x) === 0;
+    for (let i = 0; i < count; i++) {
+        if (i > 0 && end + 1 < row.length) end = runEnd(end + 1); // Next word (or next blanks)
+        if (startedOnBlank) {
+            if (end + 1 < row.length) end = runEnd(end + 1); // Blanks go with the word after them
+        } else if (end + 1 < row.length && classOf(end + 1) === 0) {
+            end = runEnd(end + 1); // The word's trailing blanks
+        }
+    }
+    // A word with no blanks after it takes the blanks before it instead
+    if (!startedOnBlank && classOf(end) !== 0) {
+        while (start > 0 && classOf(start - 1) === 0) start--;
+    }
+    return indexRange(y * grid.width + start, y * grid.width + end, grid.width);
+}
+
+/**
+ * Resolves a quote object (i", a", i', ...) within the cursor's row.
+ * Quotes pair up from the start of the row; if the cursor isn't inside a pair, the first pair after it is used.
+ * 'a' includes the quotes and the blanks after them (or before, if there are none after).
+ * @returns {object | null}
+ */
+function findQuoteObject(grid, x, y, quote, inner) {
+    const row = grid.tiles[y];
+    if (!row) return null;
+    const quotes = [];
+    row.forEach((tile, i) => { if (tile?.char === quote) quotes.push(i); });
+
+    let open = -1, close = -1;
+    for (let i = 0; i + 1 < quotes.length; i += 2) {
+        if (x <= quotes[i + 1]) {
+            [open, close] = [quotes[i], quotes[i + 1]];
+            break;
+        }
+    }
+    if (open === -1) return null;
+
+    const base = y * grid.width;
+    if (inner) return indexRange(base + open + 1, base + close - 1, grid.width);
+
+    let start = open, end = close;
+    const isBlank = i => getCharClass(row[i], true) === 0;
+    if (end + 1 < row.length && isBlank(end + 1)) {
+        while (end + 1 < row.length && isBlank(end + 1)) end++;
+    } else {
+        while (start > 0 && isBlank(start - 1)) start--;
+    }
+    return indexRange(base + start, base + end, grid.width);
+}
+
+/**
+ * Resolves a bracket object (i(, a{, ib, ...). The grid is read as one text in reading order,
+ * so a pair can span several rows. The count selects enclosing pairs further out (2i( is the second level).
+ * @returns {object | null}
+ */
+function findBracketObject(grid, x, y, [openChar, closeChar], inner, count) {
+    const charAt = i => grid.tiles[Math.floor(i / grid.width)]?.[i % grid.width]?.char;
+    const total = grid.width * grid.height;
+    const cursor = y * grid.width + x;
+
+    // Find the count-th unmatched opening bracket at or before the cursor (a closing one under the cursor counts as inside)
+    let open = charAt(cursor) === closeChar ? cursor - 1 : cursor;
+    let depth = 0;
+    let found = 0;
+    for (; open >= 0; open--) {
+        const char = charAt(open);
+        if (char === closeChar) depth++;
+        else if (char === openChar) {
+            if (depth === 0) {
+                if (++found === count) break;
+            } else {
+                depth--;
+            }
+        }
+    }
+    if (open < 0) return null;
+
+    let close = open + 1;
+    for (depth = 0; close < total; close++) {
+        const char = charAt(close);
+        if (char === openChar) depth++;
+        else if (char === closeChar) {
+            if (depth === 0) break;
+            depth--;
+        }
+    }
+    if (close >= total) return null;
+
+    return inner ? indexRange(open + 1, close - 1, grid.width) : indexRange(open, close, grid.width);
+}
+
+/**
+ * Resolves a tag object (it, at): the content of the innermost '<tag>...</tag>' around the cursor,
+ * or with a count, an enclosing one further out. Like brackets, tags can span rows.
+ * @returns {object | null}
+ */
+function findTagObject(grid, x, y, inner, count) {
+    let text = '';
+    for (let row = 0; row < grid.height; row++) text += getRowText(grid, row);
+    const cursor = y * grid.width + x;
+
+    // Pair the tags with a stack; unmatched closing tags are ignored
+    const stack = [];
+    const pairs = [];
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+        const [tagText, closing, name, selfClosing] = match;
+        const tag = { name, start: match.index, end: match.index + tagText.length - 1 };
+        if (selfClosing) continue;
+        if (!closing) {
+            stack.push(tag);
+            continue;
+        }
+        const openIndex = stack.map(open => open.name).lastIndexOf(name);
+        if (openIndex === -1) continue;
+        const open = stack[openIndex];
+        stack.length = openIndex;
+        pairs.push({ open, close: tag });
+    }
+
+    const enclosing = pairs
+        .filter(({ open, close }) => open.start <= cursor && cursor <= close.end)
+        .sort((a, b) => b.open.start - a.open.start); // Innermost first
+    const pair = enclosing[count - 1];
+    if (!pair) return null;
+    return inner
+        ? indexRange(pair.open.end + 1, pair.close.start - 1, grid.width)
+        : indexRange(pair.open.start, pair.close.end, grid.width);
+}
+
+/**
+ * Finds the range of a text object around a position, for operators (diw, ci") and visual mode (viw).
+ * Supported objects: w, W (words), ", ', ` (quoted strings), ( ) b, [ ], { } B, < > (bracket pairs) and t (tags).
+ * @param {object} grid - The level grid.
+ * @param {number} x - Cursor column.
+ * @param {number} y - Cursor row.
+ * @param {string} object - The object key typed after 'i' or 'a'.
+ * @param {boolean} inner - True for 'i' (contents only), false for 'a' (with delimiters or surrounding blanks).
+ * @param {number} [count=1] - Number of words, or how many levels out for brackets and tags.
+ * @returns {{startX: number, startY: number, endX: number, endY: number, kind: string} | null}
+ *     A characterwise range, or null if there is no such object at the position.
+ */
+export function findTextObject(grid, x, y, object, inner, count = 1) {
+    if (!grid || !grid.tiles) return null;
+    if (object === 'w' || object === 'W') return findWordObject(grid, x, y, inner, object === 'W', count);
+    if (QUOTE_OBJECTS.includes(object)) return findQuoteObject(grid, x, y, object, inner);
+    if (BRACKET_OBJECTS[object]) return findBracketObject(grid, x, y, BRACKET_OBJECTS[object], inner, count);
+    if (object === 't') return findTagObject(grid, x, y, inner, count);
+    return null;
+}
@@ -0,0 +1,124 @@
+// js/game_logic/headlessUIManager.js
+
+'use strict';
+
+/**
+ * A UIManager without a DOM, for running the game in Node (tests, level checks, bots).
+ * It has the same public methods as UIManager and keeps the HUD as plain values in `hud`.
+ * Messages are kept in `messages` and never expire, since timers would keep a Node process alive.
+ * The import box (:vimrc, :replay load, :ghost load) is "opened" by storing it in `textImport`;
+ * submitTextImport() pastes text into it.
+ */
+export default class HeadlessUIManager {
+    constructor() {
+        this.elements = {}; // No DOM elements; states pass these to hideElement/showElement, which ignore them
+        this.hud = {
+            score: 0,
+            timer: 0, // Seconds
+            levelName: '',
+            integrity: 100,
+            cpuCycles: 100,
+            message: '',
+            commandBuffer: ':',
+            registers: [], // { name, text } as from RegisterManager.list()
+            recording: null, // Macro register being recorded
+            ghostDelta: null // Seconds behind (+) or ahead (-) of the ghost
+        };
+        this.messages = []; // Every message shown, oldest first
+        this.textImport = null; // { label, placeholder, onImport } while the import box is open
+        this.downloads = []; // { fileName, text } of every file offered for download
+        console.log("UIManager initialized (headless).");
+    }
+
+    init() {
+        this.updateScore(0);
+        this.updateTimer(0);
+        this.updateLevelName("STANDBY");
+        this.updateIntegrity(100);
+        this.updateCPUCycles(100);
+        this.clearMessage();
+        this.updateCommandBuffer(':');
+        this.updateRegisters([]);
+        this.updateRecording(null);
+        this.updateGhostDelta(null);
+    }
+
+    updateScore(newScore) {
+        this.hud.score = newScore;
+    }
+
+    updateTimer(totalSeconds) {
+        this.hud.timer = totalSeconds;
+    }
+
+    updateLevelName(name) {
+        this.hud.levelName = name;
+    }
+
+    updateIntegrity(percent) {
+        this.hud.integrity = percent;
+    }
+
+    updateCPUCycles(percent) {
+        this.hud.cpuCycles = percent;
+    }
+
+    /**
+     * Shows a message until the next one (the duration is ignored).
+     * @param {string} message
+     * @param {number} [duration=0]
+     */
+    showMessage(message, duration = 0) {
+        this.hud.message = message;
+        this.messages.push(message);
+    }
+
+    clearMessage() {
+        this.hud.message = '';
+    }
+
+    updateCommandBuffer(bufferText) {
+        this.hud.commandBuffer = bufferText || ':';
+    }
+
+    updateRegisters(registers) {
+        this.hud.registers = registers;
+    }
+
+    updateRecording(register) {
+        this.hud.recording = register;
+    }
+
+    updateGhostDelta(seconds) {
+        this.hud.ghostDelta = seconds;
+    }
+
+    showVimrcImport(onImport) {
+        this.showTextImport("Paste map / noremap lines from your .vimrc", "nnoremap n j", onImport);
+    }
+
+    showTextImport(label, placeholder, onImport) {
+        this.textImport = { label, placeholder, onImport };
+    }
+
+    /**
+     * Pastes text into the open import box and presses Import.
+     * @param {string} text
+     * @returns {boolean} False if no import box is open.
+     */
+    submitTextImport(text) {
+        if (!this.textImport) return false;
+        const { onImport } = this.textImport;
+        this.textImport = null;
+        onImport(text);
+        return true;
+    }
+
+    downloadText(fileName, text) {
+        this.downloads.push({ fileName, text });
+    }
+
+    hideElement(element) {}
+
+    showElement(element) {}
+}
@@ -67,6 +67,8 @@ export default class LevelManager {
             height: height,
             playerStart: { x: 1, y: 2 },
             tiles: tiles,
+            undo: { depth: 50, cost: 0 }, // Learning stream: undo freely
+            allowGrowth: true, // 'o' / 'O' may open new rows
             // --- ADD ENEMY SPAWNS ---
             enemySpawns: [
                 // Add one chaser
@@ -99,6 +101,7 @@ export default class LevelManager {
             height: height,
             playerStart: { x: 1, y: 1 },
             tiles: tiles,
+            undo: { depth: 5, cost: 10 }, // Undo is a limited resource from here on
              // --- ADD ENEMY SPAWNS ---
             enemySpawns: [
                 { type: 'chaser', x: 20, y: 1, char: 'c' }, // lowercase 'c' chaser
@@ -116,6 +119,9 @@ export default class LevelManager {
         this._stringToTiles(tiles, 1, 3, "USE", true, "USE");
         this._stringToTiles(tiles, 6, 3, "DELETE", true, "DELETE");
         this._placeTile(tiles, 13, 3, '#', 'corrupted');
+        this._stringToTiles(tiles, 16, 3, "REPLACE", true, "REPLACE");
+        this._placeTypo(tiles, 19, 3, 'A', 'L'); // Reads "REPALCE" until fixed with r or R
+        this._placeTypo(tiles, 20, 3, 'L', 'A');
 
         this._stringToTiles(tiles, 1, 5, "REACH", true, "REACH");
         this._stringToTiles(tiles, 8, 5, "EXIT", true, "EXIT");
@@ -168,6 +174,9 @@ export default class LevelManager {
             }
             this._placeTile(tiles, x, y, tileData);
         }
+    }
+     _placeTypo(tiles, x, y, wrongChar, correctChar) { // Shows wrongChar until overwritten with correctChar
+        this._placeTile(tiles, x, y, { char: wrongChar, type: 'typo', correctChar });
     }
       _fillRow(tiles, rowIndex, char, type) {
          if (rowIndex >= 0 && rowIndex < tiles.length) {
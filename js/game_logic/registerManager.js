@@ -0,0 +1,177 @@
+// js/game_logic/registerManager.js
+
+'use strict';
+
+// Names that can be selected with "x. Uppercase letters append to the lowercase register.
+const REGISTER_NAME = /^["0-9a-zA-Z_-]$/;
+
+/**
+ * Stores yanked and deleted tile runs in Vim-style registers:
+ * - '"'  unnamed: whatever was yanked or deleted last; used by p/P when no register is given
+ * - '0'  last yank
+ * - '1'-'9' deletes spanning rows, newest in '1' (older ones shift up and '9' is dropped)
+ * - '-'  small deletes (within one row)
+ * - 'a'-'z' named registers ('A'-'Z' append)
+ * - '_'  black hole: storing discards, reading gives nothing
+ *
+ * A register holds { kind, rows }, where kind is the range kind it was taken from ('char', 'line' or 'block')
+ * and rows is an array of tile rows, each tile being { char, type }.
+ */
+export default class RegisterManager {
+    constructor() {
+        this.registers = new Map(); // name -> { kind, rows }
+        console.log("RegisterManager initialized.");
+    }
+
+    /**
+     * Checks whether a character names a register.
+     * @param {string} name - The character typed after '"'.
+     * @returns {boolean}
+     */
+    isValidName(name) {
+        return typeof name === 'string' && REGISTER_NAME.test(name);
+    }
+
+    /**
+     * Stores the result of a yank or delete.
+     * @param {string | null | undefined} name - Register selected with "x, or null/undefined for the default.
+     * @param {{kind: string, rows: Array<Array<{char: string, type: string}>>}} content - The captured tiles.
+     * @param {string} operation - 'yank' or 'delete'; decides the numbered register used by default.
+     */
+    store(name, content, operation) {
+        if (name === '_') return; // Black hole
+        if (!content || content.rows.length === 0) return;
+
+        if (name && name !== '"') {
+            if (/^[A-Z]$/.test(name)) {
+                const lower = name.toLowerCase();
+                this._set(lower, this._append(this.registers.get(lower), content));
+            } else {
+                this._set(name, content);
+            }
+            this.registers.set('"', this.registers.get(name.toLowerCase()));
+            return;
+        }
+
+        if (operation === 'yank') {
+            this._set('0', content);
+        } else if (content.kind === 'line' || content.rows.length > 1) {
+            // Shift the numbered delete history: '8' -> '9', ..., '1' -> '2'
+            for (let i = 9; i > 1; i--) {
+                const previous = this.registers.get(String(i - 1));
+                if (previous) this.registers.set(String(i), previous);
+            }
+            this._set('1', content);
+        } else {
+            this._set('-', content);
+        }
+        this.registers.set('"', content);
+    }
+
+    /**
+     * Stores plain text in a register, as macro recording does (qa...q). Unlike store(), the unnamed and
+     * numbered registers are left alone. An uppercase name appends; empty text clears the register.
+     * @param {string} name - Register name.
+     * @param {string} text - The text, one tile per character.
+     */
+    storeText(name, text) {
+        if (name === '_') return;
+        const lower = name.toLowerCase();
+        if (!text) {
+            if (lower === name) this.registers.delete(lower);
+            return;
+        }
+        const content = { kind: 'char', rows: [[...text].map(char => ({ char, type: 'decoration' }))] };
+        this._set(lower, lower === name ? content : this._append(this.registers.get(lower), content));
+    }
+
+    /**
+     * Reads a register as text (for executing it with @x). Rows are separated by line breaks.
+     * @param {string | null | undefined} name - Register name; null/undefined reads the unnamed register.
+     * @returns {string} The text, or '' if the register is empty.
+     */
+    getText(name) {
+        const content = this.get(name);
+        if (!content) return '';
+        return content.rows.map(row => row.map(tile => tile.char).join('')).join('\n');
+    }
+
+    /**
+     * Reads a register.
+     * @param {string | null | undefined} name - Register name; null/undefined reads the unnamed register.
+     * @returns {{kind: string, rows: Array<Array<object>>} | null} A copy of the content, or null if empty.
+     */
+    get(name) {
+        const content = this.registers.get(name ? name.toLowerCase() : '"');
+        if (!content) return null;
+        return { kind: content.kind, rows: content.rows.map(row => row.map(tile => ({ ...tile }))) };
+    }
+
+    /**
+     * Lists the non-empty registers in the order Vim's ':registers' uses ('"', '0'-'9', 'a'-'z', '-').
+     * @returns {Array<{name: string, kind: string, text: string}>} Rows joined with '^J' like Vim displays them.
+     */
+    list() {
+        const order = ['"', ...'0123456789', ...'abcdefghijklmnopqrstuvwxyz', '-'];
+        return order
+            .filter(name => this.registers.has(name))
+            .map(name => {
+                const content = this.registers.get(name);
+                const text = content.rows.map(row => row.map(tile => tile.char).join('')).join('^J');
+                return { name, kind: content.kind, text };
+            });
+    }
+
+    /**
+     * Copies every register into a plain object that survives JSON (e.g. to start a replay the same way).
+     * @returns {object} name -> { kind, rows }
+     */
+    snapshot() {
+        return Object.fromEntries([...this.registers.keys()].map(name => [name, this.get(name)]));
+    }
+
+    /**
+     * Replaces every register with the contents of a snapshot.
+     * @param {object} snapshot - As returned by snapshot().
+     */
+    restore(snapshot) {
+        this.registers.clear();
+        for (const [name, content] of Object.entries(snapshot || {})) {
+            this._set(name, content);
+        }
+    }
+
+    /**
+     * Empties every register (e.g. for a fresh run).
+     */
+    clear() {
+        this.registers.clear();
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Stores a copy of the content so later grid edits can't change it.
+     * @private
+     */
+    _set(name, content) {
+        this.registers.set(name, { kind: content.kind, rows: content.rows.map(row => row.map(tile => ({ ...tile }))) });
+    }
+
+    /**
+     * Appends content to an existing register ("Ayw). Characterwise text joins onto the last row,
+     * anything involving whole rows stacks the rows.
+     * @returns {{kind: string, rows: Array<Array<object>>}}
+     * @private
+     */
+    _append(existing, content) {
+        if (!existing) return content;
+        if (existing.kind === 'char' && content.kind === 'char') {
+            const rows = existing.rows.map(row => [...row]);
+            rows[rows.length - 1] = rows[rows.length - 1].concat(content.rows[0]);
+            return { kind: 'char', rows: rows.concat(content.rows.slice(1)) };
+        }
+        const kind = existing.kind === 'line' || content.kind === 'line' ? 'line' : content.kind;
+        return { kind, rows: existing.rows.concat(content.rows) };
+    }
+}
@@ -0,0 +1,483 @@
+// js/game_logic/replayManager.js
+
+'use strict';
+
+// Version of the replay format; bumped when old replays can no longer be played back
+export const REPLAY_VERSION = 1;
+
+// Playback speeds, slowest first; '<' and '>' step through them
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// localStorage key holding the last finished run
+const STORAGE_KEY = 'vimrunner.lastReplay';
+
+// localStorage key holding the fastest completed run of each stream, raced as a ghost
+const BEST_STORAGE_KEY = 'vimrunner.bestReplays';
+
+// Frame times are stored in whole microseconds
+const MICROSECONDS = 1e6;
+
+/**
+ * Records whole runs and plays them back.
+ *
+ * While recording, the game state reports every frame's deltaTime (recordFrame) and every key the
+ * InputHandler handles (recordKey). Keys are recorded after the player's mappings are applied, so a run plays
+ * back the same with other mappings. Frame times are rounded to microseconds and the run itself is simulated
+ * with the rounded times, so playback feeds the game exactly the same numbers.
+ *
+ * A replay is plain JSON:
+ * {
+ *   version, levelId, seed,
+ *   settings,    // ':set' options when the run started
+ *   registers,   // Register contents when the run started (RegisterManager.snapshot())
+ *   deltas,      // Frame times in microseconds; a run of equal times is stored as [time, count]
+ *   keys,        // [frames since the previous key, key] pairs, the key handled before that frame
+ *   path,        // [frames since the previous move, x, y] entries, where the cursor was at the end of that frame
+ *   outcome,     // 'complete', 'defeated' or 'abandoned'
+ *   time, score  // Elapsed seconds and score at the end
+ * }
+ * The manager only stores and steps through replays; feeding keys and frames to the game is up to the caller.
+ * It also keeps the fastest completed run of each stream, whose path is raced as a ghost.
+ */
+export default class ReplayManager {
+    /**
+     * @param {Storage | null} [storage=globalThis.localStorage] - Where the last run is saved (null to not persist).
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.recording = null; // { levelId, seed, settings, registers, deltas, keys } of the run being recorded
+        this.lastReplay = null; // The last finished run
+        this.bestReplays = {}; // levelId -> fastest completed run
+        this.importedGhosts = {}; // levelId -> run imported to race instead of the best one (not saved)
+        this.playback = null; // { replay, deltas, keysByFrame, frame, clock, speed, paused } while playing back
+        this._load();
+        console.log("ReplayManager initialized.");
+    }
+
+    // --- Recording ---
+
+    /**
+     * Starts recording a run. A run still being recorded is kept as abandoned.
+     * @param {{levelId: number | string, seed: number, settings: object, registers: object}} start - How the run starts.
+     */
+    startRecording({ levelId, seed, settings, registers }) {
+        if (this.recording) this.stopRecording({ outcome: 'abandoned' });
+        this.recording = { levelId, seed, settings: { ...settings }, registers, deltas: [], keys: [], path: [], lastMove: 0 };
+    }
+
+    /** @returns {boolean} True while a run is being recorded. */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Records a frame. The caller must simulate the frame with the returned time.
+     * @param {number} deltaTime - Seconds since the last frame.
+     * @returns {number} deltaTime rounded to a microsecond.
+     */
+    recordFrame(deltaTime) {
+        if (!this.recording) return deltaTime;
+        const microseconds = Math.max(0, Math.round(deltaTime * MICROSECONDS));
+        this.recording.deltas.push(microseconds);
+        return microseconds / MICROSECONDS;
+    }
+
+    /**
+     * Records a key handled before the next frame.
+     * @param {string} key - Normalized key name.
+     */
+    recordKey(key) {
+        if (!this.recording) return;
+        this.recording.keys.push([this.recording.deltas.length, key]);
+    }
+
+    /**
+     * Records where the cursor is at the end of the current frame (only moves are stored).
+     * @param {number} x
+     * @param {number} y
+     */
+    recordPosition(x, y) {
+        if (!this.recording) return;
+        const { path, deltas } = this.recording;
+        const last = path.at(-1);
+        if (last && last[1] === x && last[2] === y) return;
+        const frame = Math.max(0, deltas.length - 1);
+        path.push([frame - this.recording.lastMove, x, y]);
+        this.recording.lastMove = frame;
+    }
+
+    /**
+     * Ends the recording and keeps it as the last run (and as the stream's best run if it's the fastest completion).
+     * @param {{outcome: string, time?: number, score?: number}} result - How the run ended.
+     * @returns {object | null} The finished replay, or null if nothing was being recorded.
+     */
+    stopRecording({ outcome, time = 0, score = 0 }) {
+        if (!this.recording) return null;
+        const { levelId, seed, settings, registers, deltas, keys, path } = this.recording;
+        this.recording = null;
+
+        let previousFrame = 0;
+        this.lastReplay = {
+            version: REPLAY_VERSION,
+            levelId,
+            seed,
+            settings,
+            registers,
+            deltas: this._encodeDeltas(deltas),
+            keys: keys.map(([frame, key]) => {
+                const gap = frame - previousFrame;
+                previousFrame = frame;
+                return [gap, key];
+            }),
+            path,
+            outcome,
+            time,
+            score
+        };
+        this._save(STORAGE_KEY, this.lastReplay);
+
+        const best = this.bestReplays[levelId];
+        if (outcome === 'complete' && (!best || time < best.time)) {
+            this.bestReplays[levelId] = this.lastReplay;
+            this._save(BEST_STORAGE_KEY, this.bestReplays);
+        }
+        return this.lastReplay;
+    }
+
+    /**
+     * Gets the last finished run. A run still being recorded is stopped first and counts as abandoned.
+     * @returns {object | null}
+     */
+    getLastReplay() {
+        if (this.recording) this.stopRecording({ outcome: 'abandoned' });
+        return this.lastReplay;
+    }
+
+    /**
+     * Gets the fastest completed run of a stream.
+     * @param {number | string} levelId
+     * @returns {object | null}
+     */
+    getBestReplay(levelId) {
+        return this.bestReplays[levelId] ?? null;
+    }
+
+    // --- Ghosts ---
+
+    /**
+     * Races an imported run on its stream instead of the best one, until cleared.
+     * @param {object} replay - A replay with a path.
+     * @throws {Error} If the replay has no cursor path.
+     */
+    setGhostReplay(replay) {
+        if (!replay.path?.length) {
+            throw new Error("E: The replay has no cursor path to race");
+        }
+        this.importedGhosts[replay.levelId] = replay;
+    }
+
+    /**
+     * Goes back to racing the best run on a stream.
+     * @param {number | string} levelId
+     */
+    clearGhostReplay(levelId) {
+        delete this.importedGhosts[levelId];
+    }
+
+    /**
+     * Gets the run raced on a stream: an imported one, else the best completed one.
+     * @param {number | string} levelId
+     * @returns {object | null}
+     */
+    getGhostReplay(levelId) {
+        const replay = this.importedGhosts[levelId] ?? this.bestReplays[levelId] ?? null;
+        return replay?.path?.length ? replay : null;
+    }
+
+    /**
+     * Expands a replay's cursor path with the time each position was reached.
+     * @param {object} replay
+     * @returns {Array<{time: number, x: number, y: number}>} Oldest first.
+     */
+    getPath(replay) {
+        const deltas = this._decodeDeltas(replay.deltas);
+        const path = [];
+        let frame = 0;
+        let elapsed = 0; // Microseconds up to the end of 'frame', summed as integers so times match the run's
+        let summed = 0; // Frames counted in 'elapsed'
+        for (const [gap, x, y] of replay.path ?? []) {
+            frame += gap;
+            while (summed <= frame && summed < deltas.length) elapsed += deltas[summed++];
+            path.push({ time: elapsed / MICROSECONDS, x, y });
+        }
+        return path;
+    }
+
+    /**
+     * Turns a replay into the JSON text that is saved and shared.
+     * @param {object} replay - A replay object.
+     * @returns {string}
+     */
+    serialize(replay) {
+        return JSON.stringify(replay);
+    }
+
+    /**
+     * Reads replay JSON (e.g. a run shared by another player).
+     * @param {string} text - The JSON text.
+     * @returns {object} The replay.
+     * @throws {Error} If the text isn't a replay this version can play.
+     */
+    parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (e) {
+            throw new Error("E: Not a replay (invalid JSON)");
+        }
+        return this._validate(replay);
+    }
+
+    // --- Playback ---
+
+    /**
+     * Starts playing back a replay from its first frame, at normal speed.
+     * @param {object} replay - A replay object.
+     */
+    startPlayback(replay) {
+        const deltas = this._decodeDeltas(replay.deltas).map(microseconds => microseconds / MICROSECONDS);
+        const keysByFrame = new Map(); // frame -> keys handled before it
+        let frame = 0;
+        for (const [gap, key] of replay.keys) {
+            frame += gap;
+            if (!keysByFrame.has(frame)) keysByFrame.set(frame, []);
+            keysByFrame.get(frame).push(key);
+        }
+        this.playback = { replay, deltas, keysByFrame, frame: 0, clock: 0, speed: 1, paused: false };
+    }
+
+    /**
+     * Goes back to the replay's first frame, keeping the speed and pause (for scrubbing backwards,
+     * after the caller has restarted the stream).
+     */
+    rewind() {
+        if (!this.playback) return;
+        this.playback.frame = 0;
+        this.playback.clock = 0;
+    }
+
+    /**
+     * Marks every frame as played (the run ended before the last one).
+     */
+    skipToEnd() {
+        if (this.playback) this.playback.frame = this.playback.deltas.length;
+    }
+
+    /**
+     * Ends playback.
+     */
+    stopPlayback() {
+        this.playback = null;
+    }
+
+    /** @returns {boolean} True while a replay is being played back (including when paused or finished). */
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /** @returns {boolean} True once every frame of the replay has been played. */
+    isPlaybackDone() {
+        return this.playback !== null && this.playback.frame >= this.playback.deltas.length;
+    }
+
+    /** @returns {object | null} The replay being played back. */
+    getPlaybackReplay() {
+        return this.playback?.replay ?? null;
+    }
+
+    /** @returns {number} Index of the next frame to play. */
+    getPlaybackFrame() {
+        return this.playback?.frame ?? 0;
+    }
+
+    /** @returns {number} Number of frames in the replay being played back. */
+    getFrameCount() {
+        return this.playback?.deltas.length ?? 0;
+    }
+
+    /**
+     * Finds the frame reached after a number of seconds of the replay.
+     * @param {number} seconds - Replay time.
+     * @returns {number} Frame index (0 to the frame count).
+     */
+    getFrameAtTime(seconds) {
+        if (!this.playback) return 0;
+        let elapsed = 0;
+        let frame = 0;
+        while (frame < this.playback.deltas.length && elapsed + this.playback.deltas[frame] <= seconds) {
+            elapsed += this.playback.deltas[frame];
+            frame++;
+        }
+        return frame;
+    }
+
+    /**
+     * Gets the replay time at a frame.
+     * @param {number} [frame=this.getPlaybackFrame()] - Frame index.
+     * @returns {number} Seconds.
+     */
+    getTimeAtFrame(frame = this.getPlaybackFrame()) {
+        if (!this.playback) return 0;
+        return this.playback.deltas.slice(0, frame).reduce((sum, deltaTime) => sum + deltaTime, 0);
+    }
+
+    /**
+     * Takes the next frame to play, whatever the speed or pause.
+     * @returns {{deltaTime: number, keys: string[]} | null} Null once the replay is done.
+     */
+    nextFrame() {
+        if (!this.playback || this.isPlaybackDone()) return null;
+        const frame = this.playback.frame++;
+        return { deltaTime: this.playback.deltas[frame], keys: this.playback.keysByFrame.get(frame) ?? [] };
+    }
+
+    /**
+     * Takes the frames to play during a real frame, according to the playback speed.
+     * @param {number} deltaTime - Real seconds since the last frame.
+     * @returns {Array<{deltaTime: number, keys: string[]}>} Frames to play, oldest first (none while paused).
+     */
+    takeFrames(deltaTime) {
+        if (!this.playback || this.playback.paused) return [];
+        const frames = [];
+        this.playback.clock += deltaTime * this.playback.speed;
+        while (!this.isPlaybackDone() && this.playback.clock >= this.playback.deltas[this.playback.frame]) {
+            this.playback.clock -= this.playback.deltas[this.playback.frame];
+            frames.push(this.nextFrame());
+        }
+        return frames;
+    }
+
+    /**
+     * Pauses or resumes playback.
+     * @returns {boolean} True if playback is now paused.
+     */
+    togglePause() {
+        if (!this.playback) return false;
+        this.playback.paused = !this.playback.paused;
+        return this.playback.paused;
+    }
+
+    /**
+     * Steps the playback speed up or down through REPLAY_SPEEDS.
+     * @param {number} step - 1 for faster, -1 for slower.
+     * @returns {number} The new speed.
+     */
+    changeSpeed(step) {
+        if (!this.playback) return 1;
+        const index = REPLAY_SPEEDS.indexOf(this.playback.speed);
+        this.playback.speed = REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, index + step))];
+        return this.playback.speed;
+    }
+
+    /**
+     * Describes the playback for the HUD, e.g. 'REPLAY 2x  12.3s / 40.0s'.
+     * @returns {string}
+     */
+    getStatusText() {
+        if (!this.playback) return '';
+        const { speed, paused } = this.playback;
+        const state = this.isPlaybackDone() ? 'END' : paused ? 'PAUSED' : `${speed}x`;
+        const total = this.getTimeAtFrame(this.getFrameCount());
+        return `REPLAY ${state}  ${this.getTimeAtFrame().toFixed(1)}s / ${total.toFixed(1)}s`;
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Checks that a parsed object is a replay this version can play.
+     * @param {object} replay
+     * @returns {object} The replay.
+     * @throws {Error} If it isn't.
+     * @private
+     */
+    _validate(replay) {
+        if (!replay || !Array.isArray(replay.deltas) || !Array.isArray(replay.keys) || replay.levelId === undefined
+            || (replay.path !== undefined && !Array.isArray(replay.path))
+            || !Number.isFinite(replay.time) || !Number.isFinite(replay.score)) { // Shown and compared as numbers
+            throw new Error("E: Not a replay");
+        }
+        // The entries are read while playing, scrubbing and racing, so they're checked here, before anything uses the replay
+        const isDelta = delta => Number.isFinite(delta)
+            || (Array.isArray(delta) && delta.length === 2 && Number.isFinite(delta[0]) && Number.isInteger(delta[1]) && delta[1] > 0);
+        const isKey = entry => Array.isArray(entry) && entry.length === 2
+            && Number.isInteger(entry[0]) && entry[0] >= 0 && typeof entry[1] === 'string';
+        const isPathEntry = entry => Array.isArray(entry) && entry.length === 3 && entry.every(Number.isInteger);
+        if (!replay.deltas.every(isDelta) || !replay.keys.every(isKey) || !(replay.path ?? []).every(isPathEntry)) {
+            throw new Error("E: Not a replay");
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`E: Replay version ${replay.version} can't be played (expected ${REPLAY_VERSION})`);
+        }
+        return replay;
+    }
+
+    /**
+     * Stores runs of equal frame times as [time, count], which keeps fixed-rate runs small.
+     * @param {number[]} deltas - Frame times.
+     * @returns {Array<number | number[]>}
+     * @private
+     */
+    _encodeDeltas(deltas) {
+        const encoded = [];
+        for (let i = 0; i < deltas.length;) {
+            let count = 1;
+            while (deltas[i + count] === deltas[i]) count++;
+            encoded.push(count > 1 ? [deltas[i], count] : deltas[i]);
+            i += count;
+        }
+        return encoded;
+    }
+
+    /**
+     * Expands frame times stored by _encodeDeltas.
+     * @param {Array<number | number[]>} encoded
+     * @returns {number[]}
+     * @private
+     */
+    _decodeDeltas(encoded) {
+        return encoded.flatMap(entry => Array.isArray(entry) ? Array(entry[1]).fill(entry[0]) : [entry]);
+    }
+
+    /**
+     * Writes runs to storage.
+     * @param {string} key - STORAGE_KEY or BEST_STORAGE_KEY.
+     * @param {object} value - A replay, or replays by level id.
+     * @private
+     */
+    _save(key, value) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.warn("Could not save the replay:", e); // Storage full or disabled
+        }
+    }
+
+    /**
+     * Restores the last run and the best runs saved by a previous session.
+     * @private
+     */
+    _load() {
+        if (!this.storage) return;
+        try {
+            const text = this.storage.getItem(STORAGE_KEY);
+            if (text) this.lastReplay = this.parse(text);
+            const bests = JSON.parse(this.storage.getItem(BEST_STORAGE_KEY) ?? '{}');
+            for (const [levelId, replay] of Object.entries(bests)) {
+                this.bestReplays[levelId] = this._validate(replay);
+            }
+        } catch (e) {
+            console.warn("Could not load the saved replay:", e);
+        }
+    }
+}
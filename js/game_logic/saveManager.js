@@ -0,0 +1,159 @@
+// js/game_logic/saveManager.js
+
+'use strict';
+
+// Version of the save format; bump it and add a migration whenever the saved data changes
+export const SAVE_VERSION = 1;
+
+// Slot used by ':w' when the stream wasn't saved or loaded under a name yet
+export const DEFAULT_SLOT = 'quicksave';
+
+// localStorage key holding every save slot
+const STORAGE_KEY = 'vimrunner.saves';
+
+// Slot names are typed after ':w' and ':e', so they are single words
+const SLOT_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Upgrades saved data from one version to the next: MIGRATIONS[n] takes version n data and returns version n + 1.
+ * Old saves are migrated step by step when loaded, so a save from any earlier version can still be continued.
+ * Example, for a version 2 that adds a field:
+ *   1: data => ({ ...data, undo: [] }),
+ */
+const MIGRATIONS = {};
+
+/**
+ * Keeps named save slots of streams in progress, so a run can be continued later (':w' / ':e').
+ *
+ * The manager only stores snapshots; what goes in one is up to the game state (PlayingState.serialize()).
+ * Each slot is stored as:
+ * {
+ *   version,   // SAVE_VERSION when it was written
+ *   slot,      // Its name
+ *   savedAt,   // Date.now() when it was written
+ *   data       // The snapshot
+ * }
+ */
+export default class SaveManager {
+    /**
+     * @param {Storage | null} [storage=globalThis.localStorage] - Where slots are saved (null to keep them for the session only).
+     * @param {object} [migrations=MIGRATIONS] - Version -> migration to the next version.
+     */
+    constructor(storage = globalThis.localStorage ?? null, migrations = MIGRATIONS) {
+        this.storage = storage;
+        this.migrations = migrations;
+        this.slots = {}; // slot name -> stored slot, as written (migrated when loaded)
+        this._load();
+        console.log("SaveManager initialized.");
+    }
+
+    /**
+     * Writes a snapshot to a slot, replacing what was there.
+     * @param {string} slot - Slot name.
+     * @param {object} data - The snapshot.
+     * @throws {Error} If the slot name isn't a single word.
+     */
+    save(slot, data) {
+        if (!SLOT_NAME_PATTERN.test(slot)) {
+            throw new Error(`E: Invalid slot name: ${slot}`);
+        }
+        this.slots[slot] = { version: SAVE_VERSION, slot, savedAt: Date.now(), data };
+        this._save();
+    }
+
+    /**
+     * Reads a slot's snapshot, migrated to the current version.
+     * @param {string} slot - Slot name.
+     * @returns {object | null} The snapshot, or null if the slot is empty.
+     * @throws {Error} If the save is from a newer version of the game or can't be migrated.
+     */
+    load(slot) {
+        const stored = this.slots[slot];
+        if (!stored) return null;
+        return this._migrate(stored).data;
+    }
+
+    /**
+     * Removes a slot.
+     * @param {string} slot - Slot name.
+     * @returns {boolean} False if the slot was empty.
+     */
+    remove(slot) {
+        if (!this.slots[slot]) return false;
+        delete this.slots[slot];
+        this._save();
+        return true;
+    }
+
+    /**
+     * Lists the slots, most recently saved first.
+     * @returns {Array<{slot: string, savedAt: number, levelId: *, elapsedTime: number}>}
+     */
+    list() {
+        return Object.values(this.slots)
+            .sort((a, b) => b.savedAt - a.savedAt)
+            .map(({ slot, savedAt, data }) => ({ slot, savedAt, levelId: data?.levelId, elapsedTime: data?.elapsedTime ?? 0 }));
+    }
+
+    /**
+     * @returns {string | null} The most recently saved slot, continued by the menu.
+     */
+    getLatestSlot() {
+        return this.list()[0]?.slot ?? null;
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Brings a stored slot up to SAVE_VERSION, one migration at a time.
+     * @param {object} stored - A slot as stored.
+     * @returns {object} The slot at the current version (a copy if it had to be migrated).
+     * @private
+     */
+    _migrate(stored) {
+        if (!Number.isInteger(stored.version) || !stored.data || typeof stored.data !== 'object') {
+            throw new Error(`E: Save "${stored.slot}" is damaged`);
+        }
+        if (stored.version > SAVE_VERSION) {
+            throw new Error(`E: Save "${stored.slot}" is from a newer version of the game (v${stored.version})`);
+        }
+        let migrated = stored;
+        while (migrated.version < SAVE_VERSION) {
+            const migration = this.migrations[migrated.version];
+            if (!migration) {
+                throw new Error(`E: Save "${stored.slot}" is from an unsupported version (v${migrated.version})`);
+            }
+            migrated = { ...migrated, version: migrated.version + 1, data: migration(migrated.data) };
+        }
+        return migrated;
+    }
+
+    /**
+     * Writes every slot to storage.
+     * @private
+     */
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.slots));
+        } catch (e) {
+            console.warn("Could not save the stream:", e); // Storage full or disabled
+        }
+    }
+
+    /**
+     * Restores the slots saved by a previous session.
+     * @private
+     */
+    _load() {
+        if (!this.storage) return;
+        try {
+            const slots = JSON.parse(this.storage.getItem(STORAGE_KEY) ?? '{}');
+            for (const [slot, stored] of Object.entries(slots)) {
+                if (stored && typeof stored === 'object') this.slots[slot] = { ...stored, slot };
+            }
+        } catch (e) {
+            console.warn("Could not load the saved streams:", e);
+        }
+    }
+}
@@ -39,6 +39,8 @@ export default class UIManager {
         this.updateCPUCycles(100);
         this.clearMessage();
         this.updateCommandBuffer(':'); // Default buffer display
+        this.updateRegisters([]);
+        this.updateRecording(null);
         // Ensure elements that might be hidden initially are shown/hidden correctly
         if (this.elements.commandBuffer) this.showElement(this.elements.commandBuffer);
     }
@@ -146,6 +148,96 @@ export default class UIManager {
         }
     }
 
+    /**
+     * Updates the register display with the current register contents.
+     * @param {Array<{name: string, text: string}>} registers - Non-empty registers, as returned by RegisterManager.list().
+     */
+    updateRegisters(registers) {
+        if (this.elements.registers) {
+            const maxLength = 10; // Keep long yanks from pushing the rest of the HUD around
+            this.elements.registers.textContent = registers
+                .map(({ name, text }) => `"${name} ${text.length > maxLength ? text.slice(0, maxLength - 1) + '…' : text}`)
+                .join('  ');
+        }
+    }
+
+    /**
+     * Shows the macro recording indicator ("recording @a") or hides it.
+     * @param {string | null} register - Register being recorded into, or null when not recording.
+     */
+    updateRecording(register) {
+        if (this.elements.recording) {
+            this.elements.recording.textContent = register ? `recording @${register}` : '';
+        }
+    }
+
+    /**
+     * Shows how far the player is behind (+) or ahead (-) of the ghost, or hides it.
+     * @param {number | null} seconds - Time delta, or null when there's no ghost (or no comparison yet).
+     */
+    updateGhostDelta(seconds) {
+        const element = this.elements.ghostDelta;
+        if (!element) return;
+        element.textContent = seconds === null ? '' : `GHOST ${seconds > 0 ? '+' : ''}${seconds.toFixed(1)}s`;
+        element.classList.toggle('ahead', seconds !== null && seconds < 0);
+        element.classList.toggle('behind', seconds !== null && seconds > 0);
+    }
+
+    /**
+     * Opens the .vimrc import box. The game ignores keys typed into it; Escape or Cancel closes it.
+     * @param {function(string): void} onImport - Called with the pasted text when Import is pressed.
+     */
+    showVimrcImport(onImport) {
+        this.showTextImport("Paste map / noremap lines from your .vimrc", "nnoremap n j", onImport);
+    }
+
+    /**
+     * Opens the import box with a prompt, for pasted text such as a .vimrc or a shared replay.
+     * The game ignores keys typed into it; Escape or Cancel closes it.
+     * @param {string} label - What to paste.
+     * @param {string} placeholder - Example shown in the empty box.
+     * @param {function(string): void} onImport - Called with the pasted text when Import is pressed.
+     */
+    showTextImport(label, placeholder, onImport) {
+        const container = this.elements.vimrcImport;
+        if (!container) return;
+        const textArea = container.querySelector('textarea');
+        const close = () => {
+            textArea.blur(); // Give the keyboard back to the game
+            this.hideElement(container);
+        };
+
+        container.querySelector('label').textContent = label;
+        textArea.placeholder = placeholder;
+        container.querySelector('[data-action="import"]').onclick = () => {
+            const text = textArea.value;
+            close();
+            onImport(text);
+        };
+        container.querySelector('[data-action="cancel"]').onclick = close;
+        textArea.onkeydown = (event) => {
+            if (event.key === 'Escape') close();
+        };
+
+        textArea.value = '';
+        this.showElement(container);
+        textArea.focus();
+    }
+
+    /**
+     * Lets the player save text as a file (e.g. a replay to share).
+     * @param {string} fileName - Suggested file name.
+     * @param {string} text - File contents.
+     */
+    downloadText(fileName, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Helper to hide a specific UI element.
      * @param {HTMLElement} element - The DOM element to hide.
@@ -0,0 +1,100 @@
+// js/game_logic/undoManager.js
+
+'use strict';
+
+import { DEFAULT_UNDO } from '../data/constants.js';
+
+/**
+ * Keeps the undo and redo history of grid changes for the current stream.
+ * Each entry is a change set recorded by the game state after a grid-mutating action:
+ * {
+ *   tiles: [{ x, y, before, after }],  // Tile data as written back, with the rows below added ones already moved
+ *   rows: [{ y, tiles }],             // Rows the change added ('o'), in order, as they were when opened
+ *   playerBefore: { x, y }, playerAfter: { x, y },
+ *   cost,        // CPU cycles the action cost (refunded on undo up to the undo cost, charged again on redo)
+ *   scoreDelta,  // Score the action earned (taken back on undo, given again on redo)
+ * }
+ * The manager only stores change sets; applying them to the grid and player is up to the caller.
+ */
+export default class UndoManager {
+    constructor() {
+        this.undoStack = []; // Oldest first
+        this.redoStack = []; // Most recently undone last
+        this.depth = DEFAULT_UNDO.depth; // Max number of change sets kept (0 disables undo)
+        this.cost = DEFAULT_UNDO.cost; // CPU cycles charged per undo step
+        console.log("UndoManager initialized.");
+    }
+
+    /**
+     * Clears the history and applies a stream's undo settings.
+     * @param {{depth?: number, cost?: number}} [config] - The level's 'undo' settings; missing values use DEFAULT_UNDO.
+     */
+    reset(config = {}) {
+        this.depth = Math.max(0, config.depth ?? DEFAULT_UNDO.depth);
+        this.cost = Math.max(0, config.cost ?? DEFAULT_UNDO.cost);
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Checks whether undo is available at all in this stream.
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.depth > 0;
+    }
+
+    /**
+     * Records a new change set. Like Vim, a new change discards everything that could have been redone.
+     * Change sets that didn't touch any tile or row are ignored.
+     * @param {object} changeSet - See the class description.
+     */
+    record(changeSet) {
+        if (!this.isEnabled() || !changeSet || (changeSet.tiles.length === 0 && changeSet.rows.length === 0)) return;
+        this.undoStack.push(changeSet);
+        if (this.undoStack.length > this.depth) {
+            this.undoStack.shift(); // Forget the oldest change
+        }
+        this.redoStack = [];
+    }
+
+    /** @returns {boolean} True if there is a change to undo. */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /** @returns {boolean} True if there is an undone change to redo. */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Returns the change set redo would re-apply, without moving it (e.g. to check its cost first).
+     * @returns {object | null}
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] ?? null;
+    }
+
+    /**
+     * Takes the newest change set off the undo history and moves it to the redo history.
+     * @returns {object | null} The change set to revert, or null if there is none.
+     */
+    undo() {
+        const changeSet = this.undoStack.pop();
+        if (!changeSet) return null;
+        this.redoStack.push(changeSet);
+        return changeSet;
+    }
+
+    /**
+     * Takes the most recently undone change set and moves it back to the undo history.
+     * @returns {object | null} The change set to re-apply, or null if there is none.
+     */
+    redo() {
+        const changeSet = this.redoStack.pop();
+        if (!changeSet) return null;
+        this.undoStack.push(changeSet);
+        return changeSet;
+    }
+}
@@ -18,6 +18,8 @@ export default class Enemy {
      * @param {number} [config.health=1] - Enemy health points.
      * @param {number} [config.speed=2] - Tiles per second movement speed (can be fractional).
      * @param {string} [config.state='idle'] - Initial state ('idle', 'chasing', 'attacking').
+     * @param {import('../utils/random.js').default} [config.random] - The game's seeded PRNG. Enemy randomness
+     *   must come from it (never Math.random) so runs replay the same.
      */
     constructor(config) {
         this.id = `enemy-${nextEnemyId++}`; // Assign a unique ID
@@ -28,6 +30,9 @@ export default class Enemy {
         this.health = config.health || 1;
         this.speed = config.speed || 2; // Tiles per second
         this.state = config.state || 'idle';
+        this.random = config.random || null;
+        this.previousX = this.x; // Position before the last update, for interpolated rendering
+        this.previousY = this.y;
 
         this.currentLevelGrid = null; // Reference to the level grid
         this.moveCooldown = 0; // Time until next potential move based on speed
@@ -54,6 +59,8 @@ export default class Enemy {
      * @returns {boolean} True if the enemy decided to move this frame, false otherwise.
      */
     update(deltaTime, playerPosition) {
+        this.previousX = this.x;
+        this.previousY = this.y;
         this.moveCooldown -= deltaTime;
         if (this.moveCooldown <= 0) {
             // Reset cooldown based on speed (time = distance / speed; distance is 1 tile)
@@ -78,6 +85,23 @@ export default class Enemy {
         }
     }
 
+    /**
+     * Copies what a save needs to rebuild this enemy: its config, plus how far it is into its next move.
+     * @returns {object} A config for the enemy's constructor, with moveCooldown.
+     */
+    serialize() {
+        return {
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            char: this.char,
+            health: this.health,
+            speed: this.speed,
+            state: this.state,
+            moveCooldown: this.moveCooldown,
+        };
+    }
+
     /**
      * Checks if a potential move target is valid (within bounds and not a barrier).
      * @param {number} targetX - The potential next X coordinate.
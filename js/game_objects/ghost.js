@@ -0,0 +1,62 @@
+// js/game_objects/ghost.js
+
+'use strict';
+
+/**
+ * A second, translucent cursor that retraces a recorded run on the same stream (the player's best or an
+ * imported one), for time trials.
+ *
+ * The ghost only has a position and a clock; it is never added to the enemies or the grid, so it can't
+ * collide with anything or change a tile.
+ */
+export default class Ghost {
+    /**
+     * @param {Array<{time: number, x: number, y: number}>} path - Cursor positions and when they were reached
+     *   (ReplayManager.getPath()), oldest first.
+     * @param {object} replay - The run the path comes from ({ levelId, outcome, time, ... }).
+     */
+    constructor(path, replay) {
+        if (!path.length) {
+            throw new Error("Ghost requires a path with at least one position.");
+        }
+        this.path = path;
+        this.levelId = replay.levelId;
+        this.outcome = replay.outcome;
+        this.time = replay.time; // Seconds the run took
+        this.char = '@';
+        this.x = path[0].x;
+        this.y = path[0].y;
+        this.index = 0; // Path entry the ghost is at
+
+        // 'x,y' -> when the run first reached that cell, to compare the player against
+        this.firstVisits = new Map();
+        for (const { time, x, y } of path) {
+            const key = `${x},${y}`;
+            if (!this.firstVisits.has(key)) this.firstVisits.set(key, time);
+        }
+    }
+
+    /**
+     * Moves the ghost to where the run was after the same time.
+     * @param {number} elapsedTime - Seconds since the stream started.
+     */
+    update(elapsedTime) {
+        if (elapsedTime < this.path[this.index].time) this.index = 0; // The stream restarted
+        while (this.index + 1 < this.path.length && this.path[this.index + 1].time <= elapsedTime) {
+            this.index++;
+        }
+        ({ x: this.x, y: this.y } = this.path[this.index]);
+    }
+
+    /**
+     * Compares the player with the ghost on a cell the ghost went through.
+     * @param {number} x - Player X.
+     * @param {number} y - Player Y.
+     * @param {number} elapsedTime - Player's time in seconds.
+     * @returns {number | null} Seconds behind the ghost (negative when ahead), or null if the ghost never got there.
+     */
+    getTimeDelta(x, y, elapsedTime) {
+        const ghostTime = this.firstVisits.get(`${x},${y}`);
+        return ghostTime === undefined ? null : elapsedTime - ghostTime;
+    }
+}
@@ -2,11 +2,116 @@
 
 'use strict';
 
+import {
+    findMatches, compareReadingOrder, getRangeCells, findTextObject, findRowTextEnd, findParagraphBoundary, findSentenceStart
+} from '../game_logic/gridManager.js';
+
 // ... PLAYER_DEFAULTS, constructor, setLevelGrid ...
 
+// Motions to a row (gg, G, H, M, L); used with an operator they cover whole rows, like 'a
+const ROW_MOTIONS = ['FIRST_LINE', 'LAST_LINE', 'SCREEN_TOP', 'SCREEN_MIDDLE', 'SCREEN_BOTTOM'];
+
+// Paragraph and sentence motions ({, }, (, )); used with an operator they are exclusive, like a search
+const TEXT_BLOCK_MOTIONS = ['PARAGRAPH_FORWARD', 'PARAGRAPH_BACKWARD', 'SENTENCE_FORWARD', 'SENTENCE_BACKWARD'];
+
+// Motions that resolve to a target position via _findMotionTarget rather than a simple _handleMove step
+const TARGET_MOTIONS = [
+    'SEARCH_FORWARD', 'SEARCH_BACKWARD',
+    'FIND_CHAR_FORWARD', 'FIND_CHAR_BACKWARD', 'TILL_CHAR_FORWARD', 'TILL_CHAR_BACKWARD',
+    'MARK_LINE', 'MARK_EXACT',
+    ...ROW_MOTIONS, ...TEXT_BLOCK_MOTIONS
+];
+
+// Motions that count as jumps: the position they leave is added to the jump list (Ctrl-o / Ctrl-i)
+const JUMP_MOTIONS = ['SEARCH_FORWARD', 'SEARCH_BACKWARD', 'MARK_LINE', 'MARK_EXACT', ...ROW_MOTIONS, ...TEXT_BLOCK_MOTIONS];
+
+// Jump list length, as in Vim
+const MAX_JUMPS = 100;
+
 export default class Player {
     // ... constructor, setLevelGrid ...
 
+    /**
+     * Gives the player read access to the shared ':set' options (e.g. 'wrapscan', 'ignorecase' for searches).
+     * @param {object} settings - The settings object built from DEFAULT_SETTINGS.
+     */
+    setSettings(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Gives the player the plugin registry, whose motions it resolves like TARGET_MOTIONS.
+     * @param {PluginRegistry} plugins - The shared plugin registry.
+     */
+    setPlugins(plugins) {
+        this.plugins = plugins;
+    }
+
+    /**
+     * Returns the current visual selection as a range, or null outside VISUAL mode.
+     * The anchor is where 'v' was pressed; the other end follows the cursor.
+     * @returns {{startX: number, startY: number, endX: number, endY: number, kind: string} | null}
+     */
+    getVisualRange() {
+        if (!this.visual) return null;
+        return { startX: this.visual.anchorX, startY: this.visual.anchorY, endX: this.x, endY: this.y, kind: this.visual.kind };
+    }
+
+    /**
+     * Drops any visual selection without applying an operator (e.g. when a stream is (re)loaded).
+     */
+    clearVisual() {
+        this.visual = null;
+    }
+
+    /**
+     * Forgets all marks and jumps. Marks belong to a stream, so this is called whenever one is loaded.
+     */
+    resetMarks() {
+        this.marks = new Map(); // 'a'-'z' -> { x, y }
+        this.jumpList = []; // Positions jumped away from, oldest first
+        this.jumpIndex = 0; // Position in jumpList while moving with Ctrl-o / Ctrl-i (length = not browsing)
+        this.lastJumpFrom = null; // Position before the latest jump, used by '' and ``
+    }
+
+    /**
+     * Lists the marks set in this stream, for drawing them on the grid.
+     * @returns {Array<{name: string, x: number, y: number}>}
+     */
+    getMarks() {
+        return [...this.marks].map(([name, { x, y }]) => ({ name, x, y }));
+    }
+
+    /**
+     * Sets which rows the view shows, for H, M and L. Called by the game state as the view scrolls.
+     * @param {number} top - First visible row.
+     * @param {number} rows - Number of visible rows.
+     */
+    setViewport(top, rows) {
+        this.viewport = { top, rows };
+    }
+
+    /**
+     * Returns the visible rows; the whole grid until the game state sets a viewport.
+     * @returns {{top: number, rows: number}}
+     */
+    getViewport() {
+        return this.viewport ?? { top: 0, rows: this.currentLevelGrid?.height ?? 0 };
+    }
+
+    /**
+     * Moves marks and jump list entries on or below a row, after rows were inserted into the grid.
+     * @param {number} fromY - First row that moved.
+     * @param {number} amount - How many rows it moved down.
+     */
+    shiftRows(fromY, amount) {
+        // A Set, since the latest jump's position is also in the jump list and must only move once
+        const positions = new Set([...this.marks.values(), ...this.jumpList, this.lastJumpFrom]);
+        for (const position of positions) {
+            if (position && position.y >= fromY) position.y += amount;
+        }
+    }
+
     handleInput(commands, deltaTime) {
         const generatedActions = [];
         for (const command of commands) {
@@ -15,24 +120,43 @@ export default class Player {
 
             switch (command.type) {
                 // ... MOVE, MOVE_TO cases ...
-                case 'MOVE': /* ... */ break;
+                case 'MOVE':
+                    if (TARGET_MOTIONS.includes(command.direction) || this.plugins?.getMotion(command.direction)) {
+                        const target = this._findMotionTarget(command.direction, count, command);
+                        if (target && JUMP_MOTIONS.includes(command.direction)) this._recordJump();
+                        if (target) this._moveTo(target.x, target.y);
+                        const feedback = this._getSearchFeedback(command.direction, command, target)
+                            ?? this._getMarkFeedback(command.direction, command, target);
+                        if (feedback) generatedActions.push(feedback);
+                        break;
+                    }
+                    /* ... */ break;
                 case 'MOVE_TO': /* ... */ break;
 
                 case 'DELETE_CHAR':
-                    for (let i = 0; i < count; i++) {
-                        // Use requestAction for consistency, even for single char
-                        actionResult = this.requestAction('DELETE_RANGE', {
-                            startX: this.x, startY: this.y, endX: this.x, endY: this.y
-                        }, 1); // Cost 1 for single char
-                        if (actionResult) generatedActions.push(actionResult);
-                    }
+                    // One range for all 'count' chars so the register receives them together ('3x' then 'p')
+                    const lastX = Math.min(this.x + count - 1, (this.currentLevelGrid?.width ?? this.x + 1) - 1);
+                    actionResult = this.requestAction('DELETE_RANGE', {
+                        startX: this.x, startY: this.y, endX: lastX, endY: this.y, kind: 'char'
+                    }, lastX - this.x + 1); // Cost 1 per char
+                    if (actionResult) generatedActions.push({ ...actionResult, register: command.register });
                     break;
 
                 case 'DELETE': // Operator + Motion
                 case 'CHANGE': // Operator + Motion
+                case 'YANK': // Operator + Motion
                     // --- CALL THE ENHANCED HELPER ---
-                    actionResult = this._handleDeleteOrChangeMotion(command.motion, count, command.type);
-                    if (actionResult) generatedActions.push(actionResult);
+                    actionResult = this._handleDeleteOrChangeMotion(command.motion, count, command.type, command);
+                    if (actionResult) generatedActions.push({ ...actionResult, register: command.register });
+                    break;
+
+                case 'PASTE_AFTER':
+                case 'PASTE_BEFORE':
+                    // The register content is resolved by the game state, which owns the registers
+                    actionResult = this.requestAction('PUT', {
+                        x: this.x, y: this.y, after: command.type === 'PASTE_AFTER', count
+                    }, 2);
+                    if (actionResult) generatedActions.push({ ...actionResult, register: command.register });
                     break;
 
                 // ... (TYPE cases, CLEAR_BUFFER remain the same) ...
@@ -40,11 +164,92 @@ export default class Player {
                 case 'TYPE_INCORRECT': /* ... */ this.takeDamage(1); generatedActions.push({ type: 'FEEDBACK', feedbackType: 'TYPE_INCORRECT', position: {x: this.x, y: this.y} }); break;
                 case 'TYPE_BACKSPACE': /* ... */ generatedActions.push({ type: 'FEEDBACK', feedbackType: 'TYPE_BACKSPACE', position: {x: this.x, y: this.y} }); break; // Position needs work
                 case 'PHRASE_COMPLETE': /* ... */ generatedActions.push({ type: 'FEEDBACK', feedbackType: 'PHRASE_COMPLETE', position: {x: this.x, y: this.y} }); break;
-                case 'EXIT_TYPING': /* ... */ generatedActions.push({ type: 'MODE_CHANGE_REQUEST', mode: 'NORMAL'}); break;
+                case 'EXIT_TYPING':
+                    // Like Vim, leaving an insert or R steps the cursor back onto the last typed tile
+                    if (command.insert && this.x > 0) this._moveTo(this.x - 1, this.y);
+                    generatedActions.push({ type: 'MODE_CHANGE_REQUEST', mode: 'NORMAL'});
+                    break;
                 case 'CLEAR_BUFFER': /* ... */ break;
 
+                // --- Insert mode ---
+                case 'INSERT':
+                    actionResult = this._startInsert(command.position);
+                    if (actionResult) generatedActions.push(actionResult);
+                    break;
+                case 'INSERT_CHAR':
+                    // The game state shifts the row and advances the cursor if the tile fits
+                    actionResult = this.requestAction('INSERT_TILE', { x: this.x, y: this.y, char: command.char }, 1); // Cost 1 per tile, like 'x'
+                    if (actionResult) generatedActions.push(actionResult);
+                    break;
+                case 'INSERT_BACKSPACE':
+                    actionResult = this.requestAction('REMOVE_TILE', { x: this.x - 1, y: this.y }, 0);
+                    if (actionResult) generatedActions.push(actionResult);
+                    break;
+
+                // --- Replace mode (R) ---
+                case 'REPLACE_MODE':
+                    generatedActions.push({ type: 'START_REPLACE' });
+                    break;
+                case 'OVERWRITE_CHAR':
+                    // Free like 'r'; the game state advances the cursor
+                    actionResult = this.requestAction('OVERWRITE_TILE', { x: this.x, y: this.y, char: command.char }, 0);
+                    if (actionResult) generatedActions.push(actionResult);
+                    break;
+                case 'REPLACE_BACKSPACE':
+                    actionResult = this.requestAction('RESTORE_TILE', { x: this.x - 1, y: this.y }, 0);
+                    if (actionResult) generatedActions.push(actionResult);
+                    break;
+
+
+                // --- Visual mode ---
+                case 'VISUAL_START':
+                    this.visual = { kind: command.kind, anchorX: this.x, anchorY: this.y };
+                    break;
+                case 'VISUAL_KIND':
+                    if (this.visual) this.visual.kind = command.kind;
+                    break;
+                case 'VISUAL_SWAP':
+                    if (this.visual) {
+                        const { anchorX, anchorY } = this.visual;
+                        this.visual.anchorX = this.x;
+                        this.visual.anchorY = this.y;
+                        this._moveTo(anchorX, anchorY);
+                    }
+                    break;
+                case 'VISUAL_END':
+                    this.visual = null;
+                    break;
+                case 'VISUAL_TEXT_OBJECT':
+                    // The selection becomes the object: anchor at its start, cursor at its end
+                    const objectRange = this.visual && findTextObject(this.currentLevelGrid, this.x, this.y, command.object, command.inner, count);
+                    if (objectRange) {
+                        this.visual = { kind: 'char', anchorX: objectRange.startX, anchorY: objectRange.startY };
+                        this._moveTo(objectRange.endX, objectRange.endY);
+                    }
+                    break;
+                case 'VISUAL_OPERATOR':
+                    actionResult = this._handleVisualOperator(command.operator, command);
+                    if (actionResult) generatedActions.push({ ...actionResult, register: command.register });
+                    break;
+
+                // --- Marks and jump list ---
+                case 'SET_MARK':
+                    this.marks.set(command.mark, { x: this.x, y: this.y });
+                    break;
+                case 'JUMP_OLDER':
+                    this._moveThroughJumpList(-count);
+                    break;
+                case 'JUMP_NEWER':
+                    this._moveThroughJumpList(count);
+                    break;
+
+                // --- Undo / redo ---
+                // The game state owns the change history, so these go straight through; it also charges the undo cost
+                case 'UNDO':
+                case 'REDO':
+                    generatedActions.push({ type: command.type, count });
+                    break;
 
-                // TODO: Handle other commands like r, y, p, u
                 case 'REPLACE_CHAR_EXECUTE':
                      actionResult = this.requestAction('REPLACE_CHAR', {x: this.x, y: this.y, char: command.char}, 0); // Replace usually low/no cost?
                      if (actionResult) generatedActions.push(actionResult);
@@ -72,23 +277,304 @@ export default class Player {
     _findLineEnd(startY) { /* ... (remains the same) ... */ }
     _findLineFirstChar(startY) { /* ... (remains the same) ... */ }
 
+    /**
+     * Resolves a TARGET_MOTIONS motion to the position it lands on.
+     * @param {string} motion - e.g. 'SEARCH_FORWARD', 'FIND_CHAR_BACKWARD'.
+     * @param {number} count - Number of times to apply the motion.
+     * @param {object} motionArgs - Extra data from the command ({ pattern } for searches, { char, repeat } for finds).
+     * @returns {{x: number, y: number, wrapped?: boolean} | null} The target, or null if the motion fails.
+     * @private
+     */
+    _findMotionTarget(motion, count, motionArgs) {
+        switch (motion) {
+            case 'SEARCH_FORWARD':
+            case 'SEARCH_BACKWARD':
+                return this._findSearchMatch(motionArgs.pattern, motion === 'SEARCH_FORWARD', count);
+            case 'FIND_CHAR_FORWARD':
+            case 'FIND_CHAR_BACKWARD':
+            case 'TILL_CHAR_FORWARD':
+            case 'TILL_CHAR_BACKWARD':
+                return this._findCharInLine(motion, motionArgs.char, count, motionArgs.repeat);
+            case 'MARK_LINE': // 'a goes to the first character of the mark's row
+                const markRow = this._getMark(motionArgs.mark);
+                return markRow ? { x: this._findLineFirstChar(markRow.y).x, y: markRow.y } : null;
+            case 'MARK_EXACT': // `a goes to the exact tile
+                return this._getMark(motionArgs.mark);
+            case 'FIRST_LINE': // gg, or {count}gg
+            case 'LAST_LINE': // G, or {count}G
+                const lastRow = this.currentLevelGrid.height - 1;
+                const jumpRow = motionArgs.line != null
+                    ? Math.min(Math.max(motionArgs.line - 1, 0), lastRow)
+                    : (motion === 'FIRST_LINE' ? 0 : lastRow);
+                return { x: this._findLineFirstChar(jumpRow).x, y: jumpRow };
+            case 'SCREEN_TOP': // H: count'th visible row from the top
+            case 'SCREEN_MIDDLE': // M
+            case 'SCREEN_BOTTOM': // L: count'th visible row from the bottom
+                const { top, rows } = this.getViewport();
+                const bottom = Math.min(top + rows, this.currentLevelGrid.height) - 1;
+                const screenRow = motion === 'SCREEN_TOP' ? Math.min(top + count - 1, bottom)
+                    : motion === 'SCREEN_BOTTOM' ? Math.max(bottom - count + 1, top)
+                    : top + Math.floor((bottom - top) / 2);
+                return { x: this._findLineFirstChar(screenRow).x, y: screenRow };
+            case 'PARAGRAPH_FORWARD': // }
+            case 'PARAGRAPH_BACKWARD': // {
+                return findParagraphBoundary(this.currentLevelGrid, this.y, motion === 'PARAGRAPH_FORWARD', count);
+            case 'SENTENCE_FORWARD': // )
+            case 'SENTENCE_BACKWARD': // (
+                return findSentenceStart(this.currentLevelGrid, this.x, this.y, motion === 'SENTENCE_FORWARD', count);
+            default: // A plugin motion finds its own target
+                return this.plugins?.getMotion(motion)?.find({ player: this, grid: this.currentLevelGrid, x: this.x, y: this.y, count }) ?? null;
+        }
+    }
+
+    /**
+     * Finds the target of f/F/t/T on the current row. f/F land on the count'th occurrence of the character,
+     * t/T stop one tile before it. Like Vim, the motion fails if there aren't enough occurrences.
+     * @param {string} motion - 'FIND_CHAR_FORWARD', 'FIND_CHAR_BACKWARD', 'TILL_CHAR_FORWARD' or 'TILL_CHAR_BACKWARD'.
+     * @param {string} char - The character to look for.
+     * @param {number} count - Which occurrence to use.
+     * @param {boolean} [isRepeat=false] - True for ';' and ','; t/T then ignore a match right next to the cursor.
+     * @returns {{x: number, y: number} | null}
+     * @private
+     */
+    _findCharInLine(motion, char, count, isRepeat = false) {
+        const row = this.currentLevelGrid?.tiles?.[this.y];
+        if (!row || !char) return null;
+
+        const forward = motion === 'FIND_CHAR_FORWARD' || motion === 'TILL_CHAR_FORWARD';
+        const isTill = motion === 'TILL_CHAR_FORWARD' || motion === 'TILL_CHAR_BACKWARD';
+        const step = forward ? 1 : -1;
+
+        let x = this.x + step;
+        if (isTill && isRepeat && row[x]?.char === char) {
+            x += step; // Already stopped before this one by the previous t/T
+        }
+
+        let found = 0;
+        for (; x >= 0 && x < row.length; x += step) {
+            if (row[x]?.char === char && ++found === count) {
+                return { x: isTill ? x - step : x, y: this.y };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the count'th search match before or after the cursor, anywhere in the grid.
+     * Wraps around the grid ends unless 'wrapscan' is off.
+     * @param {string} pattern - Search pattern.
+     * @param {boolean} forward - True for '/' and n, false for '?' and N.
+     * @param {number} count - Which match to land on.
+     * @returns {{x: number, y: number, wrapped: boolean} | null}
+     * @private
+     */
+    _findSearchMatch(pattern, forward, count) {
+        if (!this.currentLevelGrid || !pattern) return null;
+        const matches = findMatches(this.currentLevelGrid, pattern, { ignoreCase: this.settings?.ignorecase });
+        if (matches.length === 0) return null;
+
+        const wrapScan = this.settings?.wrapscan ?? true;
+        let position = { x: this.x, y: this.y };
+        let wrapped = false;
+        for (let i = 0; i < count; i++) {
+            let next = forward
+                ? matches.find(match => compareReadingOrder(match, position) > 0)
+                : matches.findLast(match => compareReadingOrder(match, position) < 0);
+            if (!next) {
+                if (!wrapScan) return null;
+                next = forward ? matches[0] : matches[matches.length - 1];
+                wrapped = true;
+            }
+            position = next;
+        }
+        return { x: position.x, y: position.y, wrapped };
+    }
+
+    /**
+     * Builds the status feedback for a search motion (failed or wrapped), if any.
+     * @param {string} motion - The motion that was attempted.
+     * @param {object} motionArgs - The command data ({ pattern }).
+     * @param {object | null} target - Result of _findMotionTarget.
+     * @returns {object | null} A FEEDBACK action, or null for non-search motions and plain hits.
+     * @private
+     */
+    _getSearchFeedback(motion, motionArgs, target) {
+        if (motion !== 'SEARCH_FORWARD' && motion !== 'SEARCH_BACKWARD') return null;
+        const forward = motion === 'SEARCH_FORWARD';
+        if (!target) {
+            return { type: 'FEEDBACK', feedbackType: 'SEARCH_NOT_FOUND', pattern: motionArgs.pattern, position: { x: this.x, y: this.y } };
+        }
+        if (target.wrapped) {
+            return { type: 'FEEDBACK', feedbackType: 'SEARCH_WRAPPED', forward, position: { x: target.x, y: target.y } };
+        }
+        return null;
+    }
+
+    /**
+     * Builds the E20 feedback for a jump to a mark that hasn't been set.
+     * @returns {object | null} A FEEDBACK action, or null if the motion isn't a failed mark jump.
+     * @private
+     */
+    _getMarkFeedback(motion, motionArgs, target) {
+        if ((motion !== 'MARK_LINE' && motion !== 'MARK_EXACT') || target) return null;
+        return { type: 'FEEDBACK', feedbackType: 'MARK_NOT_SET', mark: motionArgs.mark, position: { x: this.x, y: this.y } };
+    }
+
+    /**
+     * Looks up a mark. "'" and '`' name the position before the latest jump, as in Vim.
+     * @param {string} name - Mark name.
+     * @returns {{x: number, y: number} | null}
+     * @private
+     */
+    _getMark(name) {
+        if (name === "'" || name === '`') return this.lastJumpFrom;
+        return this.marks.get(name) ?? null;
+    }
+
+    /**
+     * Adds the cursor position to the jump list before a jump. Like Vim, a position already in the list
+     * moves to the newest end instead of appearing twice, and browsing with Ctrl-o/Ctrl-i starts over.
+     * @private
+     */
+    _recordJump() {
+        const position = { x: this.x, y: this.y };
+        this.lastJumpFrom = position;
+        this.jumpList = this.jumpList.filter(jump => jump.x !== position.x || jump.y !== position.y);
+        this.jumpList.push(position);
+        if (this.jumpList.length > MAX_JUMPS) this.jumpList.shift();
+        this.jumpIndex = this.jumpList.length;
+    }
+
+    /**
+     * Moves through the jump list (Ctrl-o with a negative step, Ctrl-i with a positive one).
+     * The first Ctrl-o also stores the current position, so Ctrl-i can come back to it.
+     * @param {number} step - Number of entries to move; negative goes to older jumps.
+     * @private
+     */
+    _moveThroughJumpList(step) {
+        if (step < 0 && this.jumpIndex === this.jumpList.length) {
+            this._recordJump();
+            this.jumpIndex = this.jumpList.length - 1;
+        }
+        const index = this.jumpIndex + step;
+        if (index < 0 || index >= this.jumpList.length) return;
+        this.jumpIndex = index;
+        this.lastJumpFrom = { x: this.x, y: this.y };
+        this._moveTo(this.jumpList[index].x, this.jumpList[index].y);
+    }
+
+    /**
+     * Builds the characterwise range covered by an exclusive motion from the cursor to a target:
+     * everything between the two, including the cursor but not the target (like Vim's 'd/foo').
+     * @param {number} targetX
+     * @param {number} targetY
+     * @returns {object | null} { startX, startY, endX, endY, kind: 'char' } or null if the target is the cursor.
+     * @private
+     */
+    _getExclusiveRange(targetX, targetY) {
+        const cursor = { x: this.x, y: this.y };
+        const target = { x: targetX, y: targetY };
+        const order = compareReadingOrder(target, cursor);
+        if (order === 0) return null;
+
+        const [start, end] = order > 0 ? [cursor, target] : [target, cursor];
+        // Step the end back one cell in reading order so it is excluded
+        const last = end.x > 0
+            ? { x: end.x - 1, y: end.y }
+            : { x: this.currentLevelGrid.width - 1, y: end.y - 1 };
+        return { startX: start.x, startY: start.y, endX: last.x, endY: last.y, kind: 'char' };
+    }
+
+
+    /**
+     * Applies an operator to the visual selection and ends it. The cursor moves to the start of the selection,
+     * as in Vim. Without a selection (the operator repeated by '.'), it applies to as much text as the last
+     * selection, from the cursor.
+     * @param {string} operator - 'DELETE', 'CHANGE', 'YANK', 'REPLACE' or 'TOGGLE_CASE'.
+     * @param {object} command - The VISUAL_OPERATOR command ({ char } for REPLACE).
+     * @returns {object | null} A *_RANGE action request, or null if there is no selection or not enough CPU.
+     * @private
+     */
+    _handleVisualOperator(operator, command) {
+        const range = this.visual ? this.getVisualRange() : this._getRepeatedVisualRange();
+        if (this.visual) {
+            const [first, last] = compareReadingOrder({ x: range.startX, y: range.startY }, { x: range.endX, y: range.endY }) <= 0
+                ? [{ x: range.startX, y: range.startY }, { x: range.endX, y: range.endY }]
+                : [{ x: range.endX, y: range.endY }, { x: range.startX, y: range.startY }];
+            this.lastVisualSize = {
+                kind: range.kind,
+                rows: last.y - first.y,
+                columns: range.kind === 'char' ? last.x - first.x : Math.abs(range.endX - range.startX),
+                endX: last.x,
+            };
+        }
+        this.visual = null;
+        if (!range || !this.currentLevelGrid) return null;
+
+        const tileCount = getRangeCells(range, this.currentLevelGrid.width, this.currentLevelGrid.height).length;
+        const startsAtAnchor = compareReadingOrder({ x: range.startX, y: range.startY }, { x: range.endX, y: range.endY }) <= 0;
+        if (range.kind === 'char') {
+            const start = startsAtAnchor ? { x: range.startX, y: range.startY } : { x: range.endX, y: range.endY };
+            this._moveTo(start.x, start.y);
+        } else {
+            // Linewise keeps the column; blockwise goes to the top-left corner
+            const x = range.kind === 'block' ? Math.min(range.startX, range.endX) : this.x;
+            this._moveTo(x, Math.min(range.startY, range.endY));
+        }
+
+        switch (operator) {
+            case 'DELETE':
+            case 'CHANGE':
+                return this.requestAction(`${operator}_RANGE`, range, 3 + tileCount);
+            case 'YANK':
+                return this.requestAction('YANK_RANGE', range, 0);
+            case 'REPLACE':
+                return this.requestAction('REPLACE_RANGE', { ...range, char: command.char }, 0); // Same as single 'r'
+            case 'TOGGLE_CASE':
+                return this.requestAction('TOGGLE_CASE_RANGE', range, 0);
+            default:
+                console.warn(`Unhandled visual operator: ${operator}`);
+                return null;
+        }
+    }
+
+    /**
+     * Works out the range a visual operator repeated by '.' applies to: the size of the last selection an operator
+     * applied to, starting at the cursor. A characterwise selection over several rows ends at the same column.
+     * @returns {object | null} The range, or null if no operator was applied to a selection yet.
+     * @private
+     */
+    _getRepeatedVisualRange() {
+        const size = this.lastVisualSize;
+        if (!size || !this.currentLevelGrid) return null;
+        const { width, height } = this.currentLevelGrid;
+        const endX = size.kind === 'char' && size.rows > 0 ? size.endX : this.x + size.columns;
+        return {
+            startX: this.x, startY: this.y,
+            endX: Math.min(endX, width - 1), endY: Math.min(this.y + size.rows, height - 1),
+            kind: size.kind,
+        };
+    }
 
     // --- ENHANCED: Handle Delete/Change Motions ---
     /**
-     * Calculates the range affected by a motion and generates a DELETE_RANGE or CHANGE_RANGE action request.
+     * Calculates the range affected by a motion and generates a DELETE_RANGE, CHANGE_RANGE or YANK_RANGE action request.
      * @param {string} motion - e.g., 'LINE', 'WORD_FORWARD', 'LINE_END'.
      * @param {number} count - Number of times to apply the motion.
-     * @param {string} baseActionType - 'DELETE' or 'CHANGE'.
+     * @param {string} baseActionType - 'DELETE', 'CHANGE' or 'YANK'.
+     * @param {object} [motionArgs={}] - Extra motion data from the command (e.g. { pattern } for searches).
      * @returns {object | null} An action request object or null if invalid.
      * @private
      */
-    _handleDeleteOrChangeMotion(motion, count, baseActionType) {
+    _handleDeleteOrChangeMotion(motion, count, baseActionType, motionArgs = {}) {
         if (!this.currentLevelGrid) return null;
 
         let startX = this.x, startY = this.y;
         let endX = this.x, endY = this.y;
+        let kind = 'char'; // Range shape: 'char' (reading order) or 'line' (whole rows)
         let targetPos = null; // To store results from find helpers
         let cost = 0; // Calculate cost based on affected area
+        let cursorAfter = null; // Where the cursor goes once the action is accepted, if it moves
         const actionType = baseActionType + '_RANGE'; // e.g., DELETE_RANGE
 
         switch (motion) {
@@ -98,6 +584,7 @@ export default class Player {
                  // Affect 'count' lines starting from current
                  startY = this.y;
                  endY = Math.min(this.y + count - 1, this.currentLevelGrid.height - 1);
+                 kind = 'line';
                  cost = 10 * count * (endX - startX + 1); // Example cost
                  break;
 
@@ -128,6 +615,7 @@ export default class Player {
                   endX = this.currentLevelGrid.width - 1;
                   startY = isDown ? this.y : targetLineY;
                   endY = isDown ? targetLineY : this.y;
+                  kind = 'line';
                   cost = 10 * (Math.abs(targetLineY - this.y) + 1); // Cost based on lines affected
                  break;
 
@@ -197,16 +685,198 @@ export default class Player {
                  cost = 5 + Math.abs(endX - startX);
                  break;
 
+             case 'FIND_CHAR_FORWARD': // df{char}, cf{char}
+             case 'TILL_CHAR_FORWARD': // dt{char}, ct{char}
+                 targetPos = this._findMotionTarget(motion, count, motionArgs);
+                 if (!targetPos) return null;
+                 endX = targetPos.x; // Forward finds are inclusive: the target tile goes too
+                 endY = this.y;
+                 cost = 3 * count + Math.abs(endX - startX);
+                 break;
+             case 'FIND_CHAR_BACKWARD': // dF{char}, cF{char}
+             case 'TILL_CHAR_BACKWARD': // dT{char}, cT{char}
+                 targetPos = this._findMotionTarget(motion, count, motionArgs);
+                 if (!targetPos) return null;
+                 startX = targetPos.x;
+                 endX = this.x - 1; // Backward finds are exclusive: the cursor tile stays
+                 endY = this.y;
+                 if (startX > endX) return null;
+                 cost = 3 * count + Math.abs(endX - startX);
+                 break;
+
+             case 'SEARCH_FORWARD': // d/pattern, c/pattern
+             case 'SEARCH_BACKWARD': // d?pattern, c?pattern
+             case 'PARAGRAPH_FORWARD': // d}, c}
+             case 'PARAGRAPH_BACKWARD': // d{, c{
+             case 'SENTENCE_FORWARD': // d), c)
+             case 'SENTENCE_BACKWARD': // d(, c(
+                 targetPos = this._findMotionTarget(motion, count, motionArgs);
+                 if (!targetPos) return null;
+                 // Searches, paragraphs and sentences are exclusive: the target tile itself is kept
+                 const searchRange = this._getExclusiveRange(targetPos.x, targetPos.y);
+                 if (!searchRange) return null;
+                 ({ startX, startY, endX, endY } = searchRange);
+                 cost = 3 * count + this._countRangeCells(searchRange);
+                 break;
+
+             case 'FIRST_LINE': // dgg, dG, dH, dM, dL
+             case 'LAST_LINE':
+             case 'SCREEN_TOP':
+             case 'SCREEN_MIDDLE':
+             case 'SCREEN_BOTTOM':
+             case 'MARK_LINE': // d'a, c'a: whole rows from the cursor to the target row
+                 targetPos = this._findMotionTarget(motion, count, motionArgs);
+                 if (!targetPos) return null;
+                 startX = 0;
+                 endX = this.currentLevelGrid.width - 1;
+                 startY = Math.min(this.y, targetPos.y);
+                 endY = Math.max(this.y, targetPos.y);
+                 kind = 'line';
+                 cost = 10 * (endY - startY + 1);
+                 break;
+             case 'MARK_EXACT': // d`a, c`a: exclusive, like a search
+                 targetPos = this._findMotionTarget(motion, count, motionArgs);
+                 if (!targetPos) return null;
+                 const markRange = this._getExclusiveRange(targetPos.x, targetPos.y);
+                 if (!markRange) return null;
+                 ({ startX, startY, endX, endY } = markRange);
+                 cost = 3 + this._countRangeCells(markRange);
+                 break;
+
+             case 'TEXT_OBJECT': // diw, ci", ya(, ...
+                 const objectRange = findTextObject(this.currentLevelGrid, this.x, this.y, motionArgs.object, motionArgs.inner, count);
+                 if (!objectRange) return null;
+                 ({ startX, startY, endX, endY } = objectRange);
+                 cursorAfter = { x: startX, y: startY }; // Like Vim, the cursor ends up at the start of the object
+                 cost = 3 + this._countRangeCells(objectRange);
+                 break;
+
             default:
-                console.warn(`Unhandled motion for ${baseActionType}: ${motion}`);
-                return null;
+                const pluginMotion = this.plugins?.getMotion(motion);
+                if (!pluginMotion) {
+                    console.warn(`Unhandled motion for ${baseActionType}: ${motion}`);
+                    return null;
+                }
+                targetPos = this._findMotionTarget(motion, count, motionArgs);
+                if (!targetPos) return null;
+                if (pluginMotion.linewise) { // Whole rows, like d'a
+                    startX = 0;
+                    endX = this.currentLevelGrid.width - 1;
+                    startY = Math.min(this.y, targetPos.y);
+                    endY = Math.max(this.y, targetPos.y);
+                    kind = 'line';
+                    cost = 10 * (endY - startY + 1);
+                    break;
+                }
+                // Other plugin motions are exclusive, like a search
+                const pluginRange = this._getExclusiveRange(targetPos.x, targetPos.y);
+                if (!pluginRange) return null;
+                ({ startX, startY, endX, endY } = pluginRange);
+                cost = 3 * count + this._countRangeCells(pluginRange);
+                break;
         }
 
         // Ensure start/end coordinates are ordered correctly if needed by range logic
         // For simplicity now, assume PlayingState handles potentially reversed ranges
 
+        // Yanking only copies tiles, so it is free
+        if (baseActionType === 'YANK') cost = 0;
+
         // Request the action
-        return this.requestAction(actionType, { startX, startY, endX, endY }, cost);
+        const request = this.requestAction(actionType, { startX, startY, endX, endY, kind }, cost);
+        if (request && cursorAfter) this._moveTo(cursorAfter.x, cursorAfter.y); // A refused action leaves it where it was
+        return request;
+    }
+
+    /**
+     * Places the cursor for an insert command and asks the game state to switch to TYPING mode.
+     * 'o' and 'O' ask for a new row instead; the game state decides whether the stream allows it.
+     * @param {string} position - 'BEFORE_CURSOR', 'AFTER_CURSOR', 'LINE_FIRST_CHAR', 'LINE_END', 'LINE_BELOW' or 'LINE_ABOVE'.
+     * @returns {object | null} A START_INSERT or OPEN_LINE action.
+     * @private
+     */
+    _startInsert(position) {
+        const row = this.currentLevelGrid?.tiles?.[this.y];
+        if (!row) return null;
+
+        switch (position) {
+            case 'LINE_BELOW':
+            case 'LINE_ABOVE':
+                return this.requestAction('OPEN_LINE', { y: position === 'LINE_BELOW' ? this.y + 1 : this.y, templateY: this.y }, 2);
+            case 'AFTER_CURSOR':
+                if (this.x + 1 < row.length) this._moveTo(this.x + 1, this.y);
+                break;
+            case 'LINE_FIRST_CHAR':
+                this._moveTo(this._findLineFirstChar(this.y).x, this.y);
+                break;
+            case 'LINE_END':
+                const textEnd = findRowTextEnd(row);
+                if (textEnd >= 0 && textEnd + 1 < row.length) this._moveTo(textEnd + 1, this.y);
+                break;
+        }
+        return { type: 'START_INSERT' };
+    }
+
+    /**
+     * Counts the cells in a characterwise range (may span several rows).
+     * @param {object} range - { startX, startY, endX, endY } with start before end in reading order.
+     * @returns {number}
+     * @private
+     */
+    _countRangeCells(range) {
+        const width = this.currentLevelGrid.width;
+        return (range.endY - range.startY) * width + (range.endX - range.startX) + 1;
+    }
+
+    /**
+     * Puts the player at a position without any movement rules (used to restore the cursor on undo/redo).
+     * @param {number} x
+     * @param {number} y
+     */
+    setPosition(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Adds or spends CPU cycles outside of requestAction (undo refunds and costs, redo re-charges).
+     * @param {number} amount - Cycles to add; negative to spend.
+     * @returns {boolean} False, with nothing changed, if the player can't afford the spend.
+     */
+    adjustCPUCycles(amount) {
+        if (this.cpuCycles + amount < 0) return false;
+        this.cpuCycles = Math.min(this.maxCpuCycles, this.cpuCycles + amount);
+        return true;
+    }
+
+    /**
+     * Copies what a save needs to continue the stream: position, integrity, CPU cycles, score and marks.
+     * @returns {{x: number, y: number, integrity: number, cpuCycles: number, score: number, marks: Array}}
+     */
+    serialize() {
+        return {
+            x: this.x,
+            y: this.y,
+            integrity: this.getIntegrity(),
+            cpuCycles: this.cpuCycles,
+            score: this.getScore(),
+            marks: this.getMarks(),
+        };
+    }
+
+    /**
+     * Puts the player back as a save left it. Called after the stream was loaded, which reset everything else.
+     * @param {object} data - From serialize().
+     */
+    restore(data) {
+        this.setPosition(data.x, data.y);
+        this.integrity = data.integrity;
+        this.cpuCycles = Math.min(this.maxCpuCycles, data.cpuCycles);
+        this.addScore(data.score - this.getScore());
+        this.resetMarks();
+        for (const { name, x, y } of data.marks ?? []) {
+            this.marks.set(name, { x, y });
+        }
     }
 
     requestAction(actionType, targetData, cost) { /* ... (remains the same) ... */ }
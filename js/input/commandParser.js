@@ -0,0 +1,379 @@
+// js/input/commandParser.js
+
+'use strict';
+
+import { keysToText } from './keyboard.js';
+
+/** Results of CommandParser.feed(): more keys needed, a command was read, or the keys don't form a command. */
+export const PARSE_STATUS = {
+    PARTIAL: 'partial',
+    COMPLETE: 'complete',
+    INVALID: 'invalid'
+};
+
+// Operator keys; the operator is applied to the motion or text object that follows (dw, c$, yiw)
+export const OPERATOR_KEYS = {
+    'd': 'DELETE',
+    'c': 'CHANGE',
+    'y': 'YANK'
+};
+
+// Keys that start (or switch to) each kind of visual selection
+export const VISUAL_KEYS = {
+    'v': 'char',
+    'V': 'line',
+    '<C-v>': 'block'
+};
+
+// Operators applied to the whole selection in VISUAL mode
+export const VISUAL_OPERATORS = {
+    'd': 'DELETE',
+    'x': 'DELETE',
+    'c': 'CHANGE',
+    's': 'CHANGE',
+    'y': 'YANK',
+    '~': 'TOGGLE_CASE'
+};
+
+// NORMAL mode commands that mean nothing for a selection
+const VISUAL_IGNORED_KEYS = ['p', 'P', 'u', '<C-r>', '.', ':', 'I', 'A', 'O', 'R'];
+
+// Single-key motions in NORMAL and VISUAL mode (also the motion of a pending operator)
+export const MOTION_KEYS = {
+    'h': 'LEFT', 'j': 'DOWN', 'k': 'UP', 'l': 'RIGHT',
+    'w': 'WORD_FORWARD', 'b': 'WORD_BACKWARD', 'e': 'WORD_END',
+    '$': 'LINE_END', '^': 'LINE_FIRST_CHAR', // Note: '^' might need specific logic
+    'H': 'SCREEN_TOP', 'M': 'SCREEN_MIDDLE', 'L': 'SCREEN_BOTTOM',
+    '{': 'PARAGRAPH_BACKWARD', '}': 'PARAGRAPH_FORWARD', '(': 'SENTENCE_BACKWARD', ')': 'SENTENCE_FORWARD'
+};
+
+// Single-key commands in NORMAL mode
+export const SIMPLE_COMMAND_KEYS = {
+    'x': 'DELETE_CHAR',
+    'p': 'PASTE_AFTER',
+    'P': 'PASTE_BEFORE',
+    'u': 'UNDO',
+    '<C-r>': 'REDO',
+    '<C-o>': 'JUMP_OLDER',
+    '<C-i>': 'JUMP_NEWER',
+    'Tab': 'JUMP_NEWER' // Tab and Ctrl-i are the same key in terminal Vim
+};
+
+// Keys that start inserting text, and where: i/a before/after the cursor, I/A at the row's first char/text end,
+// o/O on a new row below/above
+export const INSERT_KEYS = {
+    'i': 'BEFORE_CURSOR',
+    'a': 'AFTER_CURSOR',
+    'I': 'LINE_FIRST_CHAR',
+    'A': 'LINE_END',
+    'o': 'LINE_BELOW',
+    'O': 'LINE_ABOVE'
+};
+
+// In-line find motions that take a target character (f{char}, t{char}, ...)
+export const FIND_MOTIONS = {
+    'f': 'FIND_CHAR_FORWARD',
+    'F': 'FIND_CHAR_BACKWARD',
+    't': 'TILL_CHAR_FORWARD',
+    'T': 'TILL_CHAR_BACKWARD'
+};
+
+// Keys that jump to a mark: ' to the mark's row, ` to the exact tile
+export const MARK_MOTIONS = {
+    "'": 'MARK_LINE',
+    '`': 'MARK_EXACT'
+};
+
+// Marks the player can set (m{a-z}); jumps also accept ' and ` for the position before the latest jump
+const MARK_NAME = /^[a-z]$/;
+const JUMP_MARK_NAME = /^[a-z'`]$/;
+
+// Objects accepted after 'i' or 'a' (diw, ci", va(, ...): words, WORDs, quotes, bracket pairs and tags
+export const TEXT_OBJECTS = ['w', 'W', '"', "'", '`', '(', ')', 'b', '[', ']', '{', '}', 'B', '<', '>', 't'];
+
+// Registers a macro can be recorded into (q{reg}) or executed from (@{reg})
+export const MACRO_REGISTER = /^[0-9a-zA-Z"]$/;
+
+// Characters accepted after '"' (uppercase appends to the lowercase register, '_' is the black hole)
+export const REGISTER_NAME = /^["0-9a-zA-Z_-]$/;
+
+// Commands that wait for one more key as their argument (r{char}, m{mark}, q{reg}, @{reg})
+const ARGUMENT_KEYS = ['r', 'm', 'q', '@'];
+
+// Keys _readKey acts on besides the ones in the tables above
+const OTHER_NORMAL_KEYS = ['"', 'g', 'G', '0', ';', ',', 'n', 'N', '/', '?', 'R', '.', ':'];
+
+/**
+ * @param {string} key - Normalized key name.
+ * @returns {boolean} True if the key already means something in NORMAL or VISUAL mode, so plugins can't bind it.
+ */
+export function isBoundKey(key) {
+    return /^[0-9]$/.test(key) || OTHER_NORMAL_KEYS.includes(key) || ARGUMENT_KEYS.includes(key)
+        || [OPERATOR_KEYS, MOTION_KEYS, SIMPLE_COMMAND_KEYS, INSERT_KEYS, VISUAL_KEYS, VISUAL_OPERATORS, FIND_MOTIONS, MARK_MOTIONS]
+            .some(table => Object.hasOwn(table, key));
+}
+
+/**
+ * Reads NORMAL and VISUAL mode keys and turns them into structured commands, following Vim's grammar
+ * ["x][count]operator[count]motion|textobject. The parser knows nothing about the DOM or the game:
+ * it is fed normalized key names (see keyboard.js) one at a time, and the InputHandler acts on what it returns.
+ * Bare modifier keydowns (Shift, Ctrl...) never get here: the InputHandler drops them, so 'fE' arrives as 'f', 'E'.
+ *
+ * feed() returns { status, command, keys, pending }:
+ *   'partial'  - more keys are needed ('d', '2', '"a', 'f'); 'pending' is what was typed, for the HUD
+ *   'complete' - 'command' was read and the parser starts over
+ *   'invalid'  - 'keys' don't form a command (e.g. 'dp' or 'm1'); they are dropped
+ *
+ * Commands carry 'register' when one was named with "x. Motions (alone or after an operator) are read as
+ * { type: 'MOTION', operator, motion, count, args }, where 'operator' is 'd', 'c', 'y' or '' for a plain move
+ * and 'args' holds the motion's data ({ char }, { mark }, { object, inner }, { line }, { reverse }).
+ * A count before and after the operator multiply, as in Vim: 2d3w deletes 6 words.
+ * The other commands are ready to queue (DELETE_CHAR, SET_MARK, INSERT, VISUAL_OPERATOR, ...) or ask the
+ * InputHandler to do something itself (SEARCH_PROMPT, EX_PROMPT, REPEAT_CHANGE, RECORD_MACRO, PLAY_MACRO).
+ * Keys bound by plugins are read as motions ({ motion: name }) or as { type: 'PLUGIN_COMMAND', name, count }.
+ */
+export default class CommandParser {
+    /**
+     * @param {PluginRegistry | null} [plugins=null] - Motions and commands added by plugins.
+     */
+    constructor(plugins = null) {
+        this.plugins = plugins;
+        this.reset();
+    }
+
+    /**
+     * Drops any partly typed command.
+     */
+    reset() {
+        this.keys = []; // Keys read since the last complete or invalid command
+        this.register = null; // Register named with "x
+        this.count = ''; // Count typed before the operator (the 2 in 2d3w)
+        this.operator = ''; // Pending operator key: 'd', 'c', 'y' or ''
+        this.motionCount = ''; // Count typed after the operator (the 3 in 2d3w)
+        this.awaiting = null; // Key waiting for its argument ('"', 'f', 'r', 'm', 'g', 'i', ...), or null
+    }
+
+    /**
+     * Reads one key.
+     * @param {string} key - Normalized key name (e.g. 'd', '<C-v>', 'Escape').
+     * @param {object} [options={}]
+     * @param {boolean} [options.visual=false] - True in VISUAL mode, where operators apply to the selection at once.
+     * @returns {{status: string, command?: object, keys: string[], pending: string}} See the class description.
+     */
+    feed(key, { visual = false } = {}) {
+        this.keys.push(key);
+        const result = this.awaiting ? this._readArgument(key, visual) : this._readKey(key, visual);
+        if (result === PARSE_STATUS.PARTIAL) {
+            return { status: PARSE_STATUS.PARTIAL, keys: [...this.keys], pending: this.getPendingKeys() };
+        }
+
+        const keys = this.keys;
+        const register = this.register;
+        this.reset();
+        if (result === PARSE_STATUS.INVALID) {
+            return { status: PARSE_STATUS.INVALID, keys, pending: '' };
+        }
+        if (register) result.register = register;
+        return { status: PARSE_STATUS.COMPLETE, command: result, keys, pending: '' };
+    }
+
+    /**
+     * Reads a whole key sequence, e.g. for tests or replaying text.
+     * @param {string[]} keys - Normalized key names.
+     * @param {object} [options={}] - Passed to feed().
+     * @returns {Array<object>} The result of every key, in order.
+     */
+    feedAll(keys, options = {}) {
+        return keys.map(key => this.feed(key, options));
+    }
+
+    /**
+     * Gets the keys of the partly typed command in Vim notation, for the HUD (e.g. '"a2d').
+     * @returns {string} '' when nothing is pending.
+     */
+    getPendingKeys() {
+        return keysToText(this.keys);
+    }
+
+    /** @returns {boolean} True if any key of an unfinished command has been read. */
+    hasPendingKeys() {
+        return this.keys.length > 0;
+    }
+
+    /** @returns {boolean} True if the next key is an argument (the char after f or r, a register or mark name...). */
+    isAwaitingArgument() {
+        return this.awaiting !== null;
+    }
+
+    /** @returns {boolean} True if an operator waits for its motion (Vim's operator-pending mode). */
+    isOperatorPending() {
+        return this.operator !== '' && this.awaiting === null;
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Reads a key that isn't an argument: a count, a register prefix, an operator, a motion or a command.
+     * @param {string} key - Normalized key name.
+     * @param {boolean} visual - True in VISUAL mode.
+     * @returns {object | string} A command, or PARSE_STATUS.PARTIAL / INVALID.
+     * @private
+     */
+    _readKey(key, visual) {
+        // Counts: digits extend the count before or after the operator; '0' alone is a motion
+        const countField = this.operator ? 'motionCount' : 'count';
+        if (/^[1-9]$/.test(key) || (key === '0' && this[countField] !== '')) {
+            this[countField] += key;
+            return PARSE_STATUS.PARTIAL;
+        }
+        if (key === '"' && !this.operator) {
+            this.awaiting = key; // Wait for the register name
+            return PARSE_STATUS.PARTIAL;
+        }
+
+        if (visual) {
+            const visualCommand = this._readVisualKey(key);
+            if (visualCommand) return visualCommand;
+        } else if (OPERATOR_KEYS[key]) {
+            if (!this.operator) {
+                this.operator = key; // Wait for the motion
+                return PARSE_STATUS.PARTIAL;
+            }
+            return key === this.operator ? this._motion('LINE') : PARSE_STATUS.INVALID; // dd, cc, yy act on whole rows
+        }
+
+        // --- Motions, alone or after an operator ---
+        if ((key === 'i' || key === 'a') && this.operator) {
+            this.awaiting = key; // Wait for the text object
+            return PARSE_STATUS.PARTIAL;
+        }
+        if (FIND_MOTIONS[key] || MARK_MOTIONS[key] || key === 'g') {
+            this.awaiting = key; // Wait for the target char, the mark name or the second 'g'
+            return PARSE_STATUS.PARTIAL;
+        }
+        if (key === 'G') return this._lineJump('LAST_LINE');
+        if (key === '0') return this._motion('LINE_START');
+        if (MOTION_KEYS[key]) return this._motion(MOTION_KEYS[key]);
+        const pluginMotion = this.plugins?.getMotionByKey(key);
+        if (pluginMotion) return this._motion(pluginMotion.name);
+        if (key === ';' || key === ',') return this._motion('REPEAT_FIND', { reverse: key === ',' });
+        if (key === 'n' || key === 'N') return this._motion('REPEAT_SEARCH', { reverse: key === 'N' });
+        if (key === '/' || key === '?') {
+            return { type: 'SEARCH_PROMPT', prompt: key, operator: this.operator, count: this._getCount() };
+        }
+
+        // --- Commands of their own; none of them can follow an operator ---
+        if (this.operator) return PARSE_STATUS.INVALID;
+        if (SIMPLE_COMMAND_KEYS[key]) return { type: SIMPLE_COMMAND_KEYS[key], count: this._getCount() };
+        if (ARGUMENT_KEYS.includes(key)) {
+            this.awaiting = key;
+            return PARSE_STATUS.PARTIAL;
+        }
+        if (VISUAL_KEYS[key]) return { type: 'VISUAL_START', kind: VISUAL_KEYS[key] };
+        if (INSERT_KEYS[key]) return { type: 'INSERT', position: INSERT_KEYS[key] };
+        if (key === 'R') return { type: 'REPLACE_MODE' };
+        if (key === '.') return { type: 'REPEAT_CHANGE', count: this._hasCount() ? this._getCount() : null };
+        if (key === ':') return { type: 'EX_PROMPT' }; // A pending count is dropped; ranges aren't supported
+        const pluginCommand = this.plugins?.getCommandByKey(key);
+        if (pluginCommand) return { type: 'PLUGIN_COMMAND', name: pluginCommand.name, count: this._getCount() };
+        return PARSE_STATUS.INVALID;
+    }
+
+    /**
+     * Reads the keys that mean something else in VISUAL mode: selection kinds, operators and o, r, i, a.
+     * @param {string} key - Normalized key name.
+     * @returns {object | string | null} A command, PARSE_STATUS.PARTIAL / INVALID, or null to read the key as in NORMAL mode.
+     * @private
+     */
+    _readVisualKey(key) {
+        if (VISUAL_KEYS[key]) return { type: 'VISUAL_KIND', kind: VISUAL_KEYS[key] };
+        if (VISUAL_OPERATORS[key]) return { type: 'VISUAL_OPERATOR', operator: VISUAL_OPERATORS[key] };
+        if (key === 'o') return { type: 'VISUAL_SWAP' }; // Jump to the other end of the selection
+        if (key === 'r' || key === 'i' || key === 'a') {
+            this.awaiting = key; // Wait for the replacement character or the text object
+            return PARSE_STATUS.PARTIAL;
+        }
+        if (VISUAL_IGNORED_KEYS.includes(key)) return PARSE_STATUS.INVALID;
+        return null;
+    }
+
+    /**
+     * Reads the key after one that takes an argument.
+     * @param {string} key - Normalized key name.
+     * @param {boolean} visual - True in VISUAL mode.
+     * @returns {object | string} A command, or PARSE_STATUS.PARTIAL / INVALID.
+     * @private
+     */
+    _readArgument(key, visual) {
+        const awaiting = this.awaiting;
+        this.awaiting = null;
+        switch (awaiting) {
+            case '"':
+                if (!REGISTER_NAME.test(key)) return PARSE_STATUS.INVALID;
+                this.register = key;
+                return PARSE_STATUS.PARTIAL;
+            case 'q':
+                return MACRO_REGISTER.test(key) ? { type: 'RECORD_MACRO', name: key } : PARSE_STATUS.INVALID;
+            case '@': // @@ runs the last executed macro again
+                return MACRO_REGISTER.test(key) || key === '@'
+                    ? { type: 'PLAY_MACRO', name: key, count: this._getCount() }
+                    : PARSE_STATUS.INVALID;
+            case 'm':
+                return MARK_NAME.test(key) ? { type: 'SET_MARK', mark: key } : PARSE_STATUS.INVALID;
+            case 'r':
+                return visual ? { type: 'VISUAL_OPERATOR', operator: 'REPLACE', char: key } : { type: 'REPLACE_CHAR_EXECUTE', char: key };
+            case 'g':
+                return key === 'g' ? this._lineJump('FIRST_LINE') : PARSE_STATUS.INVALID;
+            case 'i':
+            case 'a':
+                if (!TEXT_OBJECTS.includes(key)) return PARSE_STATUS.INVALID;
+                if (visual) { // Text objects in a selection are always characterwise
+                    return { type: 'VISUAL_TEXT_OBJECT', object: key, inner: awaiting === 'i', count: this._getCount() };
+                }
+                return this._motion('TEXT_OBJECT', { object: key, inner: awaiting === 'i' });
+        }
+        if (FIND_MOTIONS[awaiting]) {
+            return this._motion(FIND_MOTIONS[awaiting], { char: key });
+        }
+        if (MARK_MOTIONS[awaiting]) {
+            return JUMP_MARK_NAME.test(key) ? this._motion(MARK_MOTIONS[awaiting], { mark: key }) : PARSE_STATUS.INVALID;
+        }
+        return PARSE_STATUS.INVALID;
+    }
+
+    /**
+     * Builds a motion command with the pending operator and count.
+     * @param {string} motion - Motion name (e.g. 'WORD_FORWARD', 'LINE' for dd).
+     * @param {object} [args={}] - Motion data, e.g. { char } for f{char}.
+     * @returns {object}
+     * @private
+     */
+    _motion(motion, args = {}) {
+        return { type: 'MOTION', operator: this.operator, motion, count: this._getCount(), args };
+    }
+
+    /**
+     * Builds the motion for gg or G. A typed count is the target row (1-based) rather than a repeat count.
+     * @param {string} motion - 'FIRST_LINE' (gg) or 'LAST_LINE' (G).
+     * @returns {object} A motion command with { line } in its args (null without a count).
+     * @private
+     */
+    _lineJump(motion) {
+        const line = this._hasCount() ? this._getCount() : null;
+        return { type: 'MOTION', operator: this.operator, motion, count: 1, args: { line } };
+    }
+
+    /**
+     * Gets the repeat count; counts before and after the operator multiply.
+     * @returns {number} 1 if no count was typed.
+     * @private
+     */
+    _getCount() {
+        return parseInt(this.count || '1', 10) * parseInt(this.motionCount || '1', 10);
+    }
+
+    /** @returns {boolean} True if a count was typed. @private */
+    _hasCount() {
+        return this.count !== '' || this.motionCount !== '';
+    }
+}
@@ -2,15 +2,76 @@
 
 'use strict';
 
+import { normalizeKey, isModifierKey, keysToText, textToKeys } from './keyboard.js';
+import { MAP_COMMANDS } from './keyMapper.js';
+import CommandParser, { PARSE_STATUS } from './commandParser.js';
+
 // Define constants for modes (optional, could also be strings)
-const INPUT_MODE = {
+export const INPUT_MODE = {
     NORMAL: 'NORMAL',
-    TYPING: 'TYPING'
+    TYPING: 'TYPING',
+    REPLACE: 'REPLACE', // Overwriting tiles as you type, started with R
+    COMMAND: 'COMMAND', // Command line: ':' for ex commands, '/' and '?' for searches
+    VISUAL: 'VISUAL' // Selection started with v, V or Ctrl-v
 };
 
+// Ex commands understood on the ':' line. 'abbrev' is the shortest accepted prefix, as in Vim (e.g. ':res' for ':restart').
+const EX_COMMANDS = [
+    { name: 'quit', abbrev: 'q' },
+    { name: 'restart', abbrev: 'res' },
+    { name: 'stream', abbrev: 'st' },
+    { name: 'pause', abbrev: 'pa' },
+    { name: 'set', abbrev: 'se' },
+    { name: 'nohlsearch', abbrev: 'noh' },
+    { name: 'registers', abbrev: 'reg' },
+    ...MAP_COMMANDS.map(({ name, abbrev }) => ({ name, abbrev })), // :map, :nnoremap, :unmap, ...
+    { name: 'replay', abbrev: 'rep' }, // :replay [play|save|load]
+    { name: 'ghost', abbrev: 'gh' }, // :ghost [load|best]
+    { name: 'help', abbrev: 'h' },
+    { name: 'write', abbrev: 'w' }, // :w [slot] saves the stream
+    { name: 'wq', abbrev: 'wq' },
+    { name: 'edit', abbrev: 'e' }, // :e [slot] continues a saved stream
+    { name: 'ls', abbrev: 'ls' }, // Lists save slots
+    { name: 'debug', abbrev: 'deb' }, // :debug [on|off|step [N]|run|freeze|tp X Y]
+    { name: 'vimrc', abbrev: 'vimrc' } // Opens the .vimrc import box
+];
+
+// Keys whose browser default (scrolling, find, quick links...) is prevented; mapped and plugin keys are added to these
+const GAME_KEYS = [
+    'h', 'j', 'k', 'l', 'w', 'b', 'e', 'd', 'c', 'x', 'y', 'p', 'r', ':', '/', '?', 'n', 'N', 'f', 'F', 't', 'T', ';', ',',
+    'v', 'V', '<C-v>', 'o', '~', '"', 'P', 'u', '<C-r>', '.', 'q', '@', 'i', 'a', 'I', 'A', 'O', 'R', 'm', "'", '`', '<C-o>', '<C-i>', 'Tab',
+    'g', 'G', 'H', 'M', 'L', '{', '}', '(', ')', 'Escape', 'Enter', '0', '$', '^'
+];
+
+// Limit on nested expansion of recursive mappings (Vim's E223)
+const MAX_MAP_DEPTH = 100;
+
+// The same motion in the other direction, used by ',' to reverse the last find
+const REVERSED_FIND_MOTIONS = {
+    FIND_CHAR_FORWARD: 'FIND_CHAR_BACKWARD',
+    FIND_CHAR_BACKWARD: 'FIND_CHAR_FORWARD',
+    TILL_CHAR_FORWARD: 'TILL_CHAR_BACKWARD',
+    TILL_CHAR_BACKWARD: 'TILL_CHAR_FORWARD'
+};
+
+// Commands that change the grid; the last one queued in NORMAL mode is repeated by '.'
+const REPEATABLE_COMMANDS = [
+    'DELETE', 'CHANGE', 'DELETE_CHAR', 'REPLACE_CHAR_EXECUTE', 'PASTE_AFTER', 'PASTE_BEFORE', 'INSERT', 'REPLACE_MODE'
+];
+
+// Operators applied to a VISUAL selection that are repeated by '.', on as much text from the cursor (a yank isn't a change)
+const REPEATABLE_VISUAL_OPERATORS = ['DELETE', 'CHANGE', 'REPLACE', 'TOGGLE_CASE'];
+
+// Repeatable commands followed by typed text; '.' types the same text again
+const TEXT_ENTRY_COMMANDS = ['CHANGE', 'INSERT', 'REPLACE_MODE'];
+
+// Upper limit on queued macro keys, so a macro that calls itself can't run forever
+const MAX_MACRO_KEYS = 10000;
+
 /**
  * Handles keyboard input, parses Vim-like commands and typing sequences.
- * Maintains input mode (NORMAL/TYPING) and queues commands for processing.
+ * Maintains input mode (NORMAL/TYPING/COMMAND/VISUAL) and queues commands for processing.
+ * NORMAL and VISUAL mode keys are read by a CommandParser; this class acts on the commands it returns.
  */
 export default class InputHandler {
     constructor() {
@@ -18,13 +79,54 @@ export default class InputHandler {
         this.mode = INPUT_MODE.NORMAL; // Current input mode
 
         // State for NORMAL mode
-        this.commandBuffer = ''; // Stores partial commands like 'd' waiting for motion
-        this.numericPrefix = ''; // Stores numeric prefixes like '3' in '3j'
+        this.parser = new CommandParser(); // Holds partial commands like '"a2d' waiting for a motion
 
         // State for TYPING mode
         this.targetTypingPhrase = '';
         this.currentTypingIndex = 0;
 
+        // State for COMMAND mode (the ':', '/' and '?' lines)
+        this.commandLinePrompt = ':'; // Which line is open
+        this.commandLine = ''; // Text typed after the prompt
+        this.commandHistory = []; // Previously executed ex lines, oldest first
+        this.searchHistory = []; // Previously searched patterns, kept apart from ex lines like in Vim
+        this.maxHistory = 50; // Kept in sync with the 'history' setting
+        this.historyIndex = -1; // Position while browsing history with Up/Down (-1 = not browsing)
+        this.historyPrefix = ''; // Text typed before browsing started; only matching entries are recalled
+        this.commandLineReturnMode = INPUT_MODE.NORMAL; // Mode to go back to when the line closes (VISUAL for '/' in a selection)
+
+        // State for VISUAL mode
+        this.visualKind = 'char'; // 'char' (v), 'line' (V) or 'block' (Ctrl-v)
+
+        // Search state
+        this.lastSearch = null; // { pattern, direction } of the last executed search, used by n/N
+        this.pendingSearch = null; // { operator, count } typed before '/' or '?', applied when the search runs
+        this.lastFind = null; // { motion, char } of the last f/F/t/T, repeated by ';' and ','
+
+        // Dot-repeat state
+        this.lastChange = null; // { command, typedKeys, recording } of the last change, replayed by '.'
+        this.replayingChange = false; // True while '.' re-queues a change, so it isn't recorded again
+        this.pendingTypedKeys = null; // Keys to replay once the repeated change enters TYPING mode
+
+        // Macro state
+        this.registers = null; // RegisterManager that macros are recorded into and executed from
+        this.recordingRegister = null; // Register being recorded into (q{reg}), or null
+        this.macroKeys = []; // Keys recorded so far
+        this.macroQueue = []; // Keys still to be replayed, fed a command at a time by tick()
+        this.replayingMacro = false; // True while tick() feeds macro keys
+        this.lastMacroRegister = null; // Register run by the last @{reg}, repeated by @@
+
+        // Key mapping state
+        this.keyMapper = null; // KeyMapper holding the user's :map mappings
+        this.events = null; // EventBus told about mode changes
+        this.plugins = null; // PluginRegistry whose ex commands the ':' line accepts
+        this.pendingMapKeys = []; // Typed keys that may still become a multi-key mapping
+        this.mapTimeoutId = null; // Timer that gives up waiting for the rest of a mapping
+
+        // Run recording and playback
+        this.keyRecorder = null; // Called with every key handled (after mappings, without macro and '.' replays)
+        this.keyInterceptor = null; // While set, typed keys go here instead of the game (e.g. replay controls)
+
         // Queue for processed commands
         this.commandQueue = []; // Stores objects like { type: 'MOVE', direction: 'DOWN' }
 
@@ -39,13 +141,15 @@ export default class InputHandler {
     }
 
     /**
-     * Attaches keyboard event listeners to the window.
+     * Attaches keyboard event listeners to the window, or to another key source (e.g. a ScriptedInput when
+     * running without a browser).
+     * @param {{addEventListener: function(string, function): void}} [eventTarget=window] - Where keydown/keyup events come from.
      */
-    init() {
+    init(eventTarget = globalThis.window) {
         console.log("Attaching input listeners...");
         // Use window to capture events globally, adjust if focus needs to be specific
-        window.addEventListener('keydown', this._onKeyDown);
-        window.addEventListener('keyup', this._onKeyUp);
+        eventTarget.addEventListener('keydown', this._onKeyDown);
+        eventTarget.addEventListener('keyup', this._onKeyUp);
     }
 
     /**
@@ -55,36 +159,161 @@ export default class InputHandler {
     setActive(isActive) {
         this.active = isActive;
         if (!isActive) {
-            this.commandBuffer = ''; // Clear buffer when deactivated
-            this.numericPrefix = '';
+            this.parser.reset(); // Clear buffer when deactivated
             this.commandQueue = []; // Clear queue
+            this.macroQueue = []; // A macro doesn't carry over into another state
+            this.pendingMapKeys = [];
+            clearTimeout(this.mapTimeoutId);
         }
         console.log(`InputHandler active: ${isActive}`);
     }
 
     /**
-     * Switches the input mode between NORMAL and TYPING.
-     * @param {string} newMode - The mode to switch to (INPUT_MODE.NORMAL or INPUT_MODE.TYPING).
-     * @param {object} [options={}] - Additional options, e.g., { targetPhrase: 'hello' } for TYPING mode.
+     * Switches the input mode between NORMAL, TYPING, REPLACE, COMMAND and VISUAL.
+     * @param {string} newMode - The mode to switch to (one of INPUT_MODE).
+     * @param {object} [options={}] - Additional options, e.g., { targetPhrase: 'hello' } for TYPING mode
+     * (without one, typed keys are inserted into the grid),
+     * { prompt: '/' } for a search line in COMMAND mode, { kind: 'block' } for VISUAL mode.
      */
     setMode(newMode, options = {}) {
         if (this.mode === newMode) return; // No change
 
         console.log(`Switching input mode from ${this.mode} to ${newMode}`);
+        const previousMode = this.mode;
+        if ((this.mode === INPUT_MODE.TYPING || this.mode === INPUT_MODE.REPLACE) && this.lastChange) {
+            this.lastChange.recording = false; // The text typed after 'c', an insert or R is complete
+        }
+        if (newMode === INPUT_MODE.COMMAND) {
+            this.commandLineReturnMode = this.mode === INPUT_MODE.VISUAL ? INPUT_MODE.VISUAL : INPUT_MODE.NORMAL;
+        }
+        if (newMode === INPUT_MODE.VISUAL && options.kind) {
+            this.visualKind = options.kind; // Without a kind (returning from a search line) the selection keeps its kind
+        }
         this.mode = newMode;
-        this.commandBuffer = ''; // Clear buffer on mode switch
-        this.numericPrefix = '';
+        this.parser.reset(); // Clear buffer on mode switch
 
         if (this.mode === INPUT_MODE.TYPING) {
             this.targetTypingPhrase = options.targetPhrase || '';
             this.currentTypingIndex = 0;
-            if (!this.targetTypingPhrase) {
-                console.warn("Switched to TYPING mode without a target phrase!");
-            }
         } else {
             this.targetTypingPhrase = '';
             this.currentTypingIndex = 0;
         }
+        // Before a '.' repeat below may switch again, so listeners see the changes in order
+        this.events?.emit('modeChanged', { from: previousMode, to: newMode });
+
+        if ((this.mode === INPUT_MODE.TYPING || this.mode === INPUT_MODE.REPLACE) && this.pendingTypedKeys) {
+            // A '.' repeat of a change: type the same text again
+            const keys = this.pendingTypedKeys;
+            this.pendingTypedKeys = null;
+            this.replayingChange = true;
+            keys.forEach(typedKey => this._handleKey(typedKey));
+            this.replayingChange = false;
+        }
+
+        // The command line always starts empty, whether entering or leaving it
+        this.commandLinePrompt = this.mode === INPUT_MODE.COMMAND ? (options.prompt || ':') : ':';
+        this.commandLine = '';
+        this.historyIndex = -1;
+        this.historyPrefix = '';
+    }
+
+    /**
+     * Sets how many ex command lines are remembered, dropping the oldest if needed.
+     * @param {number} size - Maximum number of history entries (0 disables history).
+     */
+    setHistorySize(size) {
+        this.maxHistory = Math.max(0, Math.floor(size));
+        for (const history of [this.commandHistory, this.searchHistory]) {
+            if (history.length > this.maxHistory) {
+                history.splice(0, history.length - this.maxHistory);
+            }
+        }
+    }
+
+    /**
+     * Gives the handler the registers that macros are recorded into and executed from.
+     * @param {RegisterManager} registerManager - The shared register manager.
+     */
+    setRegisters(registerManager) {
+        this.registers = registerManager;
+    }
+
+    /**
+     * Gives the handler the user's key mappings.
+     * @param {KeyMapper} keyMapper - The shared key mapper.
+     */
+    setKeyMapper(keyMapper) {
+        this.keyMapper = keyMapper;
+    }
+
+    /**
+     * Gives the handler the game's event bus, to emit 'modeChanged'.
+     * @param {EventBus} events - The shared event bus.
+     */
+    setEventBus(events) {
+        this.events = events;
+    }
+
+    /**
+     * Gives the handler the plugin registry: its keys are read by the parser, its ex commands on the ':' line.
+     * @param {PluginRegistry} plugins - The shared plugin registry.
+     */
+    setPlugins(plugins) {
+        this.plugins = plugins;
+        this.parser.plugins = plugins;
+    }
+
+    /**
+     * Sets the callback that records every key handled, for run replays. Keys replayed by a macro or by '.'
+     * aren't passed, since playing back the keys that started them replays them too.
+     * @param {function(string): void | null} recorder - Called with each normalized key; null stops recording.
+     */
+    setKeyRecorder(recorder) {
+        this.keyRecorder = recorder;
+    }
+
+    /**
+     * Sends typed keys to a callback instead of the game, e.g. the controls of a replay being watched.
+     * @param {function(string): void | null} interceptor - Called with each normalized key; null gives keys back to the game.
+     */
+    setKeyInterceptor(interceptor) {
+        this.keyInterceptor = interceptor;
+    }
+
+    /**
+     * Handles a key from a replay as if it had just been typed. Mappings are not applied again:
+     * replays are recorded after mapping.
+     * @param {string} key - Normalized key name.
+     */
+    replayKey(key) {
+        if (this.recordingRegister && !this.replayingMacro) {
+            this.macroKeys.push(key);
+        }
+        this._handleKey(key);
+    }
+
+    /**
+     * Gets the register currently being recorded into, for the HUD's recording indicator.
+     * @returns {string | null}
+     */
+    getRecordingRegister() {
+        return this.recordingRegister;
+    }
+
+    /**
+     * Feeds queued macro keys through the normal key handling. Call once per game frame.
+     * Keys are fed until one command has been queued, so every replayed command gets its own frame
+     * (enemies keep moving and mode changes made by the game take effect before the next keys).
+     */
+    tick() {
+        if (!this.active || this.macroQueue.length === 0) return;
+        const queuedBefore = this.commandQueue.length;
+        this.replayingMacro = true;
+        while (this.macroQueue.length > 0 && this.commandQueue.length === queuedBefore) {
+            this._feedKey(this.macroQueue.shift()); // Macros go through mappings, like typed keys
+        }
+        this.replayingMacro = false;
     }
 
     /**
@@ -111,136 +340,430 @@ export default class InputHandler {
      */
     _onKeyDown(event) {
         if (!this.active) return;
+        // Typing into a text box (e.g. the .vimrc import) isn't game input
+        const target = event.target;
+        if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT' || target.isContentEditable)) return;
 
-        const key = event.key;
-        // console.log(`Keydown: ${key}, Mode: ${this.mode}, Buffer: ${this.commandBuffer}, Prefix: ${this.numericPrefix}`);
+        const key = normalizeKey(event);
+        // console.log(`Keydown: ${key}, Mode: ${this.mode}, Pending: ${this.parser.getPendingKeys()}`);
+
+        // Shift, Ctrl... on their own come before the key they modify, so they mustn't end a pending command
+        // (the Shift of 'fE' or 'cf)'), nor be recorded in macros and replays
+        if (isModifierKey(key)) return;
+
+        // Function keys aren't game input (nor recorded); one registered as an action name (e.g. the debug overlay's 'F3') runs it
+        if (/^F\d{1,2}$/.test(key)) {
+            const listener = this.actionListeners.get(key);
+            if (listener) {
+                event.preventDefault();
+                listener();
+            }
+            return;
+        }
 
         // --- Prevent Default Browser Actions for Game Keys ---
-        // Adjust this list based on all keys your game uses
-        const gameKeys = ['h', 'j', 'k', 'l', 'w', 'b', 'e', 'd', 'c', 'x', 'y', 'p', 'r', 'Escape', 'Enter', '0', '$', '^'];
         const typingKeys = /^[a-zA-Z0-9!"#$%&'()*+,-./:;<=>?@[\\\]^_`{|}~ ]$/; // Printable chars + space
+        const textEntryMode = [INPUT_MODE.TYPING, INPUT_MODE.REPLACE, INPUT_MODE.COMMAND].includes(this.mode);
+        const commandLineKeys = ['ArrowUp', 'ArrowDown'];
 
-        if (gameKeys.includes(key) || (this.mode === INPUT_MODE.TYPING && typingKeys.test(key)) || key === 'Backspace') {
+        const pluginKey = Boolean(this.plugins?.getMotionByKey(key) || this.plugins?.getCommandByKey(key));
+        if (GAME_KEYS.includes(key) || pluginKey || this.keyMapper?.isMappedKey(key) || (textEntryMode && typingKeys.test(key)) || key === 'Backspace' ||
+            (this.mode === INPUT_MODE.COMMAND && commandLineKeys.includes(key))) {
              event.preventDefault();
         }
          // Allow F keys, Tab (maybe?), etc. for browser dev tools
 
+        if (this.keyInterceptor) {
+            if (key.length === 1) event.preventDefault(); // Space would scroll the page
+            this.keyInterceptor(key);
+            return;
+        }
+
+        // --- Macro playback and recording ---
+        if (this.macroQueue.length > 0) {
+            // Typed keys would interleave with the macro, so they're ignored; Escape stops the macro
+            if (key === 'Escape') {
+                this.macroQueue = [];
+            }
+            return;
+        }
+        if (this.recordingRegister) {
+            this.macroKeys.push(key);
+        }
+
+        this._feedKey(key);
+    }
+
+    /**
+     * Returns the map mode for the current input state: 'n', 'v', 'o' (operator pending), 'i' (TYPING and REPLACE) or 'c'.
+     * While a key is awaited as an argument (the char after f, r, m, ", q, @...) no mappings apply, as in Vim.
+     * @returns {string | null}
+     * @private
+     */
+    _getMapMode() {
+        switch (this.mode) {
+            case INPUT_MODE.TYPING:
+            case INPUT_MODE.REPLACE: return 'i';
+            case INPUT_MODE.COMMAND: return 'c';
+            case INPUT_MODE.VISUAL: return this.parser.isAwaitingArgument() ? null : 'v';
+            default:
+                if (this.parser.isAwaitingArgument()) return null;
+                return this.parser.isOperatorPending() ? 'o' : 'n';
+        }
+    }
+
+    /**
+     * Passes a key through the user's mappings. If it may be the start of a longer mapping, it is held
+     * until the mapping completes, another key rules it out, or 'timeoutlen' runs out.
+     * @param {string} key - Normalized key name.
+     * @private
+     */
+    _feedKey(key) {
+        if (!this.keyMapper) {
+            this._handleKey(key);
+            return;
+        }
+        clearTimeout(this.mapTimeoutId);
+        this.pendingMapKeys.push(key);
+        const mode = this._getMapMode();
+        if (mode && this.keyMapper.hasLongerMapping(mode, this.pendingMapKeys)) {
+            this.mapTimeoutId = setTimeout(() => this._flushPendingMapKeys(), this.keyMapper.timeoutLength);
+            return;
+        }
+        this._flushPendingMapKeys();
+    }
+
+    /**
+     * Handles the held keys now, applying the longest mappings that match.
+     * @private
+     */
+    _flushPendingMapKeys() {
+        clearTimeout(this.mapTimeoutId);
+        const keys = this.pendingMapKeys;
+        this.pendingMapKeys = [];
+        this._expandKeys(keys, 0);
+    }
+
+    /**
+     * Handles a key sequence, replacing mapped left-hand sides with their right-hand sides.
+     * The mode is checked before each key, since earlier keys can change it (e.g. 'd' makes the next key
+     * operator pending). Right-hand sides of noremap mappings are handled as they are; others are expanded again.
+     * @param {string[]} keys - Keys to handle.
+     * @param {number} depth - Nesting level of recursive mappings.
+     * @param {object} [parent=null] - The mapping whose right-hand side is being expanded.
+     * @private
+     */
+    _expandKeys(keys, depth, parent = null) {
+        let i = 0;
+        while (i < keys.length) {
+            const mode = this._getMapMode();
+            const mapping = mode ? this.keyMapper.findMapping(mode, keys, i) : null;
+            // Like Vim, a right-hand side that starts with its own left-hand side ('nmap j jzz') doesn't loop
+            const isSelf = i === 0 && mapping === parent;
+            if (!mapping || isSelf) {
+                this._handleKey(keys[i]);
+                i++;
+                continue;
+            }
+            if (depth >= MAX_MAP_DEPTH) {
+                console.warn(`E223: Recursive mapping: ${mapping.lhsText}`);
+                return;
+            }
+            if (mapping.noremap) {
+                mapping.rhs.forEach(key => this._handleKey(key));
+            } else {
+                this._expandKeys(mapping.rhs, depth + 1, mapping);
+            }
+            i += mapping.lhs.length;
+        }
+    }
+
+    /**
+     * Passes a key to the handler for the current mode. Typed and replayed (macro) keys both come through here.
+     * @param {string} key - Normalized key name.
+     * @private
+     */
+    _handleKey(key) {
+        if (this.keyRecorder && !this.replayingMacro && !this.replayingChange) {
+            this.keyRecorder(key);
+        }
 
         // --- Handle Mode-Specific Input ---
         if (this.mode === INPUT_MODE.NORMAL) {
             this._handleNormalMode(key);
         } else if (this.mode === INPUT_MODE.TYPING) {
             this._handleTypingMode(key);
+        } else if (this.mode === INPUT_MODE.REPLACE) {
+            this._handleReplaceMode(key);
+        } else if (this.mode === INPUT_MODE.COMMAND) {
+            this._handleCommandMode(key);
+        } else if (this.mode === INPUT_MODE.VISUAL) {
+            this._handleVisualMode(key);
         }
     }
 
     /** Handles keydown events in NORMAL mode */
     _handleNormalMode(key) {
-        let command = null;
-        let count = parseInt(this.numericPrefix || '1', 10); // Default count is 1
+        this.pendingTypedKeys = null; // A repeated change that never reached TYPING mode doesn't keep its text
 
         // --- Check for Action Listeners first (e.g., Escape for pause) ---
         if (key === 'Escape') {
-             if (this.actionListeners.has('pause')) {
-                 this.actionListeners.get('pause')();
-                 this.commandBuffer = ''; // Clear buffer on pause potentially
-                 this.numericPrefix = '';
-                 return; // Don't process further if paused handled it
-             }
-            // Default Escape behavior: clear buffer/prefix
-            this.commandBuffer = '';
-            this.numericPrefix = '';
-             this.queueCommand({ type: 'CLEAR_BUFFER' }); // Inform game logic buffer was cleared
+            this.parser.reset(); // Drop any partly typed command
+            // Escape pauses while playing and resumes while paused
+            const escapeAction = ['pause', 'unpause'].find(name => this.actionListeners.has(name));
+            if (escapeAction) {
+                this.actionListeners.get(escapeAction)();
+                return; // Don't process further if paused handled it
+            }
+            this.queueCommand({ type: 'CLEAR_BUFFER' }); // Inform game logic buffer was cleared
+            return;
+        }
+        if (this._isRecordingStopKey(key)) {
+            this._stopRecording();
             return;
         }
 
-        // --- Handle Numeric Prefixes ---
-        if (/^[1-9]$/.test(key) && this.commandBuffer === '') { // Start prefix
-             this.numericPrefix += key;
-             return; // Wait for next key
+        const result = this.parser.feed(key);
+        if (result.status === PARSE_STATUS.COMPLETE) {
+            this._runParsedCommand(result.command);
         }
-        if (/^[0]$/.test(key) && this.commandBuffer === '' && this.numericPrefix !== '') { // Allow 0 after starting prefix
-             this.numericPrefix += key;
-             return;
+    }
+
+    /**
+     * Handles keydown events in VISUAL mode.
+     * Selection keys and operators are handled here; everything else is read as in NORMAL mode,
+     * so any motion (with counts, searches, finds) moves the cursor end of the selection.
+     */
+    _handleVisualMode(key) {
+        if (key === 'Escape') {
+            if (this.parser.hasPendingKeys()) {
+                this.parser.reset(); // Only cancel the partly typed command (e.g. the 'f' waiting for a char)
+                return;
+            }
+            this.queueCommand({ type: 'VISUAL_END' });
+            this.setMode(INPUT_MODE.NORMAL);
+            return;
+        }
+        if (this._isRecordingStopKey(key)) {
+            this._stopRecording();
+            return;
         }
-        // Handle '0' as motion if not part of prefix
-        if (key === '0' && this.commandBuffer === '' && this.numericPrefix === '') {
-             command = { type: 'MOVE_TO', target: 'LINE_START', count: 1 };
-        }
-
-        // --- Handle Operators (d, c, y, etc.) ---
-        if (['d', 'c', 'y'].includes(key) && this.commandBuffer === '') {
-            this.commandBuffer = key; // Start the command (e.g., 'd')
-             // If the next key is the same (e.g., 'dd'), handle it as line operation
-             setTimeout(() => { // Check shortly after if buffer is still just 'd'
-                 if (this.commandBuffer === key) { // If next key wasn't the same operator immediately
-                    // Normal operator waiting for motion
-                 }
-             }, 0); // Tiny delay for dd/cc/yy check (or handle in next key press)
-            return; // Wait for motion or second operator
-        }
-        // Handle dd, cc, yy (if pressed quickly after the first d/c/y)
-        if (['d', 'c', 'y'].includes(key) && this.commandBuffer === key) {
-             const typeMap = { 'd': 'DELETE', 'c': 'CHANGE', 'y': 'YANK' };
-             command = { type: typeMap[key], motion: 'LINE', count: count };
-             this.commandBuffer = ''; // Command complete
-        }
-
-        // --- Handle Simple Commands / Motions ---
-        if (!command) { // Only process if not already handled (like '0' or 'dd')
-             const motionMap = {
-                 'h': 'LEFT', 'j': 'DOWN', 'k': 'UP', 'l': 'RIGHT',
-                 'w': 'WORD_FORWARD', 'b': 'WORD_BACKWARD', 'e': 'WORD_END',
-                 '$': 'LINE_END', '^': 'LINE_FIRST_CHAR' // Note: '^' might need specific logic
-             };
-             const simpleCommandMap = {
-                 'x': 'DELETE_CHAR',
-                 'r': 'REPLACE_CHAR_START', // Needs next char
-                 'p': 'PASTE_AFTER',
-                 'P': 'PASTE_BEFORE', // Requires Yank implementation later
-                 'u': 'UNDO' // Requires undo system
-             };
-
-             if (motionMap[key]) {
-                 const motion = motionMap[key];
-                 if (this.commandBuffer === 'd') command = { type: 'DELETE', motion: motion, count: count };
-                 else if (this.commandBuffer === 'c') command = { type: 'CHANGE', motion: motion, count: count };
-                 else if (this.commandBuffer === 'y') command = { type: 'YANK', motion: motion, count: count };
-                 else command = { type: 'MOVE', direction: motion, count: count }; // Default is move
-                 this.commandBuffer = ''; // Motion completes the command
-             } else if (simpleCommandMap[key] && this.commandBuffer === '') {
-                 const type = simpleCommandMap[key];
-                 command = { type: type, count: count }; // Count for 'x' is relevant
-                 if (type === 'REPLACE_CHAR_START') {
-                      this.commandBuffer = 'r'; // Wait for the replacement char
-                      command = null; // Don't queue yet
-                 }
-             } else if (this.commandBuffer === 'r' && key.length === 1) { // Character after 'r'
-                 command = { type: 'REPLACE_CHAR_EXECUTE', char: key };
-                 this.commandBuffer = '';
-             }
-         }
 
-        // --- Queue Command and Reset ---
-        if (command) {
-            this.queueCommand(command);
-            this.commandBuffer = '';
-            this.numericPrefix = '';
-        } else if (!['d', 'c', 'y', 'r'].includes(this.commandBuffer) && !/^[0-9]$/.test(key)) {
-             // If an invalid key was pressed after waiting for motion/char, reset
-             this.commandBuffer = '';
-             this.numericPrefix = '';
+        const result = this.parser.feed(key, { visual: true });
+        if (result.status !== PARSE_STATUS.COMPLETE) return;
+        const command = result.command;
+        switch (command.type) {
+            case 'VISUAL_KIND':
+                if (command.kind === this.visualKind) { // Pressing the same key again ends the selection
+                    this.queueCommand({ type: 'VISUAL_END' });
+                    this.setMode(INPUT_MODE.NORMAL);
+                } else {
+                    this.visualKind = command.kind;
+                    this.queueCommand(command);
+                }
+                break;
+            case 'VISUAL_OPERATOR': // Applies to the whole selection and ends VISUAL mode
+                this.queueCommand(command);
+                this.setMode(INPUT_MODE.NORMAL);
+                break;
+            case 'VISUAL_TEXT_OBJECT': // Text objects are always characterwise
+                this.visualKind = 'char';
+                this.queueCommand(command);
+                break;
+            default:
+                this._runParsedCommand(command);
+        }
+    }
+
+    /**
+     * Checks whether a key stops the macro recording: 'q' ends it unless it is an argument ('fq', '"q')
+     * or follows an operator. A count typed before it is dropped.
+     * @param {string} key - Normalized key name.
+     * @returns {boolean}
+     * @private
+     */
+    _isRecordingStopKey(key) {
+        if (key !== 'q' || !this.recordingRegister || this.parser.isAwaitingArgument() || this.parser.isOperatorPending()) {
+            return false;
+        }
+        this.parser.reset();
+        return true;
+    }
+
+    /**
+     * Acts on a command read by the parser in NORMAL mode (or a motion or NORMAL command typed in VISUAL mode).
+     * @param {object} command - A complete command from CommandParser.feed().
+     * @private
+     */
+    _runParsedCommand(command) {
+        switch (command.type) {
+            case 'MOTION':
+                this._runMotion(command);
+                break;
+            case 'VISUAL_START':
+                this.queueCommand(command);
+                this.setMode(INPUT_MODE.VISUAL, { kind: command.kind });
+                break;
+            case 'REPEAT_CHANGE': // A new count replaces the one the change was made with
+                this._repeatLastChange(command.count);
+                break;
+            case 'RECORD_MACRO':
+                this.recordingRegister = command.name;
+                this.macroKeys = [];
+                break;
+            case 'PLAY_MACRO': {
+                const name = command.name === '@' ? this.lastMacroRegister : command.name;
+                if (name) this._playMacro(name, command.count);
+                break;
+            }
+            case 'EX_PROMPT':
+                this.setMode(INPUT_MODE.COMMAND);
+                break;
+            case 'SEARCH_PROMPT': // Keep any pending operator for 'd/EXIT' style commands
+                this.setMode(INPUT_MODE.COMMAND, { prompt: command.prompt });
+                this.pendingSearch = { operator: command.operator, count: command.count, register: command.register ?? null };
+                break;
+            default:
+                this.queueCommand(command); // INSERT and REPLACE_MODE: the game switches the mode once the cursor is in place
+        }
+    }
+
+    /**
+     * Queues a parsed motion, resolving ';' ',' 'n' and 'N' to the last find or search.
+     * @param {object} command - A MOTION command from the parser.
+     * @private
+     */
+    _runMotion({ operator, motion, count, args, register }) {
+        if (motion === 'REPEAT_FIND') {
+            if (!this.lastFind) return;
+            motion = args.reverse ? REVERSED_FIND_MOTIONS[this.lastFind.motion] : this.lastFind.motion;
+            // 'repeat' lets t/T skip a match right next to the cursor instead of getting stuck on it
+            args = { char: this.lastFind.char, repeat: true };
+        } else if (motion === 'REPEAT_SEARCH') {
+            if (!this.lastSearch) return;
+            const forward = (this.lastSearch.direction === 'SEARCH_FORWARD') !== args.reverse;
+            motion = forward ? 'SEARCH_FORWARD' : 'SEARCH_BACKWARD';
+            args = { pattern: this.lastSearch.pattern };
+        } else if (REVERSED_FIND_MOTIONS[motion]) {
+            this.lastFind = { motion, char: args.char };
+        }
+
+        const command = this._buildMotionCommand(operator, motion, count, args);
+        if (register) command.register = register;
+        this.queueCommand(command);
+    }
+
+    /**
+     * Builds the command for a motion, applying a pending operator if there is one.
+     * @param {string} operator - The pending operator key ('d', 'c', 'y') or '' for a plain move.
+     * @param {string} motion - Motion name (e.g. 'WORD_FORWARD', 'SEARCH_FORWARD').
+     * @param {number} count - Repeat count.
+     * @param {object} [motionArgs={}] - Extra motion data copied onto the command (e.g. { pattern }).
+     * @returns {object} A MOVE, MOVE_TO, DELETE, CHANGE or YANK command.
+     * @private
+     */
+    _buildMotionCommand(operator, motion, count, motionArgs = {}) {
+        const operatorMap = { 'd': 'DELETE', 'c': 'CHANGE', 'y': 'YANK' };
+        if (operatorMap[operator]) {
+            return { type: operatorMap[operator], motion: motion, count: count, ...motionArgs };
+        }
+        if (motion === 'LINE_START') {
+            return { type: 'MOVE_TO', target: 'LINE_START', count: 1 }; // '0'
+        }
+        return { type: 'MOVE', direction: motion, count: count, ...motionArgs }; // Default is move
+    }
+
+    /**
+     * Ends macro recording and stores the keys, in Vim notation, in the register.
+     * @private
+     */
+    _stopRecording() {
+        if (!this.replayingMacro) {
+            this.macroKeys.pop(); // The 'q' that stopped the recording
+        }
+        this.registers?.storeText(this.recordingRegister, keysToText(this.macroKeys));
+        this.recordingRegister = null;
+        this.macroKeys = [];
+    }
+
+    /**
+     * Queues a register's keys for replay by tick(), 'count' times.
+     * A macro run from inside another macro is replayed before the rest of the outer one, as in Vim.
+     * @param {string} name - Register name.
+     * @param {number} count - Number of times to run it.
+     * @private
+     */
+    _playMacro(name, count) {
+        const keys = textToKeys(this.registers?.getText(name) || '');
+        if (keys.length === 0) return;
+        this.lastMacroRegister = name;
+
+        const sequence = Array.from({ length: count }, () => keys).flat();
+        if (this.macroQueue.length + sequence.length > MAX_MACRO_KEYS) {
+            console.warn(`Macro @${name} stopped: more than ${MAX_MACRO_KEYS} keys queued (does it call itself?)`);
+            this.macroQueue = [];
+            return;
+        }
+        if (this.replayingMacro) {
+            this.macroQueue.unshift(...sequence);
+        } else {
+            this.macroQueue.push(...sequence);
+        }
+    }
+
+    /**
+     * Checks whether a command is a change '.' can repeat: one from REPEATABLE_COMMANDS typed in NORMAL mode,
+     * or a VISUAL operator that changes the selection.
+     * @param {object} command
+     * @returns {boolean}
+     * @private
+     */
+    _isRepeatableChange(command) {
+        if (command.type === 'VISUAL_OPERATOR') return REPEATABLE_VISUAL_OPERATORS.includes(command.operator);
+        return this.mode === INPUT_MODE.NORMAL && REPEATABLE_COMMANDS.includes(command.type);
+    }
+
+    /**
+     * Re-queues the last change at the cursor ('.'), and arranges for its typed text to be replayed.
+     * @param {number | null} count - New count from a prefix (e.g. '3.'), or null to keep the original count.
+     * @private
+     */
+    _repeatLastChange(count) {
+        if (!this.lastChange) return;
+        if (count !== null) {
+            this.lastChange.command.count = count; // Like Vim, the new count is kept for later repeats
+        }
+        this.replayingChange = true;
+        this.queueCommand({ ...this.lastChange.command });
+        this.replayingChange = false;
+        if (this.lastChange.typedKeys.length > 0) {
+            this.pendingTypedKeys = [...this.lastChange.typedKeys];
         }
     }
 
     /** Handles keydown events in TYPING mode */
     _handleTypingMode(key) {
+        if (this.lastChange?.recording && !this.replayingChange) {
+            this.lastChange.typedKeys.push(key); // Part of the text entered after 'c' or an insert
+        }
+
         if (key === 'Escape') {
-            this.queueCommand({ type: 'EXIT_TYPING' });
+            // 'insert' tells free typing (i, a, c...) from a typing phrase, which doesn't move the cursor back
+            this.queueCommand({ type: 'EXIT_TYPING', insert: !this.targetTypingPhrase });
             // Game logic should call setMode(NORMAL) upon receiving this
             return;
         }
 
+        // --- Free typing (insert mode): every key writes into the grid at the cursor ---
+        if (!this.targetTypingPhrase) {
+            if (key === 'Backspace') {
+                this.queueCommand({ type: 'INSERT_BACKSPACE' });
+            } else if (key.length === 1) {
+                this.queueCommand({ type: 'INSERT_CHAR', char: key });
+            }
+            return;
+        }
+
         if (key === 'Backspace') {
             if (this.currentTypingIndex > 0) {
                  this.currentTypingIndex--;
@@ -282,6 +805,178 @@ export default class InputHandler {
         }
     }
 
+    /** Handles keydown events in REPLACE mode: each typed key overwrites the tile under the cursor */
+    _handleReplaceMode(key) {
+        if (this.lastChange?.recording && !this.replayingChange) {
+            this.lastChange.typedKeys.push(key); // Part of the text entered after R
+        }
+
+        if (key === 'Escape') {
+            this.queueCommand({ type: 'EXIT_TYPING', insert: true }); // Leaves REPLACE mode the same way as an insert
+        } else if (key === 'Backspace') {
+            this.queueCommand({ type: 'REPLACE_BACKSPACE' }); // Puts back what was overwritten
+        } else if (key.length === 1) {
+            this.queueCommand({ type: 'OVERWRITE_CHAR', char: key });
+        }
+    }
+
+    /** Handles keydown events in COMMAND mode (the ':', '/' and '?' lines) */
+    _handleCommandMode(key) {
+        const isSearch = this.commandLinePrompt !== ':';
+
+        if (key === 'Escape') {
+            if (isSearch) {
+                this.pendingSearch = null;
+                // Put the highlight back to the last search that actually ran
+                this.queueCommand({ type: 'SEARCH_PREVIEW', pattern: this.lastSearch?.pattern || '' });
+            }
+            this.setMode(this.commandLineReturnMode); // Abandon the line
+            return;
+        }
+
+        if (key === 'Enter') {
+            const line = isSearch ? this.commandLine : this.commandLine.trim();
+            const prompt = this.commandLinePrompt;
+            this.setMode(this.commandLineReturnMode);
+            if (line) {
+                this._addToHistory(line, prompt);
+            }
+            if (isSearch) {
+                this._executeSearch(line, prompt);
+            } else if (line) {
+                this.queueCommand(this._parseExCommand(line));
+            }
+            return;
+        }
+
+        if (key === 'Backspace') {
+            if (this.commandLine === '') {
+                // Backspace over the prompt leaves the line, like Vim
+                this._handleCommandMode('Escape');
+                return;
+            }
+            this.commandLine = this.commandLine.slice(0, -1);
+            this.historyIndex = -1;
+        } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+            this._browseHistory(key === 'ArrowUp' ? -1 : 1);
+        } else if (key.length === 1) { // Ignore keys like Shift, Ctrl, Alt, etc.
+            this.commandLine += key;
+            this.historyIndex = -1; // Typing ends history browsing
+        } else {
+            return;
+        }
+
+        if (isSearch) {
+            // Incremental search: let the game highlight matches while the pattern is typed
+            this.queueCommand({ type: 'SEARCH_PREVIEW', pattern: this.commandLine });
+        }
+    }
+
+    /**
+     * Runs a search typed on the '/' or '?' line, as a move or as the motion of a pending operator.
+     * An empty pattern repeats the last search in the new direction.
+     * @param {string} line - The typed pattern.
+     * @param {string} prompt - '/' (forward) or '?' (backward).
+     * @private
+     */
+    _executeSearch(line, prompt) {
+        const { operator, count, register } = this.pendingSearch || { operator: '', count: 1, register: null };
+        this.pendingSearch = null;
+
+        const pattern = line || this.lastSearch?.pattern;
+        if (!pattern) return;
+
+        const direction = prompt === '/' ? 'SEARCH_FORWARD' : 'SEARCH_BACKWARD';
+        this.lastSearch = { pattern, direction };
+        const command = this._buildMotionCommand(operator, direction, count, { pattern });
+        if (register) command.register = register;
+        this.queueCommand(command);
+    }
+
+    /**
+     * Returns the history list for the open command line.
+     * @param {string} [prompt=this.commandLinePrompt] - ':' for ex lines, '/' or '?' for searches.
+     * @returns {string[]}
+     * @private
+     */
+    _getHistory(prompt = this.commandLinePrompt) {
+        return prompt === ':' ? this.commandHistory : this.searchHistory;
+    }
+
+    /**
+     * Stores an executed line as the newest entry. An earlier copy of the same line is removed, so each line
+     * appears once; the oldest entry is dropped past the 'history' size, and nothing is kept when it's 0.
+     * @param {string} line - The executed command line (without the prompt).
+     * @param {string} prompt - The prompt it was typed after, selecting the history list.
+     * @private
+     */
+    _addToHistory(line, prompt) {
+        if (this.maxHistory === 0) return;
+        const history = this._getHistory(prompt);
+        const existingIndex = history.lastIndexOf(line);
+        if (existingIndex !== -1) {
+            history.splice(existingIndex, 1); // Move it to the newest position instead
+        }
+        history.push(line);
+        if (history.length > this.maxHistory) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Moves through the ex history, recalling only entries that start with what was typed before browsing.
+     * @param {number} step - -1 for older (Up), 1 for newer (Down).
+     * @private
+     */
+    _browseHistory(step) {
+        const history = this._getHistory();
+        if (this.historyIndex === -1) {
+            if (step > 0) return; // Nothing newer than the line being typed
+            this.historyPrefix = this.commandLine;
+            this.historyIndex = history.length;
+        }
+
+        let index = this.historyIndex + step;
+        while (index >= 0 && index < history.length && !history[index].startsWith(this.historyPrefix)) {
+            index += step;
+        }
+
+        if (index < 0) return; // No older match; keep the current line
+        if (index >= history.length) {
+            // Stepped past the newest entry: restore what was typed
+            this.commandLine = this.historyPrefix;
+            this.historyIndex = -1;
+            return;
+        }
+        this.historyIndex = index;
+        this.commandLine = history[index];
+    }
+
+    /**
+     * Turns an ex line into an EX_COMMAND command object. Execution is left to the game states.
+     * @param {string} line - The line typed after ':' (e.g. 'stream 2', 'set noshowcmd').
+     * @returns {object} { type: 'EX_COMMAND', name, bang, args, raw }. 'name' is null for unknown commands.
+     * @private
+     */
+    _parseExCommand(line) {
+        const raw = line.replace(/^:+/, '').trim();
+        const match = raw.match(/^([a-zA-Z]+)(!?)\s*(.*)$/);
+        if (!match) {
+            return { type: 'EX_COMMAND', name: null, bang: false, args: [], raw };
+        }
+
+        const [, typedName, bang, argText] = match;
+        const definitions = [...EX_COMMANDS, ...(this.plugins?.getExCommands() ?? [])]; // Core commands win a shared prefix
+        const definition = definitions.find(cmd => typedName.startsWith(cmd.abbrev) && cmd.name.startsWith(typedName));
+        return {
+            type: 'EX_COMMAND',
+            name: definition ? definition.name : null,
+            bang: bang === '!',
+            args: argText ? argText.split(/\s+/) : [],
+            raw
+        };
+    }
+
     /** Processes keyup events (primarily for tracking held keys if needed). */
     _onKeyUp(event) {
         if (!this.active) return;
@@ -294,6 +989,11 @@ export default class InputHandler {
      * @param {object} command - The command object to queue.
      */
     queueCommand(command) {
+        if (command && !this.replayingChange && this._isRepeatableChange(command)) {
+            // Remember the change for '.'; 'c' and inserts also record the text typed before leaving TYPING mode
+            const typesText = TEXT_ENTRY_COMMANDS.includes(command.type) || command.operator === 'CHANGE';
+            this.lastChange = { command: { ...command }, typedKeys: [], recording: typesText };
+        }
         if (command) {
              // console.log("Queueing command:", command); // Debug log
              this.commandQueue.push(command);
@@ -313,21 +1013,49 @@ export default class InputHandler {
         return commandsToProcess;
     }
 
+    /**
+     * Retrieves only the queued commands that match, leaving the others queued in order
+     * (e.g. ':debug' commands while the debug overlay halts the stream).
+     * @param {function(object): boolean} predicate
+     * @returns {Array<object>}
+     */
+    takeCommands(predicate) {
+        const taken = this.commandQueue.filter(predicate);
+        this.commandQueue = this.commandQueue.filter(command => !predicate(command));
+        return taken;
+    }
+
     /**
      * Gets the current command buffer content for UI display (e.g., shows ':d').
      * @returns {string} The command buffer string (e.g., ":", ":d", ":3").
      */
     getCommandBufferDisplay() {
+         if (this.mode === INPUT_MODE.COMMAND) {
+             return this.commandLinePrompt + this.commandLine;
+         }
+         if (this.mode === INPUT_MODE.VISUAL) {
+             const label = { char: 'VISUAL', line: 'VISUAL LINE', block: 'VISUAL BLOCK' }[this.visualKind];
+             return `-- ${label} -- ${this.parser.getPendingKeys()}`;
+         }
+         if (this.mode === INPUT_MODE.REPLACE || (this.mode === INPUT_MODE.TYPING && !this.targetTypingPhrase)) {
+             return this.mode === INPUT_MODE.REPLACE ? '-- REPLACE --' : '-- INSERT --';
+         }
          // Add a prefix like ':' for visual feedback if desired
          const prefix = ':';
-         return prefix + this.numericPrefix + this.commandBuffer;
+         return prefix + this.parser.getPendingKeys();
      }
 
     /**
-     * Clears the internal command buffer and numeric prefix.
+     * @returns {boolean} True while an ex command is being typed on the ':' line (not a '/' or '?' search line).
+     */
+    isOnExLine() {
+        return this.mode === INPUT_MODE.COMMAND && this.commandLinePrompt === ':';
+    }
+
+    /**
+     * Clears the partly typed command (count, register, operator...).
      */
     clearCommandBuffer() {
-        this.commandBuffer = '';
-        this.numericPrefix = '';
+        this.parser.reset();
     }
 }
\ No newline at end of file
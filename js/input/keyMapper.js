@@ -0,0 +1,269 @@
+// js/input/keyMapper.js
+
+'use strict';
+
+import { textToKeys, keysToText } from './keyboard.js';
+
+// localStorage key holding the user's mappings
+const STORAGE_KEY = 'vimrunner.keymap';
+
+// Map modes, as in Vim: n = NORMAL, v = VISUAL, o = operator pending (after d, c, y), i = TYPING, c = command line
+const MAP_MODES = ['n', 'v', 'o', 'i', 'c'];
+
+/**
+ * The :map family of commands. 'modes' are the modes a command applies to (the bang variant applies to
+ * 'bangModes', like ':map!' for TYPING and command-line), 'action' is what it does, 'noremap' whether the
+ * right-hand side is itself remapped. 'abbrev' is the shortest accepted prefix, as in Vim.
+ */
+export const MAP_COMMANDS = [
+    { name: 'map', abbrev: 'map', action: 'map', modes: 'nvo', bangModes: 'ic', noremap: false },
+    { name: 'nmap', abbrev: 'nm', action: 'map', modes: 'n', noremap: false },
+    { name: 'vmap', abbrev: 'vm', action: 'map', modes: 'v', noremap: false },
+    { name: 'xmap', abbrev: 'xm', action: 'map', modes: 'v', noremap: false },
+    { name: 'omap', abbrev: 'om', action: 'map', modes: 'o', noremap: false },
+    { name: 'imap', abbrev: 'im', action: 'map', modes: 'i', noremap: false },
+    { name: 'cmap', abbrev: 'cm', action: 'map', modes: 'c', noremap: false },
+    { name: 'noremap', abbrev: 'no', action: 'map', modes: 'nvo', bangModes: 'ic', noremap: true },
+    { name: 'nnoremap', abbrev: 'nn', action: 'map', modes: 'n', noremap: true },
+    { name: 'vnoremap', abbrev: 'vn', action: 'map', modes: 'v', noremap: true },
+    { name: 'xnoremap', abbrev: 'xn', action: 'map', modes: 'v', noremap: true },
+    { name: 'onoremap', abbrev: 'ono', action: 'map', modes: 'o', noremap: true },
+    { name: 'inoremap', abbrev: 'ino', action: 'map', modes: 'i', noremap: true },
+    { name: 'cnoremap', abbrev: 'cno', action: 'map', modes: 'c', noremap: true },
+    { name: 'unmap', abbrev: 'unm', action: 'unmap', modes: 'nvo', bangModes: 'ic' },
+    { name: 'nunmap', abbrev: 'nun', action: 'unmap', modes: 'n' },
+    { name: 'vunmap', abbrev: 'vu', action: 'unmap', modes: 'v' },
+    { name: 'xunmap', abbrev: 'xu', action: 'unmap', modes: 'v' },
+    { name: 'ounmap', abbrev: 'ou', action: 'unmap', modes: 'o' },
+    { name: 'iunmap', abbrev: 'iu', action: 'unmap', modes: 'i' },
+    { name: 'cunmap', abbrev: 'cu', action: 'unmap', modes: 'c' },
+    { name: 'mapclear', abbrev: 'mapc', action: 'clear', modes: 'nvo', bangModes: 'ic' }
+];
+
+// Modifiers that may come before the left-hand side; they don't change anything in the game
+const IGNORED_MAP_ARGS = ['<silent>', '<buffer>', '<nowait>', '<unique>', '<special>'];
+
+/**
+ * Stores user key mappings per mode, persists them in localStorage and reads map lines from a .vimrc.
+ * Matching typed keys against the mappings (including waiting for multi-key left-hand sides) is done by
+ * the InputHandler, which asks findMapping / hasLongerMapping as keys arrive.
+ *
+ * A mapping is { mode, lhs, rhs, lhsText, rhsText, noremap }: lhs and rhs are key name arrays
+ * (as produced by normalizeKey), the *Text forms are the same keys in Vim notation.
+ */
+export default class KeyMapper {
+    /**
+     * @param {Storage | null} [storage=globalThis.localStorage] - Where mappings are saved (null to not persist).
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.mappings = Object.fromEntries(MAP_MODES.map(mode => [mode, new Map()])); // mode -> lhsText -> mapping
+        this.timeoutLength = 1000; // ms to wait for the rest of a multi-key mapping ('timeoutlen')
+        this._load();
+        console.log("KeyMapper initialized.");
+    }
+
+    /**
+     * Finds the map command for an ex command name.
+     * @param {string} name - Full command name (e.g. 'nnoremap').
+     * @returns {object | null} The MAP_COMMANDS entry.
+     */
+    getCommand(name) {
+        return MAP_COMMANDS.find(command => command.name === name) ?? null;
+    }
+
+    /**
+     * Runs a :map family command.
+     * @param {string} name - Full command name (e.g. 'nnoremap', 'unmap', 'mapclear').
+     * @param {boolean} bang - True for the '!' variant (':map!' applies to TYPING and command-line modes).
+     * @param {string} argText - Everything after the command name, e.g. '<Space> :' or 'j'.
+     * @returns {{listing?: Array<object>, error?: string}} Mappings to show (for ':map' with 0 or 1 argument)
+     *     or a Vim error message; empty if the command just changed the mappings.
+     */
+    execute(name, bang, argText) {
+        const command = this.getCommand(name);
+        if (!command) return { error: `E492: Not an editor command: ${name}` };
+        const modes = bang && command.bangModes ? command.bangModes : command.modes;
+
+        // Drop <silent> and friends, which only matter in a real editor
+        let rest = argText.trim();
+        let token;
+        while ((token = rest.match(/^<\w+>/i)?.[0]) && IGNORED_MAP_ARGS.includes(token.toLowerCase())) {
+            rest = rest.slice(token.length).trimStart();
+        }
+        if (/^<expr>/i.test(rest)) return { error: "E: <expr> mappings are not supported" };
+
+        const [, lhsText = '', rhsText = ''] = rest.match(/^(\S*)\s*(.*)$/);
+        switch (command.action) {
+            case 'clear':
+                this.clear(modes);
+                return {};
+            case 'unmap':
+                if (!lhsText) return { error: "E471: Argument required" };
+                return this.unmap(modes, lhsText) ? {} : { error: "E31: No such mapping" };
+            default:
+                if (!rhsText) {
+                    // ':map' lists everything, ':map lhs' the mappings starting with lhs
+                    const prefix = keysToText(textToKeys(lhsText));
+                    return { listing: this.list(modes).filter(mapping => mapping.lhsText.startsWith(prefix)) };
+                }
+                this.map(modes, lhsText, rhsText.trimEnd(), command.noremap);
+                return {};
+        }
+    }
+
+    /**
+     * Adds (or replaces) a mapping in each of the given modes and saves.
+     * @param {string} modes - Mode letters, e.g. 'nvo'.
+     * @param {string} lhsText - Left-hand side in Vim notation (e.g. '<C-j>', 'gh').
+     * @param {string} rhsText - Right-hand side in Vim notation.
+     * @param {boolean} noremap - True if the right-hand side must not be remapped.
+     */
+    map(modes, lhsText, rhsText, noremap) {
+        const lhs = textToKeys(lhsText);
+        const rhs = textToKeys(rhsText);
+        const key = keysToText(lhs); // Same spelling for '<esc>' and '<Esc>', so one replaces the other
+        for (const mode of modes) {
+            this.mappings[mode].set(key, { mode, lhs, rhs, lhsText: key, rhsText: keysToText(rhs), noremap });
+        }
+        this._save();
+    }
+
+    /**
+     * Removes a mapping from the given modes and saves.
+     * @param {string} modes - Mode letters.
+     * @param {string} lhsText - Left-hand side in Vim notation.
+     * @returns {boolean} False if none of the modes had the mapping.
+     */
+    unmap(modes, lhsText) {
+        const key = keysToText(textToKeys(lhsText));
+        let removed = false;
+        for (const mode of modes) {
+            removed = this.mappings[mode].delete(key) || removed;
+        }
+        if (removed) this._save();
+        return removed;
+    }
+
+    /**
+     * Removes every mapping in the given modes and saves.
+     * @param {string} [modes='nvoic'] - Mode letters.
+     */
+    clear(modes = MAP_MODES.join('')) {
+        for (const mode of modes) {
+            this.mappings[mode].clear();
+        }
+        this._save();
+    }
+
+    /**
+     * Lists the mappings of the given modes.
+     * @param {string} [modes='nvoic'] - Mode letters.
+     * @returns {Array<object>} Mappings, grouped by mode.
+     */
+    list(modes = MAP_MODES.join('')) {
+        return [...modes].flatMap(mode => [...this.mappings[mode].values()]);
+    }
+
+    /**
+     * Finds the longest mapping whose left-hand side matches the keys starting at an index.
+     * @param {string} mode - Map mode letter.
+     * @param {string[]} keys - Pending or replayed keys.
+     * @param {number} [start=0] - Index to match from.
+     * @returns {object | null} The mapping, or null if none matches.
+     */
+    findMapping(mode, keys, start = 0) {
+        let best = null;
+        for (const mapping of this.mappings[mode]?.values() ?? []) {
+            const { lhs } = mapping;
+            if (lhs.length <= keys.length - start && lhs.every((key, i) => keys[start + i] === key)) {
+                if (!best || lhs.length > best.lhs.length) best = mapping;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Checks whether some mapping's left-hand side starts with the keys and is longer,
+     * i.e. whether more keys are needed before deciding.
+     * @param {string} mode - Map mode letter.
+     * @param {string[]} keys - Keys typed so far.
+     * @returns {boolean}
+     */
+    hasLongerMapping(mode, keys) {
+        for (const { lhs } of this.mappings[mode]?.values() ?? []) {
+            if (lhs.length > keys.length && keys.every((key, i) => lhs[i] === key)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether a key starts any mapping, so the browser's default action for it can be prevented.
+     * @param {string} key - Normalized key name.
+     * @returns {boolean}
+     */
+    isMappedKey(key) {
+        return MAP_MODES.some(mode => [...this.mappings[mode].values()].some(({ lhs }) => lhs[0] === key));
+    }
+
+    /**
+     * Reads map lines from a pasted .vimrc. Other lines (settings, functions, comments) are skipped,
+     * so a whole vimrc can be pasted.
+     * @param {string} text - The vimrc text.
+     * @returns {{imported: number, skipped: number, errors: string[]}} Counts of map lines used and ignored.
+     */
+    importVimrc(text) {
+        const result = { imported: 0, skipped: 0, errors: [] };
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim().replace(/^:+/, '');
+            if (!line || line.startsWith('"')) continue; // Blank or comment
+
+            const match = line.match(/^([a-z]+)(!?)(?:\s+(.*))?$/);
+            const command = match && MAP_COMMANDS.find(({ name, abbrev }) => match[1].startsWith(abbrev) && name.startsWith(match[1]));
+            if (!command || command.action !== 'map' || !match[3]) {
+                result.skipped++;
+                continue;
+            }
+            const { error } = this.execute(command.name, match[2] === '!', match[3]);
+            if (error) {
+                result.errors.push(`${line}: ${error}`);
+            } else {
+                result.imported++;
+            }
+        }
+        return result;
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * Writes all mappings to storage.
+     * @private
+     */
+    _save() {
+        if (!this.storage) return;
+        const saved = this.list().map(({ mode, lhsText, rhsText, noremap }) => ({ mode, lhs: lhsText, rhs: rhsText, noremap }));
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (e) {
+            console.warn("Could not save key mappings:", e); // Storage full or disabled
+        }
+    }
+
+    /**
+     * Restores the mappings saved by a previous session.
+     * @private
+     */
+    _load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            for (const { mode, lhs, rhs, noremap } of saved) {
+                if (!this.mappings[mode]) continue;
+                this.mappings[mode].set(lhs, { mode, lhs: textToKeys(lhs), rhs: textToKeys(rhs), lhsText: lhs, rhsText: rhs, noremap });
+            }
+        } catch (e) {
+            console.warn("Could not load saved key mappings:", e);
+        }
+    }
+}
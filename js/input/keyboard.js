@@ -0,0 +1,97 @@
+// js/input/keyboard.js
+
+'use strict';
+
+/**
+ * Converts a native keyboard event into the key name used by the InputHandler.
+ * Plain keys keep their KeyboardEvent.key value ('h', 'Escape', 'Enter', ...).
+ * Ctrl combinations use Vim notation, e.g. Ctrl+V becomes '<C-v>', so they can't be mistaken for the plain key.
+ * @param {KeyboardEvent} event - The native keyboard event.
+ * @returns {string} The normalized key name.
+ */
+export function normalizeKey(event) {
+    const key = event.key;
+    if (event.ctrlKey && key.length === 1) {
+        return `<C-${key.toLowerCase()}>`;
+    }
+    return key;
+}
+
+// Keys that only modify others; browsers send a keydown for each of them on its own (before the 'E' of Shift+E)
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock'];
+
+/**
+ * @param {string} key - Normalized key name.
+ * @returns {boolean} True for a modifier pressed on its own, which is never a command key.
+ */
+export function isModifierKey(key) {
+    return MODIFIER_KEYS.includes(key);
+}
+
+// Vim notation for keys that aren't a single printable character, used when macros are stored as register text
+const KEY_NOTATION = {
+    'Escape': '<Esc>',
+    'Enter': '<CR>',
+    'Backspace': '<BS>',
+    'Tab': '<Tab>',
+    'ArrowUp': '<Up>',
+    'ArrowDown': '<Down>',
+    'ArrowLeft': '<Left>',
+    'ArrowRight': '<Right>',
+    '<': '<lt>' // So a literal '<' can't be read back as the start of a key name
+};
+
+// Other key names accepted when reading Vim notation (e.g. in a pasted .vimrc), lowercase
+const KEY_ALIASES = {
+    '<space>': ' ',
+    '<bar>': '|',
+    '<bslash>': '\\',
+    '<enter>': 'Enter',
+    '<return>': 'Enter',
+    '<escape>': 'Escape'
+};
+
+/**
+ * Converts a recorded key sequence into register text, e.g. ['d', 'w', 'Escape'] becomes 'dw<Esc>'.
+ * Keys with no text form (modifiers on their own, function keys) are left out.
+ * @param {string[]} keys - Normalized key names as produced by normalizeKey.
+ * @returns {string} The keys in Vim notation.
+ */
+export function keysToText(keys) {
+    return keys
+        .filter(key => key.length === 1 || KEY_NOTATION[key] || /^<C-.>$/.test(key)) // Drop Shift, Alt, F-keys...
+        .map(key => KEY_NOTATION[key] ?? key)
+        .join('');
+}
+
+/**
+ * Converts register text back into key names, the reverse of keysToText.
+ * Line breaks (from multi-row yanks) are read as Enter, like Vim does when executing a register.
+ * @param {string} text - Register text, e.g. 'cwnew<Esc>'.
+ * @returns {string[]} Normalized key names.
+ */
+export function textToKeys(text) {
+    const namedKeys = {
+        ...Object.fromEntries(Object.entries(KEY_NOTATION).map(([key, name]) => [name.toLowerCase(), key])),
+        ...KEY_ALIASES
+    };
+    const keys = [];
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\n') {
+            keys.push('Enter');
+            continue;
+        }
+        const name = char === '<' ? text.slice(i, text.indexOf('>', i) + 1) : '';
+        if (name && namedKeys[name.toLowerCase()]) {
+            keys.push(namedKeys[name.toLowerCase()]);
+            i += name.length - 1;
+        } else if (/^<C-.>$/i.test(name)) {
+            keys.push(`<C-${name[3].toLowerCase()}>`); // Same form as normalizeKey, whatever case was typed
+            i += name.length - 1;
+        } else {
+            keys.push(char);
+        }
+    }
+    return keys;
+}
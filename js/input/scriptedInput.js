@@ -0,0 +1,63 @@
+// js/input/scriptedInput.js
+
+'use strict';
+
+import { textToKeys } from './keyboard.js';
+
+/**
+ * A programmatic key source for running the game without a browser (tests, bots, level checks).
+ * It stands in for `window` in InputHandler.init(): the InputHandler listens to it as usual, and press()/type()
+ * send it keydown events, so scripted keys go through exactly the same path as typed ones.
+ */
+export default class ScriptedInput {
+    constructor() {
+        this.listeners = new Map(); // event type -> Set of listeners
+    }
+
+    /**
+     * @param {string} type - 'keydown' or 'keyup'.
+     * @param {function(object): void} listener
+     */
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+    }
+
+    /**
+     * @param {string} type
+     * @param {function(object): void} listener
+     */
+    removeEventListener(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Presses and releases one key.
+     * @param {string} key - A normalized key name ('h', 'Escape', '<C-v>', ...).
+     */
+    press(key) {
+        const ctrl = key.match(/^<C-(.)>$/);
+        const event = { key: ctrl ? ctrl[1] : key, ctrlKey: Boolean(ctrl), target: null, preventDefault() {} };
+        this._dispatch('keydown', event);
+        this._dispatch('keyup', event);
+    }
+
+    /**
+     * Presses the keys of a Vim notation string, e.g. 'dw', ':q<CR>' or 'cwnew<Esc>'.
+     * @param {string} text
+     */
+    type(text) {
+        textToKeys(text).forEach(key => this.press(key));
+    }
+
+    // --- Private Helper Methods ---
+
+    /**
+     * @param {string} type
+     * @param {object} event - A KeyboardEvent-like object.
+     * @private
+     */
+    _dispatch(type, event) {
+        this.listeners.get(type)?.forEach(listener => listener(event));
+    }
+}
@@ -8,15 +8,26 @@
 import GameLoop from './core/gameLoop.js';
 import StateManager from './core/stateManager.js';
 import Renderer from './core/renderer.js';
+import CanvasRenderer from './core/canvasRenderer.js';
 import InputHandler from './input/inputHandler.js'; // Start with a combined handler
 import LevelManager from './game_logic/levelManager.js';
 import UIManager from './game_logic/uiManager.js';
+import RegisterManager from './game_logic/registerManager.js';
+import UndoManager from './game_logic/undoManager.js';
+import KeyMapper from './input/keyMapper.js';
+import ReplayManager from './game_logic/replayManager.js';
+import SaveManager from './game_logic/saveManager.js';
+import EventBus from './core/eventBus.js';
+import DebugOverlay from './core/debugOverlay.js';
+import PluginRegistry from './core/pluginRegistry.js';
+import Random from './utils/random.js';
 import Player from './game_objects/player.js';
+import { DEFAULT_SETTINGS, RENDERER_TYPE } from './data/constants.js';
 // Example import for constants (adjust path/content as needed)
 // import { GAME_STATES, RENDERER_TYPE } from './data/constants.js';
 
 // --- Main Game Initialization Function ---
-function initializeGame() {
+async function initializeGame() {
     console.log("VIM://RUNNER - Initializing subsystems...");
 
     try {
@@ -34,6 +45,10 @@ function initializeGame() {
             cpuCyclesPercent: document.querySelector('#cpu-cycles .percent'),
             statusMessage: document.getElementById('status-message'),
             commandBuffer: document.getElementById('command-buffer'),
+            registers: document.querySelector('#registers span'),
+            recording: document.getElementById('recording'),
+            ghostDelta: document.getElementById('ghost-delta'),
+            vimrcImport: document.getElementById('vimrc-import'),
         };
 
         // --- 2. Validate DOM References ---
@@ -47,15 +62,41 @@ function initializeGame() {
 
         // --- 3. Instantiate Core Game Components ---
 
-        // Renderer: Handles drawing to the screen (DOM or Canvas)
+        // Settings: Options shared by all subsystems, changed at runtime with ':set'
+        const settings = { ...DEFAULT_SETTINGS };
+
+        // Event Bus: Game events (enemyDefeated, playerHit, modeChanged, ...) for audio, effects and add-ons to subscribe to
+        const events = new EventBus();
+        console.log("EventBus instantiated.");
+
+        // Plugin Registry: Enemy types, tile types, commands, motions and states added by the plugins in plugins/manifest.json
+        const plugins = new PluginRegistry();
+        await plugins.loadManifest();
+        addPluginStyles(plugins);
+        console.log("PluginRegistry instantiated.");
+
+        // Renderer: Handles drawing to the screen (DOM, or Canvas with ?renderer=canvas for large streams)
         // Pass the container element. Add config if needed (e.g., grid size hints)
-        const renderer = new Renderer(gameScreenElement /*, { type: RENDERER_TYPE.DOM } */);
+        const rendererType = getRendererType();
+        const renderer = rendererType === RENDERER_TYPE.CANVAS
+            ? new CanvasRenderer(gameScreenElement, { type: rendererType })
+            : new Renderer(gameScreenElement, { type: rendererType });
+        renderer.setPlugins(plugins);
         console.log("Renderer instantiated.");
 
         // Input Handler: Manages keyboard input and command parsing
         const inputHandler = new InputHandler();
+        inputHandler.setHistorySize(settings.history);
+        inputHandler.setEventBus(events);
+        inputHandler.setPlugins(plugins);
         console.log("InputHandler instantiated.");
 
+        // Key Mapper: User mappings (:map, :nnoremap, .vimrc import), saved in localStorage
+        const keyMapper = new KeyMapper();
+        keyMapper.timeoutLength = settings.timeoutlen;
+        inputHandler.setKeyMapper(keyMapper);
+        console.log("KeyMapper instantiated.");
+
         // UI Manager: Updates score, health, messages etc.
         const uiManager = new UIManager(uiElements);
         console.log("UIManager instantiated.");
@@ -64,8 +105,31 @@ function initializeGame() {
         const levelManager = new LevelManager(/* Pass level data source if needed */);
         console.log("LevelManager instantiated.");
 
+        // Register Manager: Holds yanked/deleted tiles for put ("a, "0, ...) and recorded macros
+        const registerManager = new RegisterManager();
+        inputHandler.setRegisters(registerManager);
+        console.log("RegisterManager instantiated.");
+
+        // Undo Manager: Undo/redo history of grid changes, configured per stream
+        const undoManager = new UndoManager();
+        console.log("UndoManager instantiated.");
+
+        // Random: The one seeded PRNG all gameplay randomness comes from, reseeded for every run
+        const random = new Random();
+        console.log("Random instantiated.");
+
+        // Replay Manager: Records every run and plays runs back (:replay), last run saved in localStorage
+        const replayManager = new ReplayManager();
+        console.log("ReplayManager instantiated.");
+
+        // Save Manager: Named save slots of streams in progress (:w, :e), kept in localStorage
+        const saveManager = new SaveManager();
+        console.log("SaveManager instantiated.");
+
         // Player: Represents the player state and logic
         const player = new Player(/* Pass initial player config if needed */);
+        player.setSettings(settings);
+        player.setPlugins(plugins);
         console.log("Player instantiated.");
 
         // State Manager: Controls the overall game state (menu, playing, paused)
@@ -77,10 +141,24 @@ function initializeGame() {
             uiManager,
             levelManager,
             player,
+            settings,
+            registerManager,
+            undoManager,
+            keyMapper,
+            replayManager,
+            saveManager,
+            events,
+            random,
+            plugins,
             // Pass any other shared components needed by different states
         });
         console.log("StateManager instantiated.");
 
+        // Debug Overlay: Frame timing, state, input and tile inspector, frame stepping (F3 or :debug)
+        const debugOverlay = new DebugOverlay({ stateManager, inputHandler, events, renderer, container: gameScreenElement });
+        stateManager.setDebugOverlay(debugOverlay);
+        console.log("DebugOverlay instantiated.");
+
         // Game Loop: Drives the game's update/render cycle
         // It needs functions to call for update and render, provided by the StateManager
         const gameLoop = new GameLoop(
@@ -95,6 +173,7 @@ function initializeGame() {
 
         // Attach keyboard listeners
         inputHandler.init();
+        debugOverlay.init();
         console.log("Input listeners attached.");
 
         // Set initial UI display
@@ -118,6 +197,31 @@ function initializeGame() {
     }
 }
 
+/**
+ * Reads the renderer to use from the page's ?renderer= parameter.
+ * @returns {string} A RENDERER_TYPE value (DOM unless a known other one is asked for).
+ */
+function getRendererType() {
+    const requested = new URLSearchParams(window.location.search).get('renderer');
+    if (requested && !Object.values(RENDERER_TYPE).includes(requested)) {
+        console.warn(`Unknown renderer '${requested}', using ${RENDERER_TYPE.DOM}.`);
+    }
+    return Object.values(RENDERER_TYPE).includes(requested) ? requested : RENDERER_TYPE.DOM;
+}
+
+/**
+ * Adds the style rules of plugin tile types to the page.
+ * @param {PluginRegistry} plugins
+ */
+function addPluginStyles(plugins) {
+    const css = plugins.getStyles();
+    if (!css) return;
+    const style = document.createElement('style');
+    style.dataset.source = 'plugins';
+    style.textContent = css;
+    document.head.appendChild(style);
+}
+
 function displayInitializationError(error) {
     const errorDiv = document.createElement('div');
     errorDiv.style.color = 'red';
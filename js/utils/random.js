@@ -0,0 +1,86 @@
+// js/utils/random.js
+
+'use strict';
+
+/**
+ * Makes a new seed for a run's randomness. This is the only place the game uses Math.random:
+ * everything that happens during a run comes from a Random seeded with it.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32) for all gameplay randomness.
+ * The same seed always gives the same sequence, so runs (and their replays) come out the same on every
+ * machine. Gameplay code must take its random numbers from the shared instance, never from Math.random.
+ */
+export default class Random {
+    /**
+     * @param {number} [seed=0] - Unsigned 32-bit seed.
+     */
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restarts the sequence from a seed.
+     * @param {number} seed - Unsigned 32-bit seed.
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} Where the sequence is, to continue it later with setState (e.g. in a save).
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Continues a sequence from a getState() value; the seed stays as it is.
+     * @param {number} state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * @returns {number} The next number, from 0 (inclusive) to 1 (exclusive).
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * @param {number} min - Smallest value.
+     * @param {number} max - Largest value (inclusive).
+     * @returns {number} An integer from min to max.
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * @param {number} probability - From 0 (never) to 1 (always).
+     * @returns {boolean} True with the given probability.
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * @param {Array} items
+     * @returns {*} One of the items (undefined if there are none).
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
@@ -0,0 +1,75 @@
+// plugins/examples/sampler.js
+
+'use strict';
+
+import Enemy from '../../js/game_objects/enemy.js';
+
+// CPU cycles a cache tile gives back
+const CACHE_CPU = 25;
+
+/**
+ * An enemy that wanders a random step at a time. Its randomness comes from the game's seeded PRNG,
+ * so runs with it still replay the same.
+ */
+class Drifter extends Enemy {
+    constructor(config) {
+        super({ char: 'd', type: 'drifter', speed: 1, ...config });
+        this.state = 'wandering';
+    }
+
+    update(deltaTime, playerPosition) {
+        if (!super.update(deltaTime, playerPosition) || this.isDefeated() || !this.random) return;
+        const [dx, dy] = this.random.pick([[1, 0], [-1, 0], [0, 1], [0, -1]]);
+        if (this._isValidMove(this.x + dx, this.y + dy)) {
+            this.x += dx;
+            this.y += dy;
+        }
+    }
+}
+
+/**
+ * Example plugin showing each kind of addition. To try it, list it in plugins/manifest.json:
+ *   { "plugins": ["examples/sampler.js"] }
+ * and place its tiles or enemies in a level: { char: '+', type: 'cpu-cache' }, { type: 'drifter', x, y }.
+ */
+export default {
+    name: 'sampler',
+    register(registry) {
+        registry.registerEnemy('drifter', Drifter);
+
+        // A one-use tile that refills some CPU, then turns into a pathway
+        registry.registerTileType('cpu-cache', {
+            css: '.tile.cpu-cache { color: #4df; text-shadow: 0 0 4px #4df; }',
+            onEnter: ({ state, player, x, y }) => {
+                player.cpuCycles = Math.min(player.maxCpuCycles, player.cpuCycles + CACHE_CPU);
+                state.uiManager.updateCPUCycles(player.cpuCycles / player.maxCpuCycles * 100);
+                state.updateGridTile(x, y, { char: '.', type: 'pathway' });
+                state.uiManager.showMessage(`Cache read: +${CACHE_CPU} CPU`, 1000);
+            },
+        });
+
+        // Vim's |: to column [count] of the row (d| deletes back to it)
+        registry.registerMotion('|', {
+            name: 'COLUMN',
+            find: ({ grid, y, count }) => ({ x: Math.min(count, grid.width) - 1, y }),
+        });
+
+        // Vim's Ctrl-G: where the cursor is in the stream
+        registry.registerCommand('<C-g>', {
+            name: 'STREAM_INFO',
+            execute: ({ state, player }) => {
+                const { name, height } = state.currentLevel;
+                state.uiManager.showMessage(`"${name}" ${height} lines --${Math.round((player.y + 1) / height * 100)}%-- col ${player.x + 1}`, 3000);
+            },
+        });
+
+        // :tiles counts the corrupted tiles left to clear
+        registry.registerExCommand('tiles', {
+            abbrev: 'ti',
+            execute: ({ state }) => {
+                const corrupted = state.currentLevel?.tiles.flat().filter(tile => tile.type === 'corrupted').length;
+                state.uiManager.showMessage(corrupted === undefined ? "E: No stream is running" : `${corrupted} corrupted tiles left`, 2000);
+            },
+        });
+    },
+};
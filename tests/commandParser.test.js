@@ -0,0 +1,138 @@
+// tests/commandParser.test.js
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandParser, { PARSE_STATUS } from '../js/input/commandParser.js';
+
+/**
+ * Feeds keys to a new parser and returns the result of the last one.
+ * @param {string[]} keys - Normalized key names.
+ * @param {object} [options] - Passed to feed() (e.g. { visual: true }).
+ */
+function parse(keys, options) {
+    const parser = new CommandParser();
+    return parser.feedAll(keys, options).at(-1);
+}
+
+test('a single motion key is a complete move', () => {
+    const result = parse(['w']);
+    assert.equal(result.status, PARSE_STATUS.COMPLETE);
+    assert.deepEqual(result.command, { type: 'MOTION', operator: '', motion: 'WORD_FORWARD', count: 1, args: {} });
+    assert.equal(result.pending, '');
+});
+
+test('counts before and after the operator multiply (2d3w)', () => {
+    const parser = new CommandParser();
+    const results = parser.feedAll(['2', 'd', '3', 'w']);
+    assert.deepEqual(results.slice(0, 3).map(r => r.status), ['partial', 'partial', 'partial']);
+    assert.deepEqual(results.map(r => r.pending), ['2', '2d', '2d3', '']);
+    assert.deepEqual(results[3].command, { type: 'MOTION', operator: 'd', motion: 'WORD_FORWARD', count: 6, args: {} });
+});
+
+test('multi-digit counts keep their zeros, but a lone 0 is a motion', () => {
+    assert.equal(parse(['1', '0', 'j']).command.count, 10);
+    assert.equal(parse(['0']).command.motion, 'LINE_START');
+    assert.equal(parse(['d', '0']).command.motion, 'LINE_START');
+    assert.equal(parse(['d', '2', '0', 'l']).command.count, 20);
+});
+
+test('a doubled operator acts on whole rows', () => {
+    assert.deepEqual(parse(['3', 'd', 'd']).command, { type: 'MOTION', operator: 'd', motion: 'LINE', count: 3, args: {} });
+    assert.equal(parse(['y', 'y']).command.operator, 'y');
+    assert.equal(parse(['d', 'y']).status, PARSE_STATUS.INVALID);
+});
+
+test('a register prefix is attached to the command', () => {
+    const parser = new CommandParser();
+    const results = parser.feedAll(['"', 'a', '2', 'y', 'y']);
+    assert.deepEqual(results.map(r => r.pending), ['"', '"a', '"a2', '"a2y', '']);
+    assert.deepEqual(results[4].command, { type: 'MOTION', operator: 'y', motion: 'LINE', count: 2, args: {}, register: 'a' });
+    assert.equal(parse(['"', '_', 'x']).command.register, '_');
+    assert.equal(parse(['"', '!']).status, PARSE_STATUS.INVALID);
+});
+
+test('find motions take the next key as their target', () => {
+    assert.deepEqual(parse(['d', 't', '.']).command.args, { char: '.' });
+    assert.equal(parse(['3', 'F', 'x']).command.motion, 'FIND_CHAR_BACKWARD');
+    assert.equal(parse(['f', 'd']).command.operator, '', "'d' after f is a target, not an operator");
+    // Shifted keys arrive as the character they type
+    assert.deepEqual(parse(['f', 'E']).command, { type: 'MOTION', operator: '', motion: 'FIND_CHAR_FORWARD', count: 1, args: { char: 'E' } });
+    assert.deepEqual(parse(['d', '$']).command, { type: 'MOTION', operator: 'd', motion: 'LINE_END', count: 1, args: {} });
+    assert.deepEqual(parse(['r', 'X']).command, { type: 'REPLACE_CHAR_EXECUTE', char: 'X' });
+});
+
+test('text objects follow an operator and i or a', () => {
+    assert.deepEqual(parse(['c', 'i', '"']).command, {
+        type: 'MOTION', operator: 'c', motion: 'TEXT_OBJECT', count: 1, args: { object: '"', inner: true }
+    });
+    assert.equal(parse(['2', 'd', 'a', 'w']).command.args.inner, false);
+    assert.equal(parse(['d', 'i', 'z']).status, PARSE_STATUS.INVALID);
+    // Without an operator, i and a start inserting
+    assert.deepEqual(parse(['a']).command, { type: 'INSERT', position: 'AFTER_CURSOR' });
+});
+
+test('gg and G use the count as a row number', () => {
+    assert.deepEqual(parse(['g', 'g']).command.args, { line: null });
+    assert.deepEqual(parse(['1', '2', 'G']).command, { type: 'MOTION', operator: '', motion: 'LAST_LINE', count: 1, args: { line: 12 } });
+    assert.equal(parse(['d', 'g', 'g']).command.operator, 'd');
+    assert.equal(parse(['g', 'x']).status, PARSE_STATUS.INVALID);
+});
+
+test('marks are set with m and jumped to with quote and backtick', () => {
+    assert.deepEqual(parse(['m', 'a']).command, { type: 'SET_MARK', mark: 'a' });
+    assert.deepEqual(parse(['d', "'", 'b']).command.args, { mark: 'b' });
+    assert.equal(parse(['`', '`']).command.motion, 'MARK_EXACT');
+    assert.equal(parse(['m', '1']).status, PARSE_STATUS.INVALID);
+    assert.equal(parse(['d', 'm']).status, PARSE_STATUS.INVALID);
+});
+
+test('repeat keys are left for the handler to resolve', () => {
+    assert.deepEqual(parse([',']).command.args, { reverse: true });
+    assert.equal(parse(['d', 'n']).command.motion, 'REPEAT_SEARCH');
+    assert.deepEqual(parse(['.']).command, { type: 'REPEAT_CHANGE', count: null });
+    assert.deepEqual(parse(['3', '.']).command, { type: 'REPEAT_CHANGE', count: 3 });
+});
+
+test('simple commands, r{char}, macros and prompts', () => {
+    assert.deepEqual(parse(['4', 'x']).command, { type: 'DELETE_CHAR', count: 4 });
+    assert.deepEqual(parse(['r', 'h']).command, { type: 'REPLACE_CHAR_EXECUTE', char: 'h' });
+    assert.deepEqual(parse(['q', 'a']).command, { type: 'RECORD_MACRO', name: 'a' });
+    assert.deepEqual(parse(['2', '@', '@']).command, { type: 'PLAY_MACRO', name: '@', count: 2 });
+    assert.deepEqual(parse(['d', '/']).command, { type: 'SEARCH_PROMPT', prompt: '/', operator: 'd', count: 1 });
+    assert.deepEqual(parse([':']).command, { type: 'EX_PROMPT' });
+    assert.equal(parse(['d', 'p']).status, PARSE_STATUS.INVALID);
+});
+
+test('VISUAL mode applies operators at once and reads other keys as in NORMAL mode', () => {
+    const visual = { visual: true };
+    assert.deepEqual(parse(['d'], visual).command, { type: 'VISUAL_OPERATOR', operator: 'DELETE' });
+    assert.deepEqual(parse(['"', 'b', 'y'], visual).command, { type: 'VISUAL_OPERATOR', operator: 'YANK', register: 'b' });
+    assert.deepEqual(parse(['r', '#'], visual).command, { type: 'VISUAL_OPERATOR', operator: 'REPLACE', char: '#' });
+    assert.deepEqual(parse(['2', 'i', 'w'], visual).command, { type: 'VISUAL_TEXT_OBJECT', object: 'w', inner: true, count: 2 });
+    assert.deepEqual(parse(['V'], visual).command, { type: 'VISUAL_KIND', kind: 'line' });
+    assert.equal(parse(['3', 'j'], visual).command.count, 3);
+    assert.equal(parse(['f', 'd'], visual).command.motion, 'FIND_CHAR_FORWARD');
+    assert.equal(parse(['p'], visual).status, PARSE_STATUS.INVALID);
+});
+
+test('the parser starts over after a complete or invalid command', () => {
+    const parser = new CommandParser();
+    parser.feedAll(['"', 'a', 'd', 'z']);
+    assert.equal(parser.hasPendingKeys(), false);
+    assert.deepEqual(parser.feed('x').command, { type: 'DELETE_CHAR', count: 1 });
+});
+
+test('pending state tells operator-pending apart from awaiting an argument', () => {
+    const parser = new CommandParser();
+    parser.feed('d');
+    assert.equal(parser.isOperatorPending(), true);
+    assert.equal(parser.isAwaitingArgument(), false);
+    parser.feed('f');
+    assert.equal(parser.isOperatorPending(), false);
+    assert.equal(parser.isAwaitingArgument(), true);
+    assert.equal(parser.getPendingKeys(), 'df');
+    parser.reset();
+    assert.equal(parser.getPendingKeys(), '');
+});
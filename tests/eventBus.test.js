@@ -0,0 +1,45 @@
+// tests/eventBus.test.js
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../js/core/eventBus.js';
+import HeadlessGame from '../js/core/headlessGame.js';
+
+test('listeners get the payload until they unsubscribe', () => {
+    const events = new EventBus();
+    const received = [];
+    const off = events.on('tileCleared', ({ x, y }) => received.push([x, y]));
+    events.once('tileCleared', () => received.push('once'));
+
+    events.emit('tileCleared', { x: 1, y: 2 });
+    off();
+    events.emit('tileCleared', { x: 3, y: 4 });
+    assert.deepEqual(received, [[1, 2], 'once']);
+});
+
+test('unknown event names throw', () => {
+    const events = new EventBus();
+    assert.throws(() => events.on('tileCleard', () => {}), /Unknown game event: tileCleard/);
+    assert.throws(() => events.emit('nope'), /Unknown game event/);
+});
+
+test('a throwing listener does not stop the others', (t) => {
+    const events = new EventBus();
+    t.mock.method(console, 'error', () => {});
+    let called = false;
+    events.on('playerHit', () => { throw new Error('broken add-on'); });
+    events.on('playerHit', () => { called = true; });
+    events.emit('playerHit', { amount: 1 });
+    assert.equal(called, true);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('the InputHandler reports mode changes', () => {
+    const game = new HeadlessGame();
+    const changes = [];
+    game.events.on('modeChanged', change => changes.push(change));
+    game.type(':<Esc>');
+    assert.deepEqual(changes, [{ from: 'NORMAL', to: 'COMMAND' }, { from: 'COMMAND', to: 'NORMAL' }]);
+});
@@ -0,0 +1,161 @@
+// tests/headless.test.js
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessGame from '../js/core/headlessGame.js';
+import HeadlessRenderer from '../js/core/headlessRenderer.js';
+import LevelManager from '../js/game_logic/levelManager.js';
+
+test('the game starts in the menu without a DOM', () => {
+    assert.equal(globalThis.window, undefined);
+    const game = new HeadlessGame();
+    assert.equal(game.getStateName(), 'MENU');
+    assert.equal(game.uiManager.hud.levelName, "MAIN MENU");
+    assert.equal(game.uiManager.hud.message, "Press [Enter] to Start");
+    game.step(3);
+    assert.equal(game.frame, 3);
+});
+
+test('scripted keys go through the InputHandler like typed ones', () => {
+    const game = new HeadlessGame();
+    game.type('"a2dw');
+    assert.deepEqual(game.inputHandler.getCommands(), [{ type: 'DELETE', motion: 'WORD_FORWARD', count: 2, register: 'a' }]);
+    game.type(':set noghost<CR>');
+    assert.deepEqual(game.inputHandler.getCommands(), [
+        { type: 'EX_COMMAND', name: 'set', bang: false, args: ['noghost'], raw: 'set noghost' }
+    ]);
+});
+
+test('a modifier keydown does not cancel a pending command', () => {
+    const game = new HeadlessGame();
+    ['q', 'a', 'c', 'f', 'Shift', ')', 'q', 'd', 'Shift', '$', 'r', 'Shift', 'X'].forEach(key => game.input.press(key));
+    assert.deepEqual(game.inputHandler.getCommands(), [
+        { type: 'CHANGE', motion: 'FIND_CHAR_FORWARD', count: 1, char: ')' },
+        { type: 'DELETE', motion: 'LINE_END', count: 1 },
+        { type: 'REPLACE_CHAR_EXECUTE', char: 'X' },
+    ]);
+    assert.equal(game.registerManager.getText('a'), 'cf)'); // Not recorded either
+});
+
+test('dot repeats a visual change but not a visual yank', () => {
+    const game = new HeadlessGame();
+    game.type('vld');
+    game.inputHandler.getCommands();
+    game.type('vly.');
+    assert.deepEqual(game.inputHandler.getCommands().slice(-2), [
+        { type: 'VISUAL_OPERATOR', operator: 'YANK' },
+        { type: 'VISUAL_OPERATOR', operator: 'DELETE' },
+    ]);
+});
+
+test('the recording renderer logs draw calls', () => {
+    const game = new HeadlessGame({ record: true });
+    game.step(2);
+    assert.deepEqual(game.renderer.calls.filter(call => call.method === 'drawText').map(call => call.args[0]),
+        ["VIM://RUNNER", "VIM://RUNNER"]);
+});
+
+test('the headless renderer shows a stream as text', () => {
+    const renderer = new HeadlessRenderer();
+    renderer.drawGrid(new LevelManager().loadLevel(1));
+    renderer.drawPlayer({ x: 1, y: 2 });
+    renderer.drawEnemy({ id: 'enemy-0', x: 15, y: 2, char: 'C' });
+    renderer.updateTile(2, 2, { char: 'X' });
+    assert.equal(renderer.getScreenText().split('\n')[2], '.@XPE:.RUN.@...C....');
+
+    renderer.setViewport(1, 2);
+    assert.equal(renderer.getScreenText().split('\n').length, 2);
+});
+
+test('the import box is answered programmatically', () => {
+    const game = new HeadlessGame();
+    game.stateManager.currentState.executeExCommand({ name: 'ghost', bang: false, args: ['load'], raw: 'ghost load' });
+    assert.match(game.uiManager.textImport.label, /race/);
+
+    game.uiManager.submitTextImport('not json');
+    assert.equal(game.uiManager.hud.message, "E: Not a replay (invalid JSON)");
+    assert.equal(game.uiManager.textImport, null);
+});
+
+test('pause and help are overlays: resuming continues the same run', () => {
+    const game = new HeadlessGame();
+    game.stateManager.switchTo('PLAYING', {});
+    const playing = game.stateManager.currentState;
+    playing.enemies = ['still here'];
+
+    game.type('<Esc>');
+    assert.deepEqual(game.stateManager.stack, ['PLAYING', 'PAUSED']);
+    game.type(':help<CR>');
+    game.step();
+    assert.deepEqual(game.stateManager.stack, ['PLAYING', 'PAUSED', 'HELP']);
+    game.type('<Esc>');
+    assert.equal(game.uiManager.hud.message, "PAUSED - Press [Escape] to Resume");
+    game.type('<Esc>');
+    assert.deepEqual(game.stateManager.stack, ['PLAYING']);
+    assert.equal(game.stateManager.currentState, playing);
+    assert.deepEqual(playing.enemies, ['still here']);
+});
+
+test('the ex line suspends the stream until it is entered', () => {
+    const game = new HeadlessGame();
+    game.stateManager.switchTo('PLAYING', {});
+    game.type(':set noinc');
+    game.step();
+    assert.deepEqual(game.stateManager.stack, ['PLAYING', 'COMMAND_LINE']);
+    game.step();
+    assert.equal(game.uiManager.hud.commandBuffer, ':set noinc');
+    game.type('search<CR>');
+    game.step();
+    assert.deepEqual(game.stateManager.stack, ['PLAYING']);
+    assert.equal(game.inputHandler.getCommands()[0].raw, 'set noincsearch', "The command is left for the stream");
+});
+
+test('the debug overlay shows the game state and holds the stream while halted', () => {
+    const game = new HeadlessGame();
+    game.input.press('F3');
+    game.step();
+    assert.equal(game.debugOverlay.visible, true);
+    assert.match(game.debugOverlay.text, /^STATE MENU$/m);
+    assert.deepEqual(game.inputHandler.commandQueue, [], "Function keys aren't game input");
+
+    game.stateManager.switchTo('PLAYING', {});
+    game.input.press('F8');
+    game.type('dw:debug freeze<CR>');
+    game.step(3);
+    assert.equal(game.debugOverlay.enemiesFrozen, true, "':debug' runs while halted");
+    assert.deepEqual(game.inputHandler.commandQueue.map(command => command.type), ['DELETE'], "Other commands wait");
+    assert.match(game.debugOverlay.text, /^HALTED \(0 steps queued\)  ENEMIES FROZEN  Enemies frozen$/m);
+});
+
+test('the debug overlay inspects tiles and teleports the player', () => {
+    const game = new HeadlessGame();
+    game.stateManager.switchTo('PLAYING', {});
+    const playing = game.stateManager.currentState;
+    playing.currentLevel = new LevelManager().loadLevel(1);
+
+    game.debugOverlay.toggle(true);
+    game.debugOverlay.inspectTile(0, 2);
+    game.stateManager.render();
+    assert.match(game.debugOverlay.text, /^TILE 0,2 \{"char":"\.","type":"pathway"/m);
+
+    assert.equal(game.debugOverlay.execute(['tp', '0', '2']), "Teleported to 0,2");
+    assert.deepEqual({ x: game.player.x, y: game.player.y }, { x: 0, y: 2 });
+    assert.match(game.debugOverlay.execute(['tp', '99', '0']), /Can't teleport/);
+});
+
+test('one seed and one key script play the same run', () => {
+    const play = () => {
+        const game = new HeadlessGame({ initialState: 'PLAYING', initialParams: { levelData: new LevelManager().loadLevel(1), seed: 42 } });
+        for (const keys of ['w', 'w', 'dw', 'x', 'fR', 'b', 'u']) {
+            game.type(keys);
+            game.step(30);
+        }
+        const { tiles, player, enemies } = game.stateManager.currentState.serialize();
+        return { tiles, score: player.score, enemies: enemies.map(({ x, y, state }) => ({ x, y, state })) };
+    };
+    const run = play();
+    assert.ok(run.enemies.length > 0);
+    assert.deepEqual(play(), run);
+});
@@ -0,0 +1,98 @@
+// tests/plugins.test.js
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PluginRegistry from '../js/core/pluginRegistry.js';
+import HeadlessGame from '../js/core/headlessGame.js';
+import { BaseState } from '../js/core/stateManager.js';
+
+const EXAMPLES_URL = new URL('../plugins/', import.meta.url);
+
+test('example plugins load from their paths', async () => {
+    const plugins = new PluginRegistry();
+    assert.deepEqual(await plugins.loadModules(['examples/sampler.js'], EXAMPLES_URL), ['sampler']);
+    assert.equal(plugins.getEnemyClass('drifter').name, 'Drifter');
+    assert.equal(plugins.getEnemyClass('chaser').name, 'Chaser'); // Built in
+    assert.deepEqual(plugins.getTileClassNames(), ['cpu-cache']);
+    assert.match(plugins.getStyles(), /\.tile\.cpu-cache/);
+    assert.deepEqual(plugins.getExCommands(), [{ name: 'tiles', abbrev: 'ti' }]);
+});
+
+test('core names and keys cannot be taken', (t) => {
+    const plugins = new PluginRegistry();
+    assert.throws(() => plugins.registerEnemy('chaser', class {}), /Enemy type 'chaser' is already registered/);
+    assert.throws(() => plugins.registerMotion('w', { name: 'WORDISH', find: () => null }), /Key 'w' is already bound/);
+    assert.throws(() => plugins.registerCommand('~', { name: 'TILDE', execute() {} }), /Key '~' is already bound/);
+    assert.throws(() => plugins.registerTileType('Bad Type'), /Invalid tile type/);
+
+    t.mock.method(console, 'error', () => {});
+    assert.equal(plugins.use({ name: 'broken', register() { throw new Error('oops'); } }), false);
+    assert.equal(plugins.use({ name: 'no-register' }), false);
+    assert.equal(plugins.use({
+        name: 'half', register(registry) {
+            registry.registerTileType('booster');
+            registry.registerCommand('w', { name: 'WALK', execute() {} });
+        }
+    }), false);
+    assert.equal(plugins.getTileType('booster'), null, "A failed plugin's earlier registrations are dropped");
+    assert.deepEqual(plugins.plugins, []);
+    assert.equal(console.error.mock.callCount(), 3);
+});
+
+test('a manifest without a plugins list loads nothing', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const plugins = new PluginRegistry();
+    assert.deepEqual(await plugins.loadManifest('data:application/json,{"plugins":"boosters.js"}'), []);
+    assert.deepEqual(await plugins.loadManifest('data:application/json,null'), []);
+    assert.equal(console.error.mock.callCount(), 2);
+});
+
+test('plugin keys and ex commands are read like core ones', async () => {
+    const plugins = new PluginRegistry();
+    await plugins.loadModules(['examples/sampler.js'], EXAMPLES_URL);
+    const game = new HeadlessGame({ plugins });
+    game.type('3|d|<C-g>w');
+    assert.deepEqual(game.inputHandler.getCommands(), [
+        { type: 'MOVE', direction: 'COLUMN', count: 3 },
+        { type: 'DELETE', motion: 'COLUMN', count: 1 },
+        { type: 'PLUGIN_COMMAND', name: 'STREAM_INFO', count: 1 },
+        { type: 'MOVE', direction: 'WORD_FORWARD', count: 1 },
+    ]);
+
+    game.type(':ti<CR>');
+    assert.equal(game.inputHandler.getCommands()[0].name, 'tiles');
+    game.type(':tiles<CR>');
+    game.step();
+    assert.equal(game.uiManager.hud.message, "E: No stream is running");
+});
+
+test('plugin states are added to the StateManager', (t) => {
+    class ShopState extends BaseState {
+        enter() { this.uiManager.showMessage("Shop open"); }
+    }
+    const plugins = new PluginRegistry();
+    plugins.use({
+        name: 'shop',
+        register(registry) {
+            registry.registerState('SHOP', ShopState);
+            registry.registerState('MENU', ShopState); // Refused by the StateManager
+            registry.registerExCommand('shop', {
+                execute: ({ state }) => {
+                    state.stateManager.switchTo('SHOP');
+                    return true;
+                },
+            });
+        },
+    });
+    t.mock.method(console, 'error', () => {});
+    const game = new HeadlessGame({ plugins });
+    assert.equal(console.error.mock.callCount(), 1);
+    assert.notEqual(game.stateManager.states.MENU.constructor, ShopState);
+
+    game.type(':shop<CR>');
+    game.step();
+    assert.equal(game.getStateName(), 'SHOP');
+    assert.equal(game.uiManager.hud.message, "Shop open");
+});
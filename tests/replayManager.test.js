@@ -0,0 +1,22 @@
+// tests/replayManager.test.js
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ReplayManager, { REPLAY_VERSION } from '../js/game_logic/replayManager.js';
+
+const REPLAY = { version: REPLAY_VERSION, levelId: 1, seed: 1, time: 2, score: 0, deltas: [16667, [16667, 3]], keys: [[0, 'w'], [2, '<C-r>']], path: [[1, 1, 2]] };
+
+test('imported replays are read back as they were saved', () => {
+    assert.deepEqual(new ReplayManager(null).parse(JSON.stringify(REPLAY)), REPLAY);
+});
+
+test('replays with malformed entries are refused before they are used', () => {
+    const replays = new ReplayManager(null);
+    for (const bad of [{ keys: [[-1, 'w']] }, { keys: [['w', 0]] }, { deltas: [[16667]] }, { deltas: ['16667'] },
+        { path: [[1, 1.5, 2]] }, { time: undefined }, { score: '0' }]) {
+        assert.throws(() => replays.parse(JSON.stringify({ ...REPLAY, ...bad })), /^Error: E: Not a replay$/);
+    }
+    assert.throws(() => replays.parse('{'), /invalid JSON/);
+});
@@ -0,0 +1,62 @@
+// tests/saveManager.test.js
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SaveManager, { SAVE_VERSION } from '../js/game_logic/saveManager.js';
+import HeadlessGame from '../js/core/headlessGame.js';
+
+/**
+ * A Storage-like map, so saves can outlive a SaveManager as they would a page reload.
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+test('slots are saved and loaded across sessions', () => {
+    const storage = createStorage();
+    new SaveManager(storage).save('puzzle', { levelId: 2, elapsedTime: 12.5 });
+
+    const saves = new SaveManager(storage);
+    assert.deepEqual(saves.load('puzzle'), { levelId: 2, elapsedTime: 12.5 });
+    assert.equal(saves.load('missing'), null);
+    assert.throws(() => saves.save('two words', {}), /Invalid slot name/);
+});
+
+test('slots are listed most recent first', (t) => {
+    const saves = new SaveManager(null);
+    t.mock.method(Date, 'now', () => 1000);
+    saves.save('older', { levelId: 1, elapsedTime: 3 });
+    Date.now.mock.mockImplementation(() => 2000);
+    saves.save('newer', { levelId: 2, elapsedTime: 4 });
+    assert.deepEqual(saves.list().map(({ slot, levelId }) => [slot, levelId]), [['newer', 2], ['older', 1]]);
+    assert.equal(saves.getLatestSlot(), 'newer');
+});
+
+test('older saves are migrated step by step and newer ones refused', () => {
+    const storage = createStorage();
+    storage.setItem('vimrunner.saves', JSON.stringify({
+        old: { version: SAVE_VERSION - 1, savedAt: 0, data: { levelId: 1 } },
+        future: { version: SAVE_VERSION + 1, savedAt: 0, data: { levelId: 1 } },
+    }));
+    const saves = new SaveManager(storage, { [SAVE_VERSION - 1]: data => ({ ...data, migrated: true }) });
+    assert.deepEqual(saves.load('old'), { levelId: 1, migrated: true });
+    assert.throws(() => saves.load('future'), /newer version/);
+    assert.throws(() => new SaveManager(storage, {}).load('old'), /unsupported version/);
+});
+
+test('the menu offers to continue the latest save', () => {
+    const storage = createStorage();
+    new SaveManager(storage).save('quicksave', { levelId: 1, elapsedTime: 0 });
+    const game = new HeadlessGame({ storage });
+    assert.equal(game.uiManager.hud.message, 'Press [Enter] to Start  :e to Continue "quicksave"');
+
+    game.type(':e nothing<CR>');
+    game.step();
+    assert.equal(game.uiManager.hud.message, "E484: Can't open file nothing");
+});